@@ -0,0 +1,35 @@
+// Downloads the Vosk model offline captions use into public/speech, so the
+// app serves it itself. Run once with `npm run speech-model`; the model is
+// about 40 MB, so unlike the video effects assets it is not fetched on every
+// start.
+//
+//   SPEECH_MODEL_URL - a different model to fetch (a Vosk .tar.gz); point the
+//                      client at it with REACT_APP_SPEECH_MODEL_URL
+
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_URL = process.env.SPEECH_MODEL_URL
+  || 'https://ccoreilly.github.io/vosk-browser/models/vosk-model-small-en-us-0.15.tar.gz';
+
+const outDir = path.join(__dirname, '..', 'public', 'speech');
+const modelFile = path.join(outDir, path.basename(new URL(MODEL_URL).pathname));
+
+(async () => {
+  if (fs.existsSync(modelFile)) {
+    console.log(`${path.relative(process.cwd(), modelFile)} is already there`);
+    return;
+  }
+  try {
+    const response = await fetch(MODEL_URL);
+    if (!response.ok) throw new Error(`${MODEL_URL} answered ${response.status}`);
+    const data = Buffer.from(await response.arrayBuffer());
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(`${modelFile}.tmp`, data);
+    fs.renameSync(`${modelFile}.tmp`, modelFile);
+    console.log(`Downloaded ${path.basename(modelFile)} (${data.length} bytes)`);
+  } catch (err) {
+    console.error(`Could not download the speech model: ${err.message}`);
+    process.exitCode = 1;
+  }
+})();
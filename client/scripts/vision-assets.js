@@ -0,0 +1,55 @@
+// Puts what background effects need into public/vision so the app serves it
+// itself: MediaPipe's vision library and WebAssembly runtime from
+// node_modules, and the selfie segmentation model, downloaded once. Runs
+// before `npm start` and `npm run build`; files already in place are left
+// alone.
+//
+//   VISION_MODEL_URL - where to fetch the model from (default: MediaPipe's
+//                      published selfie_segmenter)
+
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_URL = process.env.VISION_MODEL_URL
+  || 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/latest/selfie_segmenter.tflite';
+const LIBRARY_FILES = [
+  'vision_bundle.mjs',
+  'wasm/vision_wasm_internal.js',
+  'wasm/vision_wasm_internal.wasm',
+  'wasm/vision_wasm_nosimd_internal.js',
+  'wasm/vision_wasm_nosimd_internal.wasm'
+];
+
+const outDir = path.join(__dirname, '..', 'public', 'vision');
+const modelFile = path.join(outDir, 'selfie_segmenter.tflite');
+
+function copyLibrary() {
+  const from = path.dirname(require.resolve('@mediapipe/tasks-vision'));
+  LIBRARY_FILES.forEach((file) => {
+    const target = path.join(outDir, file);
+    const source = path.join(from, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (fs.existsSync(target) && fs.statSync(target).size === fs.statSync(source).size) return;
+    fs.copyFileSync(source, target);
+  });
+}
+
+async function downloadModel() {
+  if (fs.existsSync(modelFile)) return;
+  const response = await fetch(MODEL_URL);
+  if (!response.ok) throw new Error(`${MODEL_URL} answered ${response.status}`);
+  const data = Buffer.from(await response.arrayBuffer());
+  fs.writeFileSync(`${modelFile}.tmp`, data);
+  fs.renameSync(`${modelFile}.tmp`, modelFile);
+  console.log(`Downloaded the segmentation model (${data.length} bytes)`);
+}
+
+(async () => {
+  try {
+    copyLibrary();
+    await downloadModel();
+  } catch (err) {
+    // The app still runs; background blur and replacement just stay unavailable
+    console.warn(`Video effects assets are incomplete: ${err.message}`);
+  }
+})();
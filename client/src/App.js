@@ -1,14 +1,26 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import './App.css';
 import VideoCall from './components/VideoCall';
+import AdminDashboard from './components/AdminDashboard';
+
+// The admin dashboard lives at #/admin so the server's static hosting needs
+// no extra routes
+const ADMIN_HASH = '#/admin';
 
 function App() {
+  const [hash, setHash] = useState(window.location.hash);
+
+  useEffect(() => {
+    const onHashChange = () => setHash(window.location.hash);
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
   return (
     <div className="App">
-      <VideoCall />
+      {hash === ADMIN_HASH ? <AdminDashboard /> : <VideoCall />}
     </div>
   );
 }
 
 export default App;
-
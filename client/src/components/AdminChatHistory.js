@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { chatPath } from '../utils/admin';
+import './AdminDashboard.css';
+
+const PAGE_SIZE = 50;
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+// The server relays end-to-end encrypted messages without being able to
+// read them, and so does this view
+const messageText = (message) => {
+  if (message.deleted) return <em>Message deleted</em>;
+  if (message.envelope) return <em>🔒 Encrypted message</em>;
+  return message.text;
+};
+
+// Every stored conversation, newest first; one can be opened to read its
+// history a page at a time, or deleted. `request(path, options)` calls the
+// admin API; failures go to onError.
+const AdminChatHistory = ({ chats, request, onError }) => {
+  const [open, setOpen] = useState(null); // {pairKey, messages, hasMoreBefore}
+  const [loading, setLoading] = useState(false);
+  // The chats effect must use the latest render's catchUp
+  const catchUpRef = useRef(null);
+
+  const select = async (chat) => {
+    setLoading(true);
+    try {
+      const page = await request(chatPath(chat.pairKey, `?limit=${PAGE_SIZE}`));
+      setOpen({ pairKey: chat.pairKey, messages: page.messages, hasMoreBefore: page.hasMoreBefore });
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOlder = async () => {
+    if (!open || open.messages.length === 0) return;
+    setLoading(true);
+    try {
+      const page = await request(chatPath(open.pairKey, `?before=${open.messages[0].id}&limit=${PAGE_SIZE}`));
+      setOpen((prev) => (prev && prev.pairKey === open.pairKey
+        ? { ...prev, messages: [...page.messages, ...prev.messages], hasMoreBefore: page.hasMoreBefore }
+        : prev));
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clear = async (chat) => {
+    const names = chat.participants.map((p) => p.name).join(' and ');
+    if (!window.confirm(`Delete all ${chat.count} messages between ${names}? This cannot be undone.`)) return;
+    try {
+      await request(chatPath(chat.pairKey), { method: 'DELETE' });
+      setOpen((prev) => (prev && prev.pairKey === chat.pairKey ? null : prev));
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  // The open conversation follows new messages; one deleted elsewhere closes
+  const catchUp = async () => {
+    if (!open) return;
+    const chat = chats.find((c) => c.pairKey === open.pairKey);
+    if (!chat) {
+      setOpen(null);
+      return;
+    }
+    const last = open.messages[open.messages.length - 1];
+    if (last && chat.lastMessage.id <= last.id) return;
+    try {
+      const page = await request(chatPath(open.pairKey, last ? `?after=${last.id}&limit=${PAGE_SIZE}` : `?limit=${PAGE_SIZE}`));
+      setOpen((prev) => {
+        if (!prev || prev.pairKey !== open.pairKey) return prev;
+        const known = new Set(prev.messages.map((m) => m.id));
+        return { ...prev, messages: [...prev.messages, ...page.messages.filter((m) => !known.has(m.id))] };
+      });
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    catchUpRef.current = catchUp;
+  });
+
+  useEffect(() => {
+    catchUpRef.current();
+  }, [chats]);
+
+  const openChat = open && chats.find((c) => c.pairKey === open.pairKey);
+
+  return (
+    <section className="admin-section">
+      <h2>Chat history</h2>
+      {chats.length === 0 ? (
+        <p className="admin-empty">No chat messages stored</p>
+      ) : (
+        <div className="admin-chats">
+          <ul className="admin-chat-list">
+            {chats.map((chat) => (
+              <li key={chat.pairKey}>
+                <button
+                  className={`admin-chat-entry${open && open.pairKey === chat.pairKey ? ' active' : ''}`}
+                  onClick={() => select(chat)}
+                  disabled={loading}
+                >
+                  <span className="admin-chat-entry-name">{chat.participants.map((p) => p.name).join(' ↔ ')}</span>
+                  <span className="admin-muted">
+                    {chat.count} message{chat.count === 1 ? '' : 's'} · last {formatTime(chat.lastMessage.timestamp)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {openChat && (
+            <div className="admin-chat-view">
+              <div className="admin-chat-header">
+                <strong>{openChat.participants.map((p) => p.name).join(' ↔ ')}</strong>
+                <button className="btn btn-danger admin-small" onClick={() => clear(openChat)}>
+                  Delete history
+                </button>
+              </div>
+              {open.hasMoreBefore && (
+                <button className="btn btn-secondary admin-small" onClick={loadOlder} disabled={loading}>
+                  {loading ? 'Loading…' : 'Load older messages'}
+                </button>
+              )}
+              <ul className="admin-chat-messages">
+                {open.messages.map((m) => (
+                  <li key={m.id}>
+                    <span className="admin-muted">{formatTime(m.timestamp)}</span>
+                    <strong>{m.fromName}</strong>
+                    <span>{messageText(m)}</span>
+                    {m.editedAt && !m.deleted && <span className="admin-muted">(edited)</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default AdminChatHistory;
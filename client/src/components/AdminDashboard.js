@@ -0,0 +1,297 @@
+import React, { useEffect, useState } from 'react';
+import LoginForm from './LoginForm';
+import AdminChatHistory from './AdminChatHistory';
+import { getSavedSession, saveSession, clearSession, requestSession } from '../utils/auth';
+import { discoverServerAddress, getServerUrl } from '../utils/server';
+import { adminRequest, openAdminEvents } from '../utils/admin';
+import { formatElapsed } from '../utils/format';
+import './AdminDashboard.css';
+
+// Problems kept on screen; the server keeps about as many
+const MAX_PROBLEMS = 100;
+
+const STATUS_LABELS = {
+  available: 'Available',
+  'in-call': 'In a call',
+  away: 'Away'
+};
+
+const formatClock = (time) => new Date(time).toLocaleTimeString();
+
+// Operator view of the signaling server: who is connected, rooms, calls,
+// recent warnings and errors, and stored chats. Opened at #/admin, by an
+// account the server lists in its admins setting; it stays current over the
+// server's event stream.
+const AdminDashboard = () => {
+  const [serverAddress, setServerAddress] = useState(null); // null until discovered
+  const [session, setSession] = useState(getSavedSession); // {token, user}
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState('');
+  const [live, setLive] = useState('disconnected'); // 'connecting' | 'connected' | 'reconnecting' | 'disconnected'
+  const [overview, setOverview] = useState(null); // {server, sessions, rooms, calls, messages}
+  const [problems, setProblems] = useState([]); // {level, message, time}, oldest first
+  const [chats, setChats] = useState([]); // {pairKey, count, lastMessage, participants}
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    let cancelled = false;
+    discoverServerAddress().then((address) => {
+      if (!cancelled) setServerAddress(address);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Load everything once, then follow the event stream
+  useEffect(() => {
+    if (!session || !serverAddress) return undefined;
+    const serverUrl = getServerUrl(serverAddress);
+    let cancelled = false;
+    let source = null;
+    setLive('connecting');
+
+    adminRequest(serverUrl, session.token, '/overview').then(({ problems: recent, ...state }) => {
+      if (cancelled) return;
+      setOverview(state);
+      setProblems(recent);
+      source = openAdminEvents(serverUrl, session.token, {
+        state: setOverview,
+        chats: (data) => setChats(data.chats),
+        problem: (entry) => setProblems((prev) => [...prev, entry].slice(-MAX_PROBLEMS))
+      });
+      source.onopen = () => setLive('connected');
+      source.onerror = () => setLive(source.readyState === EventSource.CLOSED ? 'disconnected' : 'reconnecting');
+    }).catch((err) => {
+      if (cancelled) return;
+      console.error('Admin overview failed:', err);
+      setLive('disconnected');
+      if (err.status === 401) {
+        clearSession();
+        setSession(null);
+        setError('Your session expired. Please sign in again.');
+        return;
+      }
+      setError(err.message || 'Could not reach the server');
+    });
+
+    return () => {
+      cancelled = true;
+      if (source) source.close();
+    };
+  }, [session, serverAddress]);
+
+  // Durations tick while there is anything to show
+  useEffect(() => {
+    if (!overview) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [overview]);
+
+  const signIn = async (mode, credentials) => {
+    setIsSigningIn(true);
+    setError('');
+    try {
+      const next = await requestSession(getServerUrl(serverAddress), mode, credentials);
+      saveSession(next);
+      setSession(next);
+    } catch (err) {
+      console.error('Sign-in failed:', err);
+      setError(err.message || 'Sign-in failed. Make sure the server is running.');
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  const signOut = () => {
+    clearSession();
+    setSession(null);
+    setOverview(null);
+    setProblems([]);
+    setChats([]);
+    setError('');
+  };
+
+  const request = (path, options) => adminRequest(getServerUrl(serverAddress), session.token, path, options);
+
+  // The event stream brings the updated list
+  const kick = async (target) => {
+    if (!window.confirm(`End ${target.name}'s session? Any call they are in ends too.`)) return;
+    try {
+      await request(`/sessions/${encodeURIComponent(target.id)}/kick`, { method: 'POST' });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const header = (
+    <div className="video-call-header">
+      <h1>🛠 Server Admin</h1>
+      <p className="subtitle">
+        <a href="#/">Back to calls</a>
+      </p>
+    </div>
+  );
+
+  if (!session) {
+    return (
+      <div className="admin-dashboard">
+        {header}
+        {error && <div className="error-message">{error}</div>}
+        <div className="connection-section">
+          <input
+            type="text"
+            placeholder="Server address (host:port)"
+            value={serverAddress || ''}
+            onChange={(e) => setServerAddress(e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div style={{ marginTop: '10px' }}>
+          <LoginForm onSubmit={signIn} busy={isSigningIn || !serverAddress} />
+        </div>
+      </div>
+    );
+  }
+
+  const { server, sessions = [], rooms = [], calls = [], messages = {} } = overview || {};
+
+  return (
+    <div className="admin-dashboard">
+      {header}
+
+      <div className="info-panel">
+        <div className="info-item">
+          <span className="info-label">Server:</span>
+          <span className="info-value">{serverAddress}</span>
+        </div>
+        <div className="info-item">
+          <span className="info-label">Signed in as {session.user.username}</span>
+          <button onClick={signOut} className="btn btn-secondary">Sign Out</button>
+        </div>
+        <div className="info-item">
+          <span className="info-label">Live updates:</span>
+          <span className={`status-badge ${live}`}>{live}</span>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert">
+          {error}
+          <button className="admin-dismiss" onClick={() => setError('')} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      {server && (
+        <div className="admin-summary">
+          <div className="admin-stat"><strong>{formatElapsed(now - server.startedAt)}</strong>Uptime</div>
+          <div className="admin-stat"><strong>{server.connections}</strong>Connections</div>
+          <div className="admin-stat"><strong>{sessions.length}</strong>Sessions</div>
+          <div className="admin-stat"><strong>{rooms.length}</strong>Rooms</div>
+          <div className="admin-stat"><strong>{calls.length}</strong>Calls</div>
+          <div className="admin-stat"><strong>{messages.rejected || 0}</strong>Rejected messages</div>
+          <div className="admin-stat"><strong>{server.chatStore}</strong>Chat history</div>
+        </div>
+      )}
+
+      <section className="admin-section">
+        <h2>Sessions</h2>
+        {sessions.length === 0 ? (
+          <p className="admin-empty">Nobody is connected</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Account</th>
+                <th>Status</th>
+                <th>Room</th>
+                <th>Address</th>
+                <th>Connected</th>
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((s) => (
+                <tr key={s.id}>
+                  <td>{s.name}</td>
+                  <td>{s.username || s.clientId}</td>
+                  <td>
+                    <span className={`admin-presence ${s.connected ? s.status : 'reconnecting'}`} />
+                    {s.connected ? STATUS_LABELS[s.status] || s.status : 'Reconnecting…'}
+                  </td>
+                  <td>{s.room || '–'}</td>
+                  <td title={s.localIP ? `Local IP ${s.localIP}` : ''}>{s.address}</td>
+                  <td>{formatElapsed(now - s.connectedAt)}</td>
+                  <td>
+                    <button className="btn btn-danger admin-small" onClick={() => kick(s)}>Kick</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <div className="admin-columns">
+        <section className="admin-section">
+          <h2>Rooms</h2>
+          {rooms.length === 0 ? (
+            <p className="admin-empty">No rooms open</p>
+          ) : (
+            <ul className="admin-list">
+              {rooms.map((r) => (
+                <li key={r.name}>
+                  <strong>{r.name}</strong> <span className="admin-tag">{r.mode}</span>
+                  <div className="admin-muted">{r.members.map((m) => m.name).join(', ')}</div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section className="admin-section">
+          <h2>Calls</h2>
+          {calls.length === 0 ? (
+            <p className="admin-empty">No calls in progress</p>
+          ) : (
+            <ul className="admin-list">
+              {calls.map((c) => (
+                <li key={c.id}>
+                  <strong>{c.caller ? c.caller.name : '?'}</strong> → <strong>{c.callee ? c.callee.name : '?'}</strong>
+                  {' '}<span className={`admin-tag ${c.state}`}>{c.state}</span>
+                  <div className="admin-muted">
+                    {c.state === 'active'
+                      ? `Talking for ${formatElapsed(now - c.answeredAt)}`
+                      : `Ringing for ${formatElapsed(now - c.startedAt)}`}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+
+      <section className="admin-section">
+        <h2>Recent problems</h2>
+        {problems.length === 0 ? (
+          <p className="admin-empty">No warnings or errors</p>
+        ) : (
+          <ul className="admin-problems">
+            {problems.slice().reverse().map((p, i) => (
+              <li key={`${p.time}-${problems.length - i}`} className={p.level}>
+                <span className="admin-muted">{formatClock(p.time)}</span>
+                <span className="admin-tag">{p.level}</span>
+                <span className="admin-problem-text">{p.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <AdminChatHistory chats={chats} request={request} onError={setError} />
+    </div>
+  );
+};
+
+export default AdminDashboard;
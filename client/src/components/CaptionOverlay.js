@@ -0,0 +1,15 @@
+import React from 'react';
+import './CaptionOverlay.css';
+
+// The latest caption from one speaker, as subtitles over their video tile.
+// Words still being recognised are dimmed until the phrase is final.
+const CaptionOverlay = ({ segment }) => {
+  if (!segment || !segment.text) return null;
+  return (
+    <div className="caption-overlay" aria-live="polite">
+      <span className={segment.final ? 'caption-text' : 'caption-text partial'}>{segment.text}</span>
+    </div>
+  );
+};
+
+export default CaptionOverlay;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { CHAT_REACTIONS } from '../utils/chat';
+import './ChatMessage.css';
+
+const STATUS_TICKS = {
+  pending: { ticks: '🕓', label: 'Waiting for the connection to the server' },
+  sent: { ticks: '✓', label: 'Sent · delivered when they are next online' },
+  delivered: { ticks: '✓✓', label: 'Delivered' },
+  read: { ticks: '✓✓', label: 'Read' }
+};
+
+// One text message in the chat panel: ticks on our own messages, reactions
+// underneath, and reaction/edit/delete actions on hover once the server has
+// stored it
+const ChatMessage = ({ message, status, selfClientId, onReact, onEdit, onDelete }) => {
+  const { text, timestamp, outgoing, editedAt, deleted, reactions, serverId, encrypted, undecryptable } = message;
+  const stored = serverId != null && !deleted;
+  const tick = outgoing ? STATUS_TICKS[status] : null;
+
+  return (
+    <div className={`message ${outgoing ? 'outgoing' : 'incoming'}`}>
+      <div className="bubble">
+        {deleted && <div className="text deleted">Message deleted</div>}
+        {!deleted && undecryptable && <div className="text deleted">🔒 Could not decrypt this message</div>}
+        {!deleted && !undecryptable && <div className="text">{text}</div>}
+        <div className="meta">
+          {!deleted && (
+            <span title={encrypted ? 'End-to-end encrypted' : 'Sent before chat was encrypted'}>
+              {encrypted ? '🔒 ' : '🔓 '}
+            </span>
+          )}
+          {new Date(timestamp).toLocaleTimeString()}
+          {editedAt && !deleted && ' · edited'}
+          {tick && (
+            <span className={`ticks ${status}`} title={tick.label} aria-label={tick.label}>{tick.ticks}</span>
+          )}
+        </div>
+        {Object.keys(reactions).length > 0 && (
+          <div className="reactions">
+            {Object.entries(reactions).map(([emoji, who]) => (
+              <button
+                key={emoji}
+                className={`reaction${who.includes(selfClientId) ? ' mine' : ''}`}
+                onClick={() => onReact(emoji)}
+                title={who.includes(selfClientId) ? 'Remove your reaction' : 'React'}
+              >
+                {emoji} {who.length}
+              </button>
+            ))}
+          </div>
+        )}
+        {stored && (
+          <div className="message-actions">
+            {CHAT_REACTIONS.map((emoji) => (
+              <button key={emoji} onClick={() => onReact(emoji)} title={`React with ${emoji}`}>{emoji}</button>
+            ))}
+            {outgoing && !undecryptable && (
+              <>
+                <button onClick={onEdit} title="Edit">✏️</button>
+                <button onClick={onDelete} title="Delete">🗑️</button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChatMessage;
@@ -0,0 +1,52 @@
+import React from 'react';
+import './ChatSecurity.css';
+
+// Encryption status for the chat with one peer, with the safety number both
+// people can read out to each other to check nobody is in between
+const ChatSecurity = ({ security, peerName, onVerify }) => {
+  const { hasKey, firstContact, safetyNumber, verified, identityChanged, keyMismatch } = security;
+
+  return (
+    <div className="chat-security">
+      {keyMismatch && (
+        <div className="chat-security-warning">
+          ⚠️ Encryption keys did not match on this connection, so someone may be intercepting it.
+          Messages go through the server with your previous key instead.
+        </div>
+      )}
+      {identityChanged && (
+        <div className="chat-security-warning">
+          ⚠️ {peerName}&apos;s security key has changed. Compare the safety number again.
+        </div>
+      )}
+      {!hasKey && (
+        <p>
+          There is no encryption key for {peerName} yet. Chat starts once they have signed in with this
+          version, or once you have been connected in a call.
+        </p>
+      )}
+      {firstContact && !verified && (
+        <p>
+          Messages are encrypted to the key the server published for {peerName}. Until you compare
+          safety numbers, you cannot be sure the server gave you their real key.
+        </p>
+      )}
+      {safetyNumber && (
+        <>
+          <p>
+            Compare this safety number with {peerName}. If it is the same on both screens, only the
+            two of you can read this chat.
+          </p>
+          <div className="safety-number">{safetyNumber}</div>
+          {verified ? (
+            <div className="chat-security-verified">✓ Verified</div>
+          ) : (
+            <button className="btn btn-secondary" onClick={onVerify}>Mark as verified</button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChatSecurity;
@@ -0,0 +1,44 @@
+import React from 'react';
+import './ConversationList.css';
+
+const previewText = (preview) => {
+  if (!preview) return '';
+  if (preview.deleted) return 'Message deleted';
+  if (preview.undecryptable) return '🔒 Encrypted message';
+  return `${preview.outgoing ? 'You: ' : ''}${preview.text}`;
+};
+
+// Everyone we have chatted with, most recent first, with how many of their
+// messages we have not read yet. Picking one opens that chat.
+// `statuses` maps the client ids of people online to their presence status.
+const ConversationList = ({ conversations, activeClientId, statuses, onSelect }) => {
+  if (conversations.length === 0) return null;
+
+  return (
+    <ul className="conversation-list">
+      {conversations.map((c) => (
+        <li key={c.peerClientId}>
+          <button
+            className={`conversation-entry${c.peerClientId === activeClientId ? ' active' : ''}`}
+            onClick={() => onSelect(c)}
+            aria-current={c.peerClientId === activeClientId}
+          >
+            <span
+              className={`presence-dot ${statuses.get(c.peerClientId) || 'offline'}`}
+              title={statuses.has(c.peerClientId) ? 'Online' : 'Offline'}
+            />
+            <span className="conversation-text">
+              <span className="conversation-name">{c.name}</span>
+              <span className="conversation-preview">{previewText(c.preview)}</span>
+            </span>
+            {c.unread > 0 && c.peerClientId !== activeClientId && (
+              <span className="conversation-unread" aria-label={`${c.unread} unread`}>{c.unread}</span>
+            )}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ConversationList;
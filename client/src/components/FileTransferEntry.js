@@ -0,0 +1,50 @@
+import React from 'react';
+import { formatFileSize } from '../utils/fileTransfer';
+import './FileTransferEntry.css';
+
+const STATUS_LABELS = {
+  waiting: 'Waiting for peer…',
+  sending: 'Sending',
+  receiving: 'Receiving',
+  paused: 'Paused',
+  interrupted: 'Connection lost',
+  done: 'Complete',
+  cancelled: 'Cancelled',
+  failed: 'Failed'
+};
+
+// A file being sent or received, shown in the chat panel
+const FileTransferEntry = ({ transfer, onPause, onResume, onCancel }) => {
+  const { id, direction, name, size, transferred, status, url } = transfer;
+  const percent = size > 0 ? Math.floor((transferred / size) * 100) : 100;
+  const active = ['waiting', 'sending', 'receiving'].includes(status);
+  const resumable = ['paused', 'interrupted'].includes(status);
+  const finished = ['done', 'cancelled', 'failed'].includes(status);
+
+  return (
+    <div className={`file-transfer ${status}`}>
+      <div className="file-transfer-name" title={name}>
+        {direction === 'outgoing' ? '📤' : '📥'} {name}
+      </div>
+      <div className="file-transfer-meta">
+        {formatFileSize(size)} · {STATUS_LABELS[status] || status}
+        {!finished && ` · ${percent}%`}
+      </div>
+      {!finished && (
+        <div className="file-transfer-progress">
+          <div className="file-transfer-progress-bar" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+      <div className="file-transfer-actions">
+        {status === 'done' && direction === 'incoming' && url && (
+          <a className="file-transfer-download" href={url} download={name}>Download</a>
+        )}
+        {active && <button onClick={() => onPause(id)}>Pause</button>}
+        {resumable && <button onClick={() => onResume(id)}>Resume</button>}
+        {!finished && <button onClick={() => onCancel(id)}>Cancel</button>}
+      </div>
+    </div>
+  );
+};
+
+export default FileTransferEntry;
@@ -0,0 +1,19 @@
+import React from 'react';
+import './IncomingCall.css';
+
+// Ringing prompt shown to the callee until they accept or decline
+const IncomingCall = ({ callerName, onAccept, onDecline }) => (
+  <div className="incoming-call-overlay" role="dialog" aria-live="assertive">
+    <div className="incoming-call">
+      <div className="incoming-call-icon">📞</div>
+      <div className="incoming-call-title">{callerName}</div>
+      <div className="incoming-call-subtitle">is calling you…</div>
+      <div className="incoming-call-actions">
+        <button className="btn btn-success" onClick={onAccept}>Accept</button>
+        <button className="btn btn-danger" onClick={onDecline}>Decline</button>
+      </div>
+    </div>
+  </div>
+);
+
+export default IncomingCall;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+
+// Sign in to the signaling server, or create an account with an invite token
+const LoginForm = ({ onSubmit, busy }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [inviteToken, setInviteToken] = useState('');
+
+  const isRegister = mode === 'register';
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSubmit(mode, isRegister
+      ? { username, password, displayName, inviteToken }
+      : { username, password });
+  };
+
+  return (
+    <form className="connection-section" onSubmit={submit}>
+      <input
+        type="text"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        className="input-field"
+        required
+      />
+      <input
+        type="password"
+        placeholder="Password"
+        autoComplete={isRegister ? 'new-password' : 'current-password'}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className="input-field"
+        required
+      />
+      {isRegister && (
+        <>
+          <input
+            type="text"
+            placeholder="Display name"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            className="input-field"
+          />
+          <input
+            type="text"
+            placeholder="Invite token"
+            value={inviteToken}
+            onChange={(e) => setInviteToken(e.target.value)}
+            className="input-field"
+            required
+          />
+        </>
+      )}
+      <button type="submit" className="btn btn-primary" disabled={busy}>
+        {isRegister ? 'Create Account & Connect' : 'Sign In & Connect'}
+      </button>
+      <button
+        type="button"
+        className="btn btn-secondary"
+        onClick={() => setMode(isRegister ? 'login' : 'register')}
+      >
+        {isRegister ? 'I have an account' : 'Create account'}
+      </button>
+    </form>
+  );
+};
+
+export default LoginForm;
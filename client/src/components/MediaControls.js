@@ -0,0 +1,82 @@
+import React from 'react';
+import { canChooseSpeaker } from '../utils/devices';
+import { QUALITY_PRESETS } from '../utils/quality';
+import './MediaControls.css';
+
+const DEVICE_PICKERS = [
+  { kind: 'audioinput', label: 'Microphone' },
+  { kind: 'videoinput', label: 'Camera' },
+  { kind: 'audiooutput', label: 'Speaker' }
+];
+
+// Mic and camera toggles plus pickers for the devices in use and video quality.
+// The effects button only shows when `onToggleEffects` is given.
+const MediaControls = ({
+  micMuted, cameraOff, onToggleMic, onToggleCamera, devices, selected, onSelect, quality, onQualityChange,
+  effectsOpen, onToggleEffects
+}) => {
+  const pickers = DEVICE_PICKERS.filter(({ kind }) => (
+    devices[kind].length > 0 && (kind !== 'audiooutput' || canChooseSpeaker())
+  ));
+
+  return (
+    <div className="media-controls">
+      <div className="media-toggles">
+        <button
+          onClick={onToggleMic}
+          className={`btn ${micMuted ? 'btn-danger' : 'btn-secondary'}`}
+          aria-pressed={micMuted}
+        >
+          {micMuted ? '🔇 Unmute' : '🎤 Mute'}
+        </button>
+        <button
+          onClick={onToggleCamera}
+          className={`btn ${cameraOff ? 'btn-danger' : 'btn-secondary'}`}
+          aria-pressed={cameraOff}
+        >
+          {cameraOff ? '📷 Camera On' : '🚫 Camera Off'}
+        </button>
+        {onToggleEffects && (
+          <button
+            onClick={onToggleEffects}
+            className="btn btn-secondary"
+            aria-pressed={effectsOpen}
+          >
+            ✨ Effects
+          </button>
+        )}
+      </div>
+      <div className="device-pickers">
+        {pickers.map(({ kind, label }) => (
+          <label key={kind} className="device-picker">
+            <span>{label}</span>
+            <select
+              value={selected[kind] || ''}
+              onChange={(e) => onSelect(kind, e.target.value)}
+              className="input-field"
+            >
+              <option value="">Default</option>
+              {devices[kind].map((device) => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="device-picker">
+          <span>Video quality</span>
+          <select
+            value={quality}
+            onChange={(e) => onQualityChange(e.target.value)}
+            className="input-field"
+          >
+            {Object.entries(QUALITY_PRESETS).map(([name, preset]) => (
+              <option key={name} value={name}>{preset.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default MediaControls;
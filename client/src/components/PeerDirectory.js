@@ -0,0 +1,51 @@
+import React from 'react';
+import './PeerDirectory.css';
+
+const STATUS_LABELS = {
+  available: 'Available',
+  'in-call': 'In a call',
+  away: 'Away'
+};
+
+// Clickable list of everyone registered with the signaling server
+const PeerDirectory = ({ peers, selfId, onCall, disabled }) => {
+  const others = peers.filter((p) => p.id !== selfId);
+
+  return (
+    <div className="peer-directory">
+      <div className="peer-directory-header">
+        <span>👥 Online</span>
+        <span className="peer-count">{others.length}</span>
+      </div>
+      {others.length === 0 ? (
+        <p className="peer-directory-empty">Nobody else is online yet</p>
+      ) : (
+        <ul className="peer-list">
+          {others.map((peer) => {
+            // `connected` is false while their session waits for them to reconnect
+            const reconnecting = peer.connected === false;
+            const canCall = !disabled && !reconnecting && peer.status === 'available';
+            return (
+              <li key={peer.id}>
+                <button
+                  className="peer-entry"
+                  onClick={() => onCall(peer)}
+                  disabled={!canCall}
+                  title={peer.localIP || ''}
+                >
+                  <span className={`presence-dot ${reconnecting ? 'reconnecting' : peer.status}`} />
+                  <span className="peer-name">{peer.name}</span>
+                  <span className="peer-status">
+                    {reconnecting ? 'Reconnecting…' : STATUS_LABELS[peer.status] || peer.status}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PeerDirectory;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import './RoomPanel.css';
+
+// Join a named room for a group call, or show who is in the current one
+const MODE_LABELS = {
+  mesh: 'Mesh',
+  sfu: 'Server (SFU)'
+};
+
+const RoomPanel = ({ room, rooms, onJoin, onLeave, disabled }) => {
+  const [roomName, setRoomName] = useState('');
+  const [mode, setMode] = useState('mesh');
+
+  if (room) {
+    return (
+      <div className="room-panel">
+        <div className="room-panel-header">
+          <span>🏠 Room: {room.name} <span className="room-mode">{MODE_LABELS[room.mode]}</span></span>
+          <button className="btn btn-danger" onClick={onLeave}>Leave Room</button>
+        </div>
+        <ul className="room-members">
+          <li className="room-member self">You</li>
+          {room.members.map((member) => (
+            <li key={member.id} className="room-member">{member.name}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  // The mode only applies when the room does not exist yet
+  const join = (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onJoin(trimmed, mode);
+    setRoomName('');
+  };
+
+  return (
+    <div className="room-panel">
+      <div className="connection-section">
+        <input
+          type="text"
+          placeholder="Room name (e.g., standup)"
+          value={roomName}
+          onChange={(e) => setRoomName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') join(roomName);
+          }}
+          className="input-field"
+          disabled={disabled}
+        />
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="input-field room-mode-select"
+          disabled={disabled}
+          title="Mesh connects everyone directly; SFU sends your media to the server once, for larger rooms"
+        >
+          {Object.keys(MODE_LABELS).map((m) => (
+            <option key={m} value={m}>{MODE_LABELS[m]}</option>
+          ))}
+        </select>
+        <button className="btn btn-primary" onClick={() => join(roomName)} disabled={disabled}>
+          Join Room
+        </button>
+      </div>
+      {rooms.length > 0 && (
+        <div className="room-list">
+          {rooms.map((r) => (
+            <button
+              key={r.name}
+              className="room-chip"
+              onClick={() => join(r.name)}
+              disabled={disabled}
+            >
+              {r.name} <span className="room-size">{r.size}{r.mode === 'sfu' ? ' · SFU' : ''}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomPanel;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { describeCandidateType, formatBitrate } from '../utils/callStats';
+import './StatsOverlay.css';
+
+const formatMs = (ms) => (ms === null ? '–' : `${Math.round(ms)} ms`);
+const formatLoss = (loss) => (loss === null ? '–' : `${(loss * 100).toFixed(1)}%`);
+const formatVideo = ({ width, height, fps }) => (
+  width && height ? `${width}×${height}${fps ? ` @ ${Math.round(fps)} fps` : ''}` : 'no video'
+);
+
+// Live numbers for one connection, drawn over its video tile
+const StatsOverlay = ({ stats, title, adaptiveStep = null }) => {
+  if (!stats) return null;
+  return (
+    <div className="stats-overlay" aria-label="Connection statistics">
+      {title && <div className="stats-title">{title}</div>}
+      <div>RTT {formatMs(stats.rttMs)} · Jitter {formatMs(stats.jitterMs)}</div>
+      <div>Loss {formatLoss(stats.loss)} in · {formatLoss(stats.sendLoss)} out</div>
+      <div>↓ {formatBitrate(stats.inbound.bitrate)} · {formatVideo(stats.inbound)}</div>
+      <div>↑ {formatBitrate(stats.outbound.bitrate)} · {formatVideo(stats.outbound)}</div>
+      <div>
+        Path: {stats.candidateType || '–'} ({describeCandidateType(stats.candidateType)})
+        {adaptiveStep > 0 && ` · reduced ×${adaptiveStep}`}
+      </div>
+    </div>
+  );
+};
+
+export default StatsOverlay;
@@ -1,35 +1,217 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import PeerDirectory from './PeerDirectory';
+import IncomingCall from './IncomingCall';
+import RoomPanel from './RoomPanel';
+import VideoTile from './VideoTile';
+import LoginForm from './LoginForm';
+import FileTransferEntry from './FileTransferEntry';
+import ChatMessage from './ChatMessage';
+import ChatSecurity from './ChatSecurity';
+import ConversationList from './ConversationList';
+import MediaControls from './MediaControls';
+import StatsOverlay from './StatsOverlay';
+import VideoEffectsPanel from './VideoEffectsPanel';
+import CaptionOverlay from './CaptionOverlay';
+import { getClientId, saveClientId, getSavedDisplayName, saveDisplayName } from '../utils/identity';
+import { getSavedSession, saveSession, clearSession, requestSession } from '../utils/auth';
+import { createFileTransferManager, FILE_CHANNEL_LABEL, FILE_CHANNEL_ID } from '../utils/fileTransfer';
+import { getSavedDevices, saveDevices, listMediaDevices } from '../utils/devices';
+import { createCallRecorder, canRecord } from '../utils/recorder';
+import { formatElapsed } from '../utils/format';
+import { formatFileSize } from '../utils/fileTransfer';
+import {
+  createClientMessageId, openChatMessage, getDeliveryStatus, mergeReceipts, bumpConversation
+} from '../utils/chat';
+import {
+  canEncryptChat, encryptChatText, agreeFirstContactKey, getPublicIdentity, getPeerSecurity, markPeerVerified
+} from '../utils/e2ee';
+import { createSecureChat, CHAT_CHANNEL_LABEL, CHAT_CHANNEL_ID } from '../utils/secureChat';
+import { summarizeStats, STATS_INTERVAL_MS } from '../utils/callStats';
+import {
+  getSavedQuality, saveQuality, getVideoConstraints, getEncoding, applySenderEncoding, createAdaptivePolicy
+} from '../utils/quality';
+import {
+  createVideoEffectsPipeline, getSavedEffects, saveEffects, hasActiveEffects, canProcessVideo, loadBackgroundImage
+} from '../utils/videoEffects';
+import { createCaptionChannels, createTranscript, CAPTION_CHANNEL_LABEL, CAPTION_CHANNEL_ID } from '../utils/captions';
+import { createSpeechEngine, listSpeechEngines, getSavedSpeechEngine, saveSpeechEngine } from '../utils/speech';
+import { getDefaultServerAddress, discoverServerAddress, getServerUrl, withServerHost } from '../utils/server';
 import './VideoCall.css';
 
+// peerConnectionsRef key for the single connection to the server in 'sfu' rooms
+const SFU_CONNECTION_KEY = 'sfu';
+// Chat messages fetched per history page
+const CHAT_PAGE_SIZE = 30;
+// The server rejects longer chat messages
+const CHAT_MAX_LENGTH = 4000;
+// Signaling reconnects back off exponentially between these bounds
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// How long a peer connection may sit 'disconnected' before we restart ICE,
+// and how often to retry while it stays broken
+const ICE_RESTART_DELAY_MS = 3000;
+const ICE_RESTART_RETRY_MS = 10000;
+// A call whose media has not come back after this long is hung up as
+// 'connection-failed'
+const ICE_GIVE_UP_MS = 45000;
+// How long "Call ended" stays up after a hangup
+const CALL_ENDED_NOTICE_MS = 5000;
+// Typing indicators: we repeat "typing" this often while keys are pressed and
+// send "stopped" after a pause; a peer's indicator expires on its own in case
+// the stop never arrives
+const TYPING_REPEAT_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+const TYPING_EXPIRE_MS = 6000;
+// How long a caption stays on a tile after its speaker goes quiet
+const CAPTION_LINGER_MS = 4000;
+
+// Hangup reason codes from the server, as told to the other participant
+const HANGUP_REASON_TEXT = {
+  normal: 'hung up',
+  cancelled: 'left for another call',
+  disconnected: 'went offline',
+  'connection-failed': 'lost the connection'
+};
+
 const VideoCall = () => {
   const [localIP, setLocalIP] = useState('');
-  const [serverIP, setServerIP] = useState('localhost');
-  const [peerIP, setPeerIP] = useState('');
+  const [serverAddress, setServerAddress] = useState(getDefaultServerAddress); // host:port
+  const [networkAddress, setNetworkAddress] = useState(''); // how others on the LAN reach the server
+  // Session id of the 1:1 call peer (routing) and their persistent id (chat)
+  const [peerId, setPeerId] = useState('');
+  const [peerClientId, setPeerClientId] = useState('');
   const [isConnected, setIsConnected] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [error, setError] = useState('');
   const [localVideoStarted, setLocalVideoStarted] = useState(false);
-  const [messages, setMessages] = useState([]); // {id, fromIP, text, timestamp, outgoing}
+  // Chat entries; file entries carry `transferId` instead of text
+  // {id, serverId, clientMessageId, fromClientId, text, encrypted, undecryptable, timestamp, outgoing,
+  //  editedAt, deleted, reactions, transferId}
+  const [messages, setMessages] = useState([]);
+  const [transfers, setTransfers] = useState({}); // id -> file transfer snapshot
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
   const [chatInput, setChatInput] = useState('');
+  const [editingId, setEditingId] = useState(null); // serverId of the message being edited
+  const [peerReceipts, setPeerReceipts] = useState({ delivered: 0, read: 0 }); // how far the peer got
+  const [peerTyping, setPeerTyping] = useState(false);
+  // {hasKey, safetyNumber, verified, identityChanged, keyMismatch} for the chat peer
+  const [chatSecurity, setChatSecurity] = useState(null);
+  const [showChatSecurity, setShowChatSecurity] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
+  // Everyone we have chatted with: {peerClientId, name, unread, preview}, most recent first
+  const [conversations, setConversations] = useState([]);
   const [isChatOpen, setIsChatOpen] = useState(true);
+  const [displayName, setDisplayName] = useState(getSavedDisplayName);
+  const [selfId, setSelfId] = useState('');
+  const [peers, setPeers] = useState([]); // {id, clientId, name, status, localIP}
+  const [call, setCall] = useState(null); // {callId, peerId, peerClientId, peerName, direction, state}
+  const [room, setRoom] = useState(null); // {name, mode, members: [{id, clientId, name, localIP}]}
+  const [rooms, setRooms] = useState([]); // {name, size}
+  const [remotePeers, setRemotePeers] = useState([]); // {peerId, name, stream, screenStream}
+  // What each remote participant says they are sending, keyed by session id
+  const [peerMedia, setPeerMedia] = useState({}); // {audioMuted, videoMuted, screen, screenWithCamera, recording}
+  const [micMuted, setMicMuted] = useState(false);
+  const [cameraOff, setCameraOff] = useState(false);
+  const [devices, setDevices] = useState({ audioinput: [], videoinput: [], audiooutput: [] });
+  const [selectedDevices, setSelectedDevices] = useState(getSavedDevices); // kind -> deviceId
+  const [recording, setRecording] = useState(null); // {startedAt}
+  const [recordingNow, setRecordingNow] = useState(Date.now());
+  const [lastRecording, setLastRecording] = useState(null); // {url, name, size, durationMs}
+  const [screenShare, setScreenShare] = useState(null); // {stream, withCamera}
+  const [shareWithCamera, setShareWithCamera] = useState(false);
+  const [session, setSession] = useState(getSavedSession); // {token, user}
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false); // the server lists this account as an admin
+  const [reconnectAttempt, setReconnectAttempt] = useState(0); // 0 while the socket is up
+  const [callEnded, setCallEnded] = useState(''); // notice shown briefly after a hangup
+  const [quality, setQuality] = useState(getSavedQuality); // QUALITY_PRESETS key
+  const [showStats, setShowStats] = useState(false);
+  const [callStats, setCallStats] = useState({}); // connection key -> stats summary plus adaptiveStep
+  const [videoEffects, setVideoEffects] = useState(getSavedEffects); // see DEFAULT_EFFECTS
+  const [showEffects, setShowEffects] = useState(false);
+  const [segmenterStatus, setSegmenterStatus] = useState(null); // 'loading' | 'ready' | 'unavailable'
+  const [captionsOn, setCaptionsOn] = useState(false); // transcribing our microphone
+  const [speechEngine, setSpeechEngine] = useState(getSavedSpeechEngine);
+  const [captions, setCaptions] = useState({}); // 'local' or session id -> latest segment on that tile
+  const [lastTranscript, setLastTranscript] = useState(null); // {name, lines, vttUrl, textUrl}
 
   const localVideoRef = useRef(null);
-  const remoteVideoRef = useRef(null);
-  const peerConnectionRef = useRef(null);
+  // One RTCPeerConnection per remote participant, keyed by their session id
+  const peerConnectionsRef = useRef(new Map());
   const wsRef = useRef(null);
   const localStreamRef = useRef(null);
   const chatEndRef = useRef(null);
+  const messagesListRef = useRef(null);
+  // Scroll height before older messages were prepended, to keep the view in place
+  const prependScrollRef = useRef(null);
+  // Mirrors `call` so signaling handlers bound at connect time see the latest value
+  const callRef = useRef(null);
+  const roomRef = useRef(null);
+  const clientIdRef = useRef(getClientId());
+  // Our session id, offered back to the server when resuming after a drop
+  const selfIdRef = useRef('');
+  // Set once the server has registered us; a drop after that reconnects
+  const registeredRef = useRef(false);
+  const reconnectTimerRef = useRef(null);
+  const reconnectAttemptRef = useRef(0);
+  // Reconnect timers must call the latest render's connectToServer
+  const connectToServerRef = useRef(null);
+  const iceRestartTimersRef = useRef(new Map());
+  const iceBrokenSinceRef = useRef(new Map()); // peer key -> when its connection went bad
+  // STUN/TURN servers handed out by the signaling server when we register
+  const iceServersRef = useRef([]);
+  // SFU rooms: which m-line carries whose media, and one stream per publisher
+  const sfuMidsRef = useRef({});
+  const sfuStreamsRef = useRef(new Map());
+  const sfuPublishMidsRef = useRef({});
+  const screenShareRef = useRef(null);
+  // Mirror micMuted/cameraOff for media-state messages sent from handlers
+  const micMutedRef = useRef(false);
+  const cameraOffRef = useRef(false);
+  const qualityRef = useRef(getSavedQuality());
+  // Effects to apply, and the pipeline applying them while any are on. The
+  // pipeline's output is the video track in localStreamRef; the camera track
+  // itself is pipeline.getSource().
+  const videoEffectsRef = useRef(getSavedEffects());
+  const effectsPipelineRef = useRef(null);
+  // Caption channels to every peer, our running speech engine, and the
+  // transcript of the call in progress
+  const captionChannelsRef = useRef(null);
+  const captionEngineRef = useRef(null);
+  const transcriptRef = useRef(null);
+  const captionTimersRef = useRef(new Map()); // tile key -> timer clearing its caption
+  const startCaptionsRef = useRef(null);
+  const finishTranscriptRef = useRef(null);
+  // Connection key -> last stats sample, and -> { policy, applied } for the
+  // sender encoding last set on that connection
+  const statsSamplesRef = useRef(new Map());
+  const senderQualityRef = useRef(new Map());
+  const adaptSenderQualityRef = useRef(null);
+  const recorderRef = useRef(null);
+  // What the recorder draws, refreshed on every render: [{id, stream, label}]
+  const recordingSourcesRef = useRef([]);
+  const fileTransfersRef = useRef(null);
+  const secureChatRef = useRef(null);
+  // chat-message frames the server has not acknowledged yet, by clientMessageId;
+  // sent again after reconnecting so nothing typed while offline is lost
+  const outboxRef = useRef(new Map());
+  // clientMessageIds of chat messages that arrived over a DataChannel
+  const directChatIdsRef = useRef(new Set());
+  const fileInputRef = useRef(null);
+  const peerClientIdRef = useRef('');
+  const typingSentAtRef = useRef(0); // when we last said we were typing, 0 when not
+  const typingIdleTimerRef = useRef(null);
+  const peerTypingTimerRef = useRef(null);
+  const lastReadSentRef = useRef(0);
 
   // Get local IP address
   useEffect(() => {
     const getLocalIPAddress = async () => {
       try {
-        // Try WebRTC trick to get local IP
-        const pc = new RTCPeerConnection({
-          iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
-        });
+        // Try WebRTC trick to get local IP; host candidates need no STUN server
+        const pc = new RTCPeerConnection();
         pc.createDataChannel('');
         const offer = await pc.createOffer();
         await pc.setLocalDescription(offer);
@@ -53,22 +235,73 @@ const VideoCall = () => {
     getLocalIPAddress();
   }, []);
 
+  // Find the signaling server's port from wherever this page was served
+  useEffect(() => {
+    let cancelled = false;
+    discoverServerAddress().then((address) => {
+      if (!cancelled) setServerAddress(address);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Sign in (or create an account) over HTTP, then open the signaling socket
+  const signIn = async (mode, credentials) => {
+    setIsSigningIn(true);
+    setError('');
+    try {
+      const next = await requestSession(getServerUrl(serverAddress), mode, credentials);
+      saveSession(next);
+      setSession(next);
+      if (!displayName) setDisplayName(next.user.displayName);
+      connectToServer(next);
+    } catch (err) {
+      console.error('Sign-in failed:', err);
+      setError(err.message || 'Sign-in failed. Make sure the server is running.');
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  const signOut = () => {
+    clearSession();
+    setSession(null);
+  };
+
   // Connect to signaling server
-  const connectToServer = () => {
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${serverIP}:3001`;
-    
+  // `resumeSessionId` asks the server to hand back the session (calls, room)
+  // we had before the socket dropped
+  const connectToServer = (activeSession = session, { resumeSessionId } = {}) => {
+    if (!activeSession) {
+      setError('Please sign in first');
+      return;
+    }
+    const wsUrl = `${getServerUrl(serverAddress, 'ws')}/?token=${encodeURIComponent(activeSession.token)}`;
+
     try {
       const ws = new WebSocket(wsUrl);
       wsRef.current = ws;
 
-      ws.onopen = () => {
+      ws.onopen = async () => {
         console.log('Connected to signaling server');
         setError('');
-        // Register with server
+        // Register with server, publishing our chat identity key so people we
+        // have never been connected with can encrypt to us
+        let identity = null;
+        try {
+          if (canEncryptChat()) identity = await getPublicIdentity();
+        } catch (err) {
+          console.error('Could not load the chat identity key:', err);
+        }
+        if (ws.readyState !== WebSocket.OPEN) return;
         ws.send(JSON.stringify({
           type: 'register',
-          localIP: localIP
+          token: activeSession.token,
+          localIP: localIP,
+          name: displayName,
+          ...(resumeSessionId ? { resumeSessionId } : {}),
+          ...(identity ? { identityKey: identity.identityKey, deviceId: identity.deviceId } : {})
         }));
       };
 
@@ -79,11 +312,20 @@ const VideoCall = () => {
 
       ws.onerror = (err) => {
         console.error('WebSocket error:', err);
-        setError('Failed to connect to signaling server. Make sure the server is running.');
+        if (!registeredRef.current) {
+          setError('Failed to connect to signaling server. Make sure the server is running and that you are signed in.');
+        }
       };
 
       ws.onclose = () => {
         console.log('Disconnected from signaling server');
+        // Closed on purpose, or already replaced by a newer socket
+        if (wsRef.current !== ws) return;
+        wsRef.current = null;
+        if (registeredRef.current) {
+          scheduleReconnect();
+          return;
+        }
         setIsConnected(false);
         setConnectionStatus('disconnected');
       };
@@ -93,13 +335,144 @@ const VideoCall = () => {
     }
   };
 
+  useEffect(() => {
+    connectToServerRef.current = connectToServer;
+  });
+
+  // Keep the call UI up and retry with exponential backoff (plus jitter)
+  const scheduleReconnect = () => {
+    const attempt = reconnectAttemptRef.current + 1;
+    reconnectAttemptRef.current = attempt;
+    setReconnectAttempt(attempt);
+    const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+    console.log(`Reconnecting to signaling server in ${Math.round(delay / 1000)}s (attempt ${attempt})`);
+    reconnectTimerRef.current = setTimeout(() => {
+      reconnectTimerRef.current = null;
+      const saved = getSavedSession();
+      if (!saved) {
+        // The session token expired while we were away
+        disconnect();
+        signOut();
+        setError('Your session expired. Please sign in again.');
+        return;
+      }
+      connectToServerRef.current(saved, { resumeSessionId: selfIdRef.current });
+    }, delay * (0.8 + Math.random() * 0.4));
+  };
+
+  // Back on the server after a drop: either the old session is ours again
+  // and only broken media paths need fixing, or it expired and calls are gone
+  const handleReconnected = (resumed) => {
+    if (resumed) {
+      peerConnectionsRef.current.forEach((pc, key) => {
+        if (key !== SFU_CONNECTION_KEY && ['disconnected', 'failed'].includes(pc.iceConnectionState)) {
+          scheduleIceRestart(key, 0);
+        }
+      });
+      sendMediaState();
+      return;
+    }
+    if (callRef.current || roomRef.current) {
+      setError('Reconnected, but the call ended while you were offline');
+    }
+    closePeerConnection();
+    updateCall(null);
+    updateRoom(null);
+  };
+
   // Handle signaling messages
   const handleSignalingMessage = async (data) => {
     switch (data.type) {
-      case 'registered':
-        setServerIP(data.serverIP || serverIP);
+      case 'registered': {
+        const wasReconnecting = reconnectAttemptRef.current > 0;
+        reconnectAttemptRef.current = 0;
+        setReconnectAttempt(0);
+        registeredRef.current = true;
+        selfIdRef.current = data.id || '';
+        // Only shown: switching hosts would lose a certificate accepted for this one
+        if (data.serverIP) setNetworkAddress(withServerHost(serverAddress, data.serverIP));
+        if (Array.isArray(data.iceServers)) iceServersRef.current = data.iceServers;
+        setSelfId(data.id || '');
+        if (data.clientId) {
+          clientIdRef.current = data.clientId;
+          saveClientId(data.clientId);
+        }
+        setDisplayName(data.name || displayName);
+        saveDisplayName(data.name);
+        setIsAdmin(!!data.admin);
         setIsConnected(true);
         setConnectionStatus('connected');
+        if (wasReconnecting) handleReconnected(!!data.resumed);
+        // The server skips any it already stored before the connection dropped
+        outboxRef.current.forEach((frame) => sendSignal(frame));
+        break;
+      }
+
+      case 'error':
+        console.warn('Server error:', data.code, data.message);
+        if (data.code === 'unauthorized') signOut();
+        setError(data.message || 'The server rejected a request');
+        break;
+
+      case 'ice-servers':
+        // Fresh TURN credentials before the old ones expire; connections pick
+        // them up the next time they gather candidates (e.g. an ICE restart)
+        if (Array.isArray(data.iceServers)) {
+          iceServersRef.current = data.iceServers;
+          peerConnectionsRef.current.forEach((pc) => {
+            try {
+              pc.setConfiguration({ ...pc.getConfiguration(), iceServers: data.iceServers });
+            } catch (err) {
+              console.warn('Could not update ICE servers:', err);
+            }
+          });
+        }
+        break;
+
+      case 'server-shutdown':
+        // The socket closes next and the usual reconnect takes over
+        console.log('Signaling server is shutting down');
+        setError(`${data.message || 'The server is restarting'}. Reconnecting when it is back…`);
+        break;
+
+      case 'kicked':
+        // An administrator ended the session and revoked its token
+        disconnect();
+        signOut();
+        setError(data.message || 'An administrator ended your session');
+        break;
+
+      case 'presence':
+        setPeers(Array.isArray(data.peers) ? data.peers : []);
+        setRooms(Array.isArray(data.rooms) ? data.rooms : []);
+        break;
+
+      case 'room-joined':
+      case 'room-member-joined':
+      case 'room-member-left':
+      case 'room-full':
+        await handleRoomSignal(data);
+        break;
+
+      case 'sfu-offer':
+        await handleSfuOffer(data);
+        break;
+
+      case 'media-state':
+        if (data.fromId) {
+          setPeerMedia((prev) => ({ ...prev, [data.fromId]: data.state || {} }));
+        }
+        break;
+
+      case 'call-ringing':
+      case 'call-invite':
+      case 'call-accept':
+      case 'call-decline':
+      case 'call-cancel':
+      case 'call-timeout':
+      case 'busy':
+      case 'hangup':
+        handleCallSignal(data);
         break;
 
       case 'offer':
@@ -110,38 +483,977 @@ const VideoCall = () => {
         await handleAnswer(data);
         break;
 
-      case 'ice-candidate':
-        await handleIceCandidate(data);
-        break;
+      case 'ice-candidate':
+        await handleIceCandidate(data);
+        break;
+
+      case 'chat-message':
+        handleIncomingChatMessage(data);
+        break;
+
+      case 'chat-history':
+        handleChatHistory(data);
+        break;
+
+      case 'chat-delivery':
+        handleChatDelivery(data);
+        break;
+
+      case 'chat-conversations':
+        handleConversations(data.conversations);
+        break;
+
+      case 'chat-receipt':
+        if (data.peerClientId === peerClientIdRef.current) {
+          setPeerReceipts((prev) => mergeReceipts(prev, data));
+        }
+        break;
+
+      case 'chat-typing':
+        if (data.fromClientId === peerClientIdRef.current) showPeerTyping(data.typing);
+        break;
+
+      case 'chat-update':
+        handleChatUpdate(data.message);
+        break;
+
+      case 'chat-cleared':
+        // An administrator deleted the history with this peer
+        setConversations((prev) => prev.filter((c) => c.peerClientId !== data.peerClientId));
+        if (data.peerClientId === peerClientIdRef.current) {
+          setMessages((prev) => prev.filter((m) => m.transferId));
+          setHasOlderMessages(false);
+          setPeerReceipts({ delivered: 0, read: 0 });
+        }
+        break;
+
+      default:
+        console.log('Unknown message type:', data.type);
+    }
+  };
+
+  const updateCall = (next) => {
+    callRef.current = next;
+    setCall(next);
+  };
+
+  const sendSignal = (data) => {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify(data));
+    }
+  };
+
+  // Ring someone from the directory; media starts only once they accept
+  const startCall = (peer) => {
+    if (callRef.current) return;
+    setError('');
+    setCallEnded('');
+    updateCall({
+      callId: null,
+      peerId: peer.id,
+      peerClientId: peer.clientId,
+      peerName: peer.name,
+      direction: 'outgoing',
+      state: 'ringing'
+    });
+    sendSignal({ type: 'call-invite', targetId: peer.id });
+  };
+
+  const cancelCall = () => {
+    const current = callRef.current;
+    if (current && current.callId) {
+      sendSignal({ type: 'call-cancel', callId: current.callId });
+    }
+    updateCall(null);
+  };
+
+  const acceptCall = async () => {
+    const current = callRef.current;
+    if (!current || current.direction !== 'incoming') return;
+    await startLocalVideo();
+    updateCall({ ...current, state: 'active' });
+    setPeerId(current.peerId);
+    setPeerClientId(current.peerClientId);
+    sendSignal({ type: 'call-accept', callId: current.callId });
+  };
+
+  // End an active call: the server tells only the other participant.
+  // `reason` is one of the server's hangup reasons.
+  const hangUp = (reason = 'normal') => {
+    const current = callRef.current;
+    if (!current || current.state !== 'active') return;
+    sendSignal({ type: 'hangup', callId: current.callId, reason });
+    closePeerConnection(current.peerId);
+    updateCall(null);
+    setError('');
+    setCallEnded(reason === 'connection-failed' ? `Call ended · lost the connection to ${current.peerName}` : 'Call ended');
+  };
+
+  const declineCall = () => {
+    const current = callRef.current;
+    if (current && current.direction === 'incoming') {
+      sendSignal({ type: 'call-decline', callId: current.callId });
+    }
+    updateCall(null);
+  };
+
+  // Call setup messages from the server
+  const handleCallSignal = (data) => {
+    const current = callRef.current;
+
+    if (data.type === 'call-invite') {
+      setCallEnded('');
+      if (current || roomRef.current) {
+        // Already ringing or talking to someone else
+        sendSignal({ type: 'busy', callId: data.callId });
+        return;
+      }
+      updateCall({
+        callId: data.callId,
+        peerId: data.fromId,
+        peerClientId: data.fromClientId,
+        peerName: data.fromName || 'Unknown caller',
+        direction: 'incoming',
+        state: 'ringing'
+      });
+      return;
+    }
+
+    if (!current) return;
+    const matches = data.callId
+      ? current.callId === data.callId || (!current.callId && data.targetId === current.peerId)
+      : data.targetId === current.peerId;
+    if (!matches) return;
+
+    switch (data.type) {
+      case 'call-ringing':
+        updateCall({ ...current, callId: data.callId });
+        break;
+      case 'call-accept':
+        updateCall({ ...current, state: 'active' });
+        connectToPeer(current.peerId, current.peerName);
+        break;
+      case 'call-decline':
+        updateCall(null);
+        setError(data.reason === 'unavailable'
+          ? `${current.peerName} is no longer online`
+          : `${current.peerName} declined the call`);
+        break;
+      case 'busy':
+        updateCall(null);
+        setError(`${current.peerName} is busy in another call`);
+        break;
+      case 'call-timeout':
+        updateCall(null);
+        setError(current.direction === 'outgoing'
+          ? `${current.peerName} did not answer`
+          : `Missed call from ${current.peerName}`);
+        break;
+      case 'hangup':
+        closePeerConnection(current.peerId);
+        updateCall(null);
+        setError('');
+        setCallEnded(`Call ended · ${current.peerName} ${HANGUP_REASON_TEXT[data.reason] || HANGUP_REASON_TEXT.normal}`);
+        break;
+      case 'call-cancel':
+        updateCall(null);
+        if (current.state === 'ringing') {
+          setError(`Missed call from ${current.peerName}`);
+        } else {
+          closePeerConnection();
+          setError(`${current.peerName} left the call`);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const updateRoom = (next) => {
+    roomRef.current = next;
+    setRoom(next);
+  };
+
+  const joinRoom = async (name, mode) => {
+    if (callRef.current) return;
+    setError('');
+    await startLocalVideo();
+    sendSignal({ type: 'join-room', room: name, mode });
+  };
+
+  const leaveRoom = () => {
+    sendSignal({ type: 'leave-room' });
+    updateRoom(null);
+    closePeerConnection();
+  };
+
+  // Room membership messages. In mesh rooms the newcomer offers to everyone
+  // already present; in SFU rooms the server sends the offer instead.
+  const handleRoomSignal = async (data) => {
+    const current = roomRef.current;
+    switch (data.type) {
+      case 'room-joined': {
+        const members = Array.isArray(data.members) ? data.members : [];
+        const mode = data.mode === 'sfu' ? 'sfu' : 'mesh';
+        updateRoom({ name: data.room, mode, members });
+        if (mode === 'sfu') {
+          setIsConnecting(true);
+          sendMediaState();
+          break;
+        }
+        for (const member of members) {
+          await connectToPeer(member.id, member.name);
+        }
+        break;
+      }
+      case 'room-member-joined':
+        if (!current || current.name !== data.room || !data.member) return;
+        updateRoom({
+          ...current,
+          members: [...current.members.filter((m) => m.id !== data.member.id), data.member]
+        });
+        // Mesh peers hear about it when the connection is set up
+        if (current.mode === 'sfu') sendMediaState(data.member.id);
+        break;
+      case 'room-member-left':
+        if (!current || current.name !== data.room || !data.member) return;
+        updateRoom({
+          ...current,
+          members: current.members.filter((m) => m.id !== data.member.id)
+        });
+        closePeerConnection(data.member.id);
+        break;
+      case 'room-full':
+        setError(`Room "${data.room}" is full (${data.maxMembers} people max)`);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Single connection to the server's forwarding unit for 'sfu' rooms
+  const initializeSfuConnection = () => {
+    const pc = new RTCPeerConnection({ iceServers: iceServersRef.current });
+    peerConnectionsRef.current.set(SFU_CONNECTION_KEY, pc);
+
+    // Each forwarded track arrives on its own m-line; group them per publisher
+    pc.ontrack = (event) => {
+      const info = sfuMidsRef.current[event.transceiver.mid];
+      if (!info) return;
+      console.log('Received forwarded track:', event.track.kind, 'from', info.name);
+      const streams = sfuStreamsRef.current;
+      const stream = streams.get(info.id) || new MediaStream();
+      stream.getTracks()
+        .filter((t) => t.kind === event.track.kind && t !== event.track)
+        .forEach((t) => stream.removeTrack(t));
+      if (!stream.getTracks().includes(event.track)) stream.addTrack(event.track);
+      streams.set(info.id, stream);
+      setRemotePeers((prev) => [
+        ...prev.filter((p) => p.peerId !== info.id),
+        { peerId: info.id, name: info.name, stream }
+      ]);
+    };
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        sendSignal({ type: 'sfu-ice-candidate', candidate: event.candidate });
+      }
+    };
+
+    pc.onconnectionstatechange = () => {
+      const state = pc.connectionState;
+      console.log('SFU connection state changed:', state);
+      if (peerConnectionsRef.current.get(SFU_CONNECTION_KEY) !== pc) return;
+      setConnectionStatus(state);
+      if (state === 'failed') {
+        setError('Lost the connection to the media server. Please rejoin the room.');
+        setIsConnecting(false);
+      } else if (state === 'connected') {
+        setIsConnecting(false);
+        setError('');
+      }
+    };
+
+    return pc;
+  };
+
+  // The server (re)offers whenever someone starts or stops publishing
+  const handleSfuOffer = async (data) => {
+    const current = roomRef.current;
+    if (!current || current.mode !== 'sfu' || current.name !== data.room) return;
+    const pc = peerConnectionsRef.current.get(SFU_CONNECTION_KEY) || initializeSfuConnection();
+    sfuMidsRef.current = data.streams || {};
+    sfuPublishMidsRef.current = data.publishMids || {};
+
+    try {
+      await pc.setRemoteDescription(new RTCSessionDescription(data.offer));
+
+      // Publish our camera and mic on the m-lines the server set aside for them
+      const publishMids = data.publishMids || {};
+      for (const transceiver of pc.getTransceivers()) {
+        const kind = Object.keys(publishMids).find((k) => publishMids[k] === transceiver.mid);
+        const track = kind && getPublishTrack(kind);
+        if (track && transceiver.sender.track !== track) {
+          await transceiver.sender.replaceTrack(track);
+          transceiver.direction = 'sendonly';
+        }
+      }
+
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      sendSignal({ type: 'sfu-answer', answer });
+    } catch (err) {
+      console.error('Error handling SFU offer:', err);
+      setError('Failed to connect to the media server');
+      setIsConnecting(false);
+    }
+  };
+
+  // Who a remote session belongs to, for tile labels
+  const getPeerName = (id) => {
+    const member = roomRef.current && roomRef.current.members.find((m) => m.id === id);
+    if (member) return member.name;
+    if (callRef.current && callRef.current.peerId === id) return callRef.current.peerName;
+    return 'Peer';
+  };
+
+  const getPeerNameByClientId = (clientId) => {
+    const member = roomRef.current && roomRef.current.members.find((m) => m.clientId === clientId);
+    if (member) return member.name;
+    if (callRef.current && callRef.current.peerClientId === clientId) return callRef.current.peerName;
+    return '';
+  };
+
+  const getPeerClientId = (id) => {
+    const member = roomRef.current && roomRef.current.members.find((m) => m.id === id);
+    if (member) return member.clientId;
+    if (callRef.current && callRef.current.peerId === id) return callRef.current.peerClientId;
+    return '';
+  };
+
+  // File transfers run peer to peer and survive reconnects, so one manager
+  // lives for the whole signaling session
+  const getFileTransfers = () => {
+    if (!fileTransfersRef.current) {
+      fileTransfersRef.current = createFileTransferManager({
+        onAdded: (transfer) => {
+          setTransfers((prev) => ({ ...prev, [transfer.id]: transfer }));
+          setMessages((prev) => [...prev, {
+            id: `file-${transfer.id}`,
+            transferId: transfer.id,
+            fromClientId: transfer.direction === 'outgoing' ? clientIdRef.current : transfer.peerKey,
+            timestamp: transfer.timestamp,
+            outgoing: transfer.direction === 'outgoing'
+          }]);
+        },
+        onUpdate: (transfer) => {
+          setTransfers((prev) => ({ ...prev, [transfer.id]: transfer }));
+        }
+      });
+    }
+    return fileTransfersRef.current;
+  };
+
+  // Encrypted chat over each peer connection, for the whole signaling session
+  const getSecureChat = () => {
+    if (!secureChatRef.current) {
+      secureChatRef.current = createSecureChat({
+        getSelfClientId: () => clientIdRef.current,
+        onMessage: (peerKey, { clientMessageId, timestamp, text, undecryptable }) => {
+          if (directChatIdsRef.current.has(clientMessageId)) return;
+          directChatIdsRef.current.add(clientMessageId);
+          const entry = {
+            id: clientMessageId,
+            serverId: null,
+            clientMessageId,
+            fromClientId: peerKey,
+            text: text || '',
+            encrypted: true,
+            undecryptable,
+            timestamp,
+            outgoing: false,
+            editedAt: null,
+            deleted: false,
+            reactions: {}
+          };
+          noteConversationMessage(peerKey, getPeerNameByClientId(peerKey), entry);
+          if (peerKey !== peerClientIdRef.current) return;
+          showPeerTyping(false);
+          setMessages((prev) => (prev.some((m) => m.clientMessageId === clientMessageId) ? prev : [...prev, entry]));
+          if (!isChatOpen) {
+            setUnreadCount((c) => c + 1);
+          }
+        },
+        onStored: storeDirectChatMessage,
+        onSecurityChange: (peerKey, { keyMismatch }) => {
+          if (peerKey !== peerClientIdRef.current) return;
+          setChatSecurity({ ...getPeerSecurity(peerKey), keyMismatch });
+        }
+      });
+    }
+    return secureChatRef.current;
+  };
+
+  // Captions from everyone we are connected to, for the whole signaling session
+  const getCaptionChannels = () => {
+    if (!captionChannelsRef.current) {
+      captionChannelsRef.current = createCaptionChannels({
+        onCaption: (peerKey, segment) => {
+          if (transcriptRef.current) transcriptRef.current.add(peerKey, getPeerName(peerKey), segment);
+          showCaption(peerKey, segment);
+        }
+      });
+    }
+    return captionChannelsRef.current;
+  };
+
+  // Latest words on a tile, cleared once the speaker has been quiet a while
+  const showCaption = (key, segment) => {
+    clearTimeout(captionTimersRef.current.get(key));
+    setCaptions((prev) => ({ ...prev, [key]: segment }));
+    captionTimersRef.current.set(key, setTimeout(() => {
+      captionTimersRef.current.delete(key);
+      setCaptions((prev) => {
+        const { [key]: removed, ...rest } = prev;
+        return rest;
+      });
+    }, CAPTION_LINGER_MS));
+  };
+
+  const stopCaptions = () => {
+    if (captionEngineRef.current) {
+      captionEngineRef.current.stop();
+      captionEngineRef.current = null;
+    }
+  };
+
+  // Transcribe our microphone with the chosen engine; what it hears is shown
+  // on our tile, sent to everyone and added to the transcript
+  const startCaptions = () => {
+    stopCaptions();
+    const track = localStreamRef.current && localStreamRef.current.getAudioTracks()[0];
+    if (!track) return;
+    const failed = (err) => {
+      console.error('Captions stopped:', err);
+      setError(err.message);
+      setCaptionsOn(false);
+    };
+    let engine;
+    try {
+      engine = createSpeechEngine(speechEngine, {
+        track,
+        onSegment: (segment) => {
+          getCaptionChannels().send(segment);
+          if (transcriptRef.current) transcriptRef.current.add('local', displayName || 'You', segment);
+          showCaption('local', segment);
+        },
+        onError: (err) => {
+          if (captionEngineRef.current === engine) failed(err);
+        }
+      });
+    } catch (err) {
+      failed(err);
+      return;
+    }
+    captionEngineRef.current = engine;
+    engine.start();
+  };
+
+  const selectSpeechEngine = (name) => {
+    setSpeechEngine(name);
+    saveSpeechEngine(name);
+  };
+
+  // At hang-up the transcript, if anyone said anything, is offered as
+  // WebVTT subtitles and as plain text
+  const finishTranscript = () => {
+    const transcript = transcriptRef.current;
+    transcriptRef.current = null;
+    if (!transcript || transcript.size === 0) return;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    setLastTranscript((prev) => {
+      if (prev) {
+        URL.revokeObjectURL(prev.vttUrl);
+        URL.revokeObjectURL(prev.textUrl);
+      }
+      return {
+        name: `call-transcript-${stamp}`,
+        lines: transcript.size,
+        vttUrl: URL.createObjectURL(new Blob([transcript.toVtt()], { type: 'text/vtt' })),
+        textUrl: URL.createObjectURL(new Blob([transcript.toText()], { type: 'text/plain' }))
+      };
+    });
+  };
+
+  useEffect(() => {
+    startCaptionsRef.current = startCaptions;
+    finishTranscriptRef.current = finishTranscript;
+  });
+
+  // Outgoing tracks. Mesh connections carry an audio m-line, the camera's
+  // video m-line and a screen slot; SFU connections publish one audio and one
+  // video m-line. Device switches and screen shares swap tracks on those
+  // senders with replaceTrack, so nothing is renegotiated.
+  //
+  // Screen sharing. A share normally takes the camera's place on the existing
+  // video sender (replaceTrack, no renegotiation). Mesh connections also
+  // reserve a second video m-line at setup so the screen can go out alongside
+  // the camera. SFU rooms only publish one video track, so there the screen
+  // always replaces the camera.
+  const getVideoTransceivers = (pc) => pc.getTransceivers().filter(
+    (t) => t.receiver.track && t.receiver.track.kind === 'video'
+  );
+
+  // Track we send as `kind` when there is only one video slot
+  const getPublishTrack = (kind) => {
+    const share = screenShareRef.current;
+    if (kind === 'video' && share) return share.stream.getVideoTracks()[0];
+    const localStream = localStreamRef.current;
+    return (localStream && localStream.getTracks().find((t) => t.kind === kind)) || null;
+  };
+
+  const getCameraTrack = () => (localStreamRef.current && localStreamRef.current.getVideoTracks()[0]) || null;
+
+  // The track straight from the camera, for constraints; getCameraTrack is
+  // what gets sent
+  const getCaptureTrack = () => (
+    effectsPipelineRef.current ? effectsPipelineRef.current.getSource() : getCameraTrack()
+  );
+
+  // Route the camera in `stream` through the effects pipeline, if any effects
+  // are on. Returns whether the stream's video track changed.
+  const attachVideoEffects = (stream) => {
+    const camera = stream.getVideoTracks()[0];
+    if (effectsPipelineRef.current || !camera || !canProcessVideo() || !hasActiveEffects(videoEffectsRef.current)) {
+      return false;
+    }
+    let pipeline;
+    try {
+      pipeline = createVideoEffectsPipeline(camera, videoEffectsRef.current, { onStatus: setSegmenterStatus });
+    } catch (err) {
+      console.error('Could not start video effects:', err);
+      return false;
+    }
+    pipeline.track.enabled = camera.enabled;
+    stream.removeTrack(camera);
+    stream.addTrack(pipeline.track);
+    effectsPipelineRef.current = pipeline;
+    return true;
+  };
+
+  // Put the camera back in `stream` in place of the pipeline's output
+  const detachVideoEffects = (stream) => {
+    const pipeline = effectsPipelineRef.current;
+    if (!pipeline) return;
+    effectsPipelineRef.current = null;
+    const camera = pipeline.getSource();
+    camera.enabled = pipeline.track.enabled;
+    stream.removeTrack(pipeline.track);
+    stream.addTrack(camera);
+    pipeline.stop();
+  };
+
+  const stopVideoEffects = () => {
+    const pipeline = effectsPipelineRef.current;
+    if (!pipeline) return;
+    effectsPipelineRef.current = null;
+    pipeline.stop();
+    pipeline.getSource().stop();
+  };
+
+  // New effects apply to the live video; turning them all off (or on) swaps
+  // the track every connection sends, like switching cameras
+  const selectVideoEffects = async (next) => {
+    setVideoEffects(next);
+    saveEffects(next);
+    videoEffectsRef.current = next;
+    const stream = localStreamRef.current;
+    if (!stream) return;
+    if (!hasActiveEffects(next)) {
+      if (!effectsPipelineRef.current) return;
+      detachVideoEffects(stream);
+    } else if (effectsPipelineRef.current) {
+      effectsPipelineRef.current.setEffects(next);
+      return;
+    } else if (!attachVideoEffects(stream)) {
+      return;
+    }
+    await applyOutgoingTracksToAll();
+  };
+
+  const pickBackgroundImage = async (file) => {
+    try {
+      const backgroundImage = await loadBackgroundImage(file);
+      await selectVideoEffects({ ...videoEffectsRef.current, background: 'image', backgroundImage });
+    } catch (err) {
+      console.error('Error loading background image:', err);
+      setError(err.message);
+    }
+  };
+
+  // Offerer side: camera m-line first, then the screen slot
+  const reserveVideoSlots = (pc) => {
+    if (!getCameraTrack()) pc.addTransceiver('video', { direction: 'sendrecv' });
+    pc.addTransceiver('video', { direction: 'sendrecv' });
+  };
+
+  // Answerer side: the screen slot arrives recvonly from the offer
+  const openScreenSlot = (pc) => {
+    const screenSlot = getVideoTransceivers(pc)[1];
+    if (screenSlot) screenSlot.direction = 'sendrecv';
+  };
+
+  // Put the current mic, camera and screen share on a connection's senders
+  const applyOutgoingTracks = async (key, pc) => {
+    try {
+      if (key === SFU_CONNECTION_KEY) {
+        for (const kind of ['audio', 'video']) {
+          const publish = pc.getTransceivers().find((t) => t.mid && t.mid === sfuPublishMidsRef.current[kind]);
+          const track = getPublishTrack(kind);
+          if (publish && publish.sender.track && publish.sender.track !== track) {
+            await publish.sender.replaceTrack(track);
+          }
+        }
+        return;
+      }
+      const audioSlot = pc.getTransceivers().find((t) => t.receiver.track && t.receiver.track.kind === 'audio');
+      if (audioSlot && audioSlot.sender.track !== getPublishTrack('audio')) {
+        await audioSlot.sender.replaceTrack(getPublishTrack('audio'));
+      }
+      const share = screenShareRef.current;
+      const screenTrack = share ? share.stream.getVideoTracks()[0] : null;
+      const [cameraSlot, screenSlot] = getVideoTransceivers(pc);
+      if (share && share.withCamera && screenSlot) {
+        if (cameraSlot) await cameraSlot.sender.replaceTrack(getCameraTrack());
+        await screenSlot.sender.replaceTrack(screenTrack);
+      } else {
+        if (cameraSlot) await cameraSlot.sender.replaceTrack(screenTrack || getCameraTrack());
+        if (screenSlot) await screenSlot.sender.replaceTrack(null);
+      }
+    } catch (err) {
+      console.error('Error switching outgoing tracks:', err);
+    }
+  };
+
+  const applyOutgoingTracksToAll = () => Promise.all(
+    Array.from(peerConnectionsRef.current.entries()).map(([key, pc]) => applyOutgoingTracks(key, pc))
+  );
+
+  const getMediaState = () => {
+    const share = screenShareRef.current;
+    return {
+      audioMuted: micMutedRef.current,
+      videoMuted: cameraOffRef.current,
+      screen: !!share,
+      screenWithCamera: !!(share && share.withCamera),
+      recording: !!recorderRef.current
+    };
+  };
+
+  // Without a target the server relays to everyone receiving our media
+  const sendMediaState = (targetId) => {
+    sendSignal({ type: 'media-state', state: getMediaState(), ...(targetId ? { targetId } : {}) });
+  };
+
+  const startScreenShare = async () => {
+    if (screenShareRef.current) return;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    } catch (err) {
+      // Dismissing the picker is not an error worth showing
+      if (err.name !== 'NotAllowedError') {
+        console.error('Error starting screen share:', err);
+        setError('Could not start screen sharing');
+      }
+      return;
+    }
+    const track = stream.getVideoTracks()[0];
+    if ('contentHint' in track) track.contentHint = 'detail';
+    // Fired by the browser's own "Stop sharing" control
+    track.onended = () => stopScreenShare();
+
+    const inSfuRoom = !!roomRef.current && roomRef.current.mode === 'sfu';
+    const share = { stream, withCamera: shareWithCamera && !inSfuRoom };
+    screenShareRef.current = share;
+    setScreenShare(share);
+    await applyOutgoingTracksToAll();
+    sendMediaState();
+  };
+
+  const stopScreenShare = async () => {
+    const share = screenShareRef.current;
+    if (!share) return;
+    screenShareRef.current = null;
+    setScreenShare(null);
+    share.stream.getTracks().forEach((t) => {
+      t.onended = null;
+      t.stop();
+    });
+    await applyOutgoingTracksToAll();
+    sendMediaState();
+  };
+
+  // Muting only disables the track: the sender stays in place and peers are
+  // told, so they can show a badge instead of silence or a frozen frame
+  const toggleMic = () => {
+    const next = !micMutedRef.current;
+    micMutedRef.current = next;
+    setMicMuted(next);
+    if (localStreamRef.current) {
+      localStreamRef.current.getAudioTracks().forEach((t) => {
+        t.enabled = !next;
+      });
+    }
+    sendMediaState();
+  };
+
+  const toggleCamera = () => {
+    const next = !cameraOffRef.current;
+    cameraOffRef.current = next;
+    setCameraOff(next);
+    if (localStreamRef.current) {
+      localStreamRef.current.getVideoTracks().forEach((t) => {
+        t.enabled = !next;
+      });
+    }
+    if (effectsPipelineRef.current) effectsPipelineRef.current.getSource().enabled = !next;
+    sendMediaState();
+  };
+
+  // Pick a device; inputs are reopened and swapped into the live calls,
+  // the speaker choice is applied by each remote tile
+  const selectDevice = async (kind, deviceId) => {
+    const next = { ...selectedDevices, [kind]: deviceId };
+    setSelectedDevices(next);
+    saveDevices(next);
+    const stream = localStreamRef.current;
+    if (kind === 'audiooutput' || !stream) return;
+
+    const trackKind = kind === 'audioinput' ? 'audio' : 'video';
+    const constraint = deviceId ? { deviceId: { exact: deviceId } } : {};
+    let track;
+    try {
+      const media = await navigator.mediaDevices.getUserMedia(
+        trackKind === 'audio'
+          ? { audio: deviceId ? constraint : true }
+          : { video: { ...getVideoConstraints(qualityRef.current), ...constraint } }
+      );
+      track = media.getTracks()[0];
+    } catch (err) {
+      console.error('Error switching device:', err);
+      setError(`Could not switch to that ${trackKind === 'audio' ? 'microphone' : 'camera'}`);
+      return;
+    }
+    track.enabled = trackKind === 'audio' ? !micMutedRef.current : !cameraOffRef.current;
+    // With effects on, the new camera feeds the same processed track
+    const pipeline = effectsPipelineRef.current;
+    if (trackKind === 'video' && pipeline) {
+      pipeline.getSource().stop();
+      pipeline.replaceSource(track);
+      return;
+    }
+    stream.getTracks()
+      .filter((t) => t.kind === trackKind)
+      .forEach((t) => {
+        stream.removeTrack(t);
+        t.stop();
+      });
+    stream.addTrack(track);
+    await applyOutgoingTracksToAll();
+    // Captions follow the new microphone
+    if (trackKind === 'audio' && captionEngineRef.current) startCaptions();
+  };
+
+  // Fixed presets resize the camera and cap every connection's bitrate; 'auto'
+  // captures at 720p and lets the stats loop adapt each connection
+  const selectQuality = async (next) => {
+    setQuality(next);
+    saveQuality(next);
+    qualityRef.current = next;
+    // Every connection starts over from the top step on its next sample
+    senderQualityRef.current.clear();
+    const track = getCaptureTrack();
+    if (!track) return;
+    try {
+      await track.applyConstraints(getVideoConstraints(next));
+    } catch (err) {
+      console.error('Error changing video quality:', err);
+    }
+  };
+
+  // Senders currently carrying the camera (not a screen share)
+  const getCameraSenders = (pc) => {
+    const camera = getCameraTrack();
+    return camera ? pc.getSenders().filter((sender) => sender.track === camera) : [];
+  };
+
+  // Called with each new stats sample. Under 'auto' the loss the other side
+  // reports for our video picks the step (our own receive loss stands in
+  // where the browser does not report it); fixed presets just need their
+  // encoding set once per connection. Returns the adaptive step in use.
+  const adaptSenderQuality = async (key, pc, sample) => {
+    const senders = senderQualityRef.current;
+    if (!senders.has(key)) senders.set(key, { policy: createAdaptivePolicy(), applied: null });
+    const entry = senders.get(key);
+    const step = qualityRef.current === 'auto'
+      ? entry.policy.update(sample.sendLoss !== null ? sample.sendLoss : sample.loss)
+      : 0;
+    if (entry.applied === step) return step;
+    const cameraSenders = getCameraSenders(pc);
+    if (cameraSenders.length === 0) return step;
+    try {
+      const encoding = getEncoding(qualityRef.current, step);
+      await Promise.all(cameraSenders.map((sender) => applySenderEncoding(sender, encoding)));
+      entry.applied = step;
+    } catch (err) {
+      // Not negotiated yet; the next sample tries again
+      console.error('Error setting sender encoding:', err);
+    }
+    return step;
+  };
+
+  useEffect(() => {
+    adaptSenderQualityRef.current = adaptSenderQuality;
+  });
+
+  // Recording mixes everyone into one file on this machine; peers are told
+  // through media-state so they see a notice while it runs
+  const startRecording = () => {
+    if (recorderRef.current) return;
+    if (!canRecord()) {
+      setError('Recording is not supported in this browser');
+      return;
+    }
+    try {
+      recorderRef.current = createCallRecorder({
+        getSources: () => [
+          { id: 'local', stream: localStreamRef.current, label: displayName || 'You' },
+          ...recordingSourcesRef.current
+        ],
+        onStop: (result) => {
+          const extension = result.mimeType.includes('mp4') ? 'mp4' : 'webm';
+          const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+          setLastRecording((prev) => {
+            if (prev) URL.revokeObjectURL(prev.url);
+            return { ...result, name: `call-recording-${stamp}.${extension}` };
+          });
+        }
+      });
+    } catch (err) {
+      console.error('Error starting recording:', err);
+      setError('Could not start recording');
+      recorderRef.current = null;
+      return;
+    }
+    setRecording({ startedAt: recorderRef.current.startedAt });
+    setRecordingNow(Date.now());
+    sendMediaState();
+  };
+
+  const stopRecording = () => {
+    if (!recorderRef.current) return;
+    recorderRef.current.stop();
+    recorderRef.current = null;
+    setRecording(null);
+    sendMediaState();
+  };
 
-      case 'chat-message':
-        handleIncomingChatMessage(data);
-        break;
+  // Tell the server what to show next to our name in the directory
+  const sendPresenceStatus = (status) => {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'set-status', status }));
+    }
+  };
 
-      case 'chat-history':
-        handleChatHistory(data);
-        break;
+  // ICE restart: a fresh offer with new ICE credentials, sent through
+  // signaling like any other offer. Both ends see the path break, so only
+  // the one with the lower session id offers, to avoid colliding offers.
+  const restartIce = async (targetId) => {
+    const pc = peerConnectionsRef.current.get(targetId);
+    if (!pc || pc.signalingState !== 'stable') return;
+    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
+    try {
+      console.log('Restarting ICE with', getPeerName(targetId));
+      const offer = await pc.createOffer({ iceRestart: true });
+      await pc.setLocalDescription(offer);
+      sendSignal({ type: 'offer', offer, targetId, iceRestart: true });
+    } catch (err) {
+      console.error('Error restarting ICE:', err);
+    }
+  };
 
-      case 'chat-delivery':
-        // Could be used to show delivered state; currently no-op
-        break;
+  // A one-to-one call that cannot get its media back is over. Not while our
+  // own signaling is down: resuming the session sorts that out. Room members
+  // who are really gone are dropped by the server.
+  const giveUpOnConnection = (targetId) => {
+    const current = callRef.current;
+    if (!current || current.state !== 'active' || current.peerId !== targetId) return false;
+    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return false;
+    console.warn(`No media connection to ${current.peerName} for ${ICE_GIVE_UP_MS / 1000}s, hanging up`);
+    hangUp('connection-failed');
+    return true;
+  };
 
-      default:
-        console.log('Unknown message type:', data.type);
-    }
+  // Keep restarting until the connection recovers or is closed, or until a
+  // call gives up on it
+  const scheduleIceRestart = (targetId, delay = ICE_RESTART_DELAY_MS) => {
+    const timers = iceRestartTimersRef.current;
+    const brokenSince = iceBrokenSinceRef.current;
+    if (!brokenSince.has(targetId)) brokenSince.set(targetId, Date.now());
+    if (timers.has(targetId)) return;
+    timers.set(targetId, setTimeout(() => {
+      timers.delete(targetId);
+      const pc = peerConnectionsRef.current.get(targetId);
+      if (!pc || !['disconnected', 'failed'].includes(pc.iceConnectionState)) return;
+      if (Date.now() - brokenSince.get(targetId) >= ICE_GIVE_UP_MS && giveUpOnConnection(targetId)) return;
+      if (selfIdRef.current && selfIdRef.current < targetId) restartIce(targetId);
+      scheduleIceRestart(targetId, ICE_RESTART_RETRY_MS);
+    }, delay));
+  };
+
+  const cancelIceRestart = (targetId) => {
+    const timers = iceRestartTimersRef.current;
+    clearTimeout(timers.get(targetId));
+    timers.delete(targetId);
+    iceBrokenSinceRef.current.delete(targetId);
   };
 
   // Initialize WebRTC
-  const initializePeerConnection = () => {
-    const configuration = {
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' }
-      ]
-    };
+  const initializePeerConnection = (targetId, name = 'Peer') => {
+    const configuration = { iceServers: iceServersRef.current };
+
+    // Replace any stale connection to the same peer
+    const previous = peerConnectionsRef.current.get(targetId);
+    if (previous) previous.close();
 
     const pc = new RTCPeerConnection(configuration);
-    peerConnectionRef.current = pc;
+    peerConnectionsRef.current.set(targetId, pc);
+
+    // Files go over their own channel, created on both ends before the offer
+    const peerClientIdForFiles = getPeerClientId(targetId);
+    if (peerClientIdForFiles) {
+      const fileChannel = pc.createDataChannel(FILE_CHANNEL_LABEL, {
+        negotiated: true,
+        id: FILE_CHANNEL_ID,
+        ordered: true
+      });
+      getFileTransfers().attachChannel(peerClientIdForFiles, fileChannel);
+      const chatChannel = pc.createDataChannel(CHAT_CHANNEL_LABEL, {
+        negotiated: true,
+        id: CHAT_CHANNEL_ID,
+        ordered: true
+      });
+      getSecureChat().attachChannel(peerClientIdForFiles, chatChannel, pc);
+    }
+    // Captions go to every participant, keyed like their video tile
+    const captionChannel = pc.createDataChannel(CAPTION_CHANNEL_LABEL, {
+      negotiated: true,
+      id: CAPTION_CHANNEL_ID,
+      ordered: true
+    });
+    getCaptionChannels().attachChannel(targetId, captionChannel);
+    sendMediaState(targetId);
 
     // Add local stream tracks
     if (localStreamRef.current) {
@@ -152,48 +1464,72 @@ const VideoCall = () => {
 
     // Handle remote stream
     pc.ontrack = (event) => {
-      console.log('Received remote track:', event.track.kind);
-      if (remoteVideoRef.current && event.streams && event.streams[0]) {
-        remoteVideoRef.current.srcObject = event.streams[0];
-        // Ensure video plays
-        remoteVideoRef.current.play().catch(err => {
-          console.error('Error playing remote video:', err);
+      console.log('Received remote track:', event.track.kind, 'from', name);
+      if (getVideoTransceivers(pc)[1] === event.transceiver) {
+        // Their screen slot; only shown while they say they are sharing
+        const screenStream = new MediaStream([event.track]);
+        setRemotePeers((prev) => {
+          const existing = prev.find((p) => p.peerId === targetId);
+          return [
+            ...prev.filter((p) => p.peerId !== targetId),
+            { peerId: targetId, name, stream: null, ...existing, screenStream }
+          ];
         });
+        return;
+      }
+      if (event.streams && event.streams[0]) {
+        const stream = event.streams[0];
+        setRemotePeers((prev) => [
+          ...prev.filter((p) => p.peerId !== targetId),
+          { ...prev.find((p) => p.peerId === targetId), peerId: targetId, name, stream }
+        ]);
         setConnectionStatus('connected');
-        console.log('Remote video stream set');
+        console.log('Remote video stream set for', name);
       }
     };
 
     // Handle ICE candidates
     pc.onicecandidate = (event) => {
-      if (event.candidate && wsRef.current && wsRef.current.readyState === WebSocket.OPEN && peerIP) {
+      if (event.candidate && wsRef.current && wsRef.current.readyState === WebSocket.OPEN && targetId) {
         wsRef.current.send(JSON.stringify({
           type: 'ice-candidate',
           candidate: event.candidate,
-          targetIP: peerIP
+          targetId
         }));
-        console.log('Sent ICE candidate to:', peerIP);
+        console.log('Sent ICE candidate to:', name);
       }
     };
 
     pc.onconnectionstatechange = () => {
       const state = pc.connectionState;
-      console.log('Peer connection state changed:', state);
-      setConnectionStatus(state);
-      if (state === 'failed' || state === 'disconnected') {
-        setError('Connection failed. Please try again.');
+      console.log(`Peer connection state with ${name} changed:`, state);
+      // Ignore late events from a connection that has been replaced or closed
+      if (peerConnectionsRef.current.get(targetId) !== pc) return;
+      if (state === 'disconnected' || state === 'failed') {
+        // Usually a network blip; ICE restarts take over from here
+        setConnectionStatus('reconnecting');
         setIsConnecting(false);
-      } else if (state === 'connected') {
+        if (state === 'failed') setError(`Lost the connection to ${name}. Trying to reconnect…`);
+        return;
+      }
+      setConnectionStatus(state);
+      if (state === 'connected') {
         setIsConnecting(false);
         setError('');
+        sendPresenceStatus('in-call');
       }
     };
 
     pc.oniceconnectionstatechange = () => {
       console.log('ICE connection state:', pc.iceConnectionState);
+      if (peerConnectionsRef.current.get(targetId) !== pc) return;
       if (pc.iceConnectionState === 'failed') {
-        console.warn('ICE connection failed, trying restart...');
-        pc.restartIce();
+        console.warn('ICE connection failed, restarting');
+        scheduleIceRestart(targetId, 0);
+      } else if (pc.iceConnectionState === 'disconnected') {
+        scheduleIceRestart(targetId);
+      } else if (['connected', 'completed'].includes(pc.iceConnectionState)) {
+        cancelIceRestart(targetId);
       }
     };
 
@@ -202,11 +1538,24 @@ const VideoCall = () => {
 
   // Start local video
   const startLocalVideo = async () => {
+    if (localStreamRef.current) return;
     try {
+      // Prefer the devices picked last time, falling back to the defaults
+      const preferred = (kind) => (
+        selectedDevices[kind] ? { deviceId: { ideal: selectedDevices[kind] } } : {}
+      );
       const stream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 1280, height: 720 },
-        audio: true
+        video: { ...getVideoConstraints(qualityRef.current), ...preferred('videoinput') },
+        audio: selectedDevices.audioinput ? preferred('audioinput') : true
       });
+      stream.getAudioTracks().forEach((t) => {
+        t.enabled = !micMutedRef.current;
+      });
+      stream.getVideoTracks().forEach((t) => {
+        t.enabled = !cameraOffRef.current;
+      });
+      // Peers, the preview and recordings all get the processed video
+      attachVideoEffects(stream);
       localStreamRef.current = stream;
       if (localVideoRef.current) {
         localVideoRef.current.srcObject = stream;
@@ -226,6 +1575,7 @@ const VideoCall = () => {
 
   // Stop local video
   const stopLocalVideo = () => {
+    stopVideoEffects();
     if (localStreamRef.current) {
       localStreamRef.current.getTracks().forEach(track => track.stop());
       localStreamRef.current = null;
@@ -234,12 +1584,16 @@ const VideoCall = () => {
       localVideoRef.current.srcObject = null;
     }
     setLocalVideoStarted(false);
+    micMutedRef.current = false;
+    cameraOffRef.current = false;
+    setMicMuted(false);
+    setCameraOff(false);
   };
 
-  // Connect to peer
-  const connectToPeer = async () => {
-    if (!peerIP) {
-      setError('Please enter peer IP address');
+  // Connect to peer: used for 1:1 calls and for each member already in a room
+  const connectToPeer = async (targetId = peerId, name = 'Peer') => {
+    if (!targetId) {
+      setError('Please pick someone from the directory');
       return;
     }
 
@@ -248,6 +1602,12 @@ const VideoCall = () => {
       return;
     }
 
+    const inRoom = !!roomRef.current;
+    const chatClientId = !inRoom && callRef.current ? callRef.current.peerClientId : '';
+    if (!inRoom) {
+      setPeerId(targetId);
+      setPeerClientId(chatClientId);
+    }
     setIsConnecting(true);
     setError('');
 
@@ -255,7 +1615,9 @@ const VideoCall = () => {
     await startLocalVideo();
 
     // Initialize peer connection
-    const pc = initializePeerConnection();
+    const pc = initializePeerConnection(targetId, name);
+    reserveVideoSlots(pc);
+    await applyOutgoingTracks(targetId, pc);
 
     try {
       // Create and send offer
@@ -265,18 +1627,21 @@ const VideoCall = () => {
       });
       await pc.setLocalDescription(offer);
 
-      console.log('Sending offer to:', peerIP);
+      console.log('Sending offer to:', name);
       wsRef.current.send(JSON.stringify({
         type: 'offer',
         offer: offer,
-        targetIP: peerIP
+        targetId
       }));
 
       // Request chat history with this peer
-      wsRef.current.send(JSON.stringify({
-        type: 'request-chat-history',
-        peerIP: peerIP
-      }));
+      if (chatClientId) {
+        wsRef.current.send(JSON.stringify({
+          type: 'request-chat-history',
+          peerClientId: chatClientId,
+          limit: CHAT_PAGE_SIZE
+        }));
+      }
       setConnectionStatus('connecting');
     } catch (err) {
       console.error('Error creating offer:', err);
@@ -287,25 +1652,51 @@ const VideoCall = () => {
 
   // Handle incoming offer
   const handleOffer = async (data) => {
-    console.log('Received offer from:', data.fromIP);
-    
-    if (!data.fromIP) {
-      setError('Received offer without sender IP');
+    const name = getPeerName(data.fromId);
+    console.log('Received offer from:', name);
+
+    if (!data.fromId) {
+      setError('Received offer without sender id');
+      return;
+    }
+
+    // Only answer the caller we accepted, or someone in our room
+    const current = callRef.current;
+    const inCall = current && current.state === 'active' && current.peerId === data.fromId;
+    const inRoom = roomRef.current && roomRef.current.members.some((m) => m.id === data.fromId);
+    if (!inCall && !inRoom) {
+      console.warn('Ignoring offer outside an accepted call or room from:', data.fromId);
+      return;
+    }
+
+    // An ICE restart renegotiates the connection we already have
+    const existing = peerConnectionsRef.current.get(data.fromId);
+    if (data.iceRestart && existing) {
+      try {
+        await existing.setRemoteDescription(new RTCSessionDescription(data.offer));
+        const answer = await existing.createAnswer();
+        await existing.setLocalDescription(answer);
+        sendSignal({ type: 'answer', answer, targetId: data.fromId });
+        console.log('Answered ICE restart from:', name);
+      } catch (err) {
+        console.error('Error handling ICE restart:', err);
+      }
       return;
     }
-    
-    // Set peer IP from the offer sender BEFORE initializing connection
-    // so ICE candidates can be sent to the correct peer
-    setPeerIP(data.fromIP);
-    
+
+    if (inCall) {
+      setPeerId(data.fromId);
+      setPeerClientId(data.fromClientId || current.peerClientId);
+    }
+
     await startLocalVideo();
-    
-    // Initialize peer connection (will use peerIP from closure after state update)
-    // For immediate use, we'll pass the IP directly via the ICE candidate handler
-    const pc = initializePeerConnection();
+
+    const pc = initializePeerConnection(data.fromId, name);
 
     try {
       await pc.setRemoteDescription(new RTCSessionDescription(data.offer));
+      openScreenSlot(pc);
+      await applyOutgoingTracks(data.fromId, pc);
 
       const answer = await pc.createAnswer();
       await pc.setLocalDescription(answer);
@@ -314,28 +1705,17 @@ const VideoCall = () => {
         wsRef.current.send(JSON.stringify({
           type: 'answer',
           answer: answer,
-          targetIP: data.fromIP
+          targetId: data.fromId
         }));
-        console.log('Sent answer to:', data.fromIP);
-      }
-      
-      // Override ICE candidate handler to use the correct IP immediately
-      pc.onicecandidate = (event) => {
-        if (event.candidate && wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-          wsRef.current.send(JSON.stringify({
-            type: 'ice-candidate',
-            candidate: event.candidate,
-            targetIP: data.fromIP  // Use the offer sender's IP directly
-          }));
-          console.log('Sent ICE candidate to:', data.fromIP);
-        }
-      };
+        console.log('Sent answer to:', name);
+      }
 
       // Request chat history after answering
-      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      if (inCall && wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
         wsRef.current.send(JSON.stringify({
           type: 'request-chat-history',
-          peerIP: data.fromIP
+          peerClientId: data.fromClientId || current.peerClientId,
+          limit: CHAT_PAGE_SIZE
         }));
       }
     } catch (err) {
@@ -347,8 +1727,9 @@ const VideoCall = () => {
   // Handle incoming answer
   const handleAnswer = async (data) => {
     try {
-      if (peerConnectionRef.current) {
-        await peerConnectionRef.current.setRemoteDescription(
+      const pc = peerConnectionsRef.current.get(data.fromId);
+      if (pc) {
+        await pc.setRemoteDescription(
           new RTCSessionDescription(data.answer)
         );
         setIsConnecting(false);
@@ -362,24 +1743,25 @@ const VideoCall = () => {
   // Handle ICE candidate
   const handleIceCandidate = async (data) => {
     try {
-      if (!peerConnectionRef.current) {
-        console.warn('Received ICE candidate but no peer connection');
+      const pc = peerConnectionsRef.current.get(data.fromId);
+      if (!pc) {
+        console.warn('Received ICE candidate but no peer connection for:', data.fromId);
         return;
       }
-      
+
       if (data.candidate) {
         // Check if remote description is set
-        if (peerConnectionRef.current.remoteDescription) {
-          await peerConnectionRef.current.addIceCandidate(
+        if (pc.remoteDescription) {
+          await pc.addIceCandidate(
             new RTCIceCandidate(data.candidate)
           );
-          console.log('Added ICE candidate from:', data.fromIP);
+          console.log('Added ICE candidate from:', data.fromId);
         } else {
           // Store candidate to add later (shouldn't happen normally but safe to handle)
           console.log('ICE candidate received before remote description, will be added later');
           // Add it anyway - modern WebRTC implementations handle this
           try {
-            await peerConnectionRef.current.addIceCandidate(
+            await pc.addIceCandidate(
               new RTCIceCandidate(data.candidate)
             );
           } catch (e) {
@@ -395,32 +1777,120 @@ const VideoCall = () => {
     }
   };
 
+  // Tear down call media with one peer (or everyone) but stay registered with the server
+  const closePeerConnection = (targetId = null) => {
+    const connections = peerConnectionsRef.current;
+    const targets = targetId ? [targetId] : Array.from(connections.keys());
+    targets.forEach((id) => {
+      const pc = connections.get(id);
+      if (pc) pc.close();
+      connections.delete(id);
+      cancelIceRestart(id);
+    });
+    if (targetId) {
+      sfuStreamsRef.current.delete(targetId);
+    } else {
+      sfuStreamsRef.current.clear();
+      sfuMidsRef.current = {};
+      sfuPublishMidsRef.current = {};
+    }
+    setRemotePeers((prev) => (targetId ? prev.filter((p) => p.peerId !== targetId) : []));
+    setPeerMedia((prev) => {
+      if (!targetId) return {};
+      const { [targetId]: removed, ...rest } = prev;
+      return rest;
+    });
+    if (connections.size === 0) {
+      // Nobody left to present to or record
+      stopScreenShare();
+      stopRecording();
+      setIsConnecting(false);
+      setConnectionStatus(wsRef.current ? 'connected' : 'disconnected');
+      setPeerId('');
+    }
+  };
+
   // Disconnect
   const disconnect = () => {
-    // Close peer connection (but keep local video)
-    if (peerConnectionRef.current) {
-      peerConnectionRef.current.close();
-      peerConnectionRef.current = null;
+    // Close peer connections (but keep local video)
+    peerConnectionsRef.current.forEach((pc) => pc.close());
+    peerConnectionsRef.current.clear();
+    sfuStreamsRef.current.clear();
+    sfuMidsRef.current = {};
+    sfuPublishMidsRef.current = {};
+    if (screenShareRef.current) {
+      screenShareRef.current.stream.getTracks().forEach((t) => {
+        t.onended = null;
+        t.stop();
+      });
+      screenShareRef.current = null;
+      setScreenShare(null);
+    }
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+      recorderRef.current = null;
+      setRecording(null);
+    }
+    if (fileTransfersRef.current) {
+      fileTransfersRef.current.dispose();
+      fileTransfersRef.current = null;
+    }
+    if (secureChatRef.current) {
+      secureChatRef.current.dispose();
+      secureChatRef.current = null;
+    }
+    if (captionChannelsRef.current) {
+      captionChannelsRef.current.dispose();
+      captionChannelsRef.current = null;
     }
 
+    iceRestartTimersRef.current.forEach((timer) => clearTimeout(timer));
+    iceRestartTimersRef.current.clear();
+    iceBrokenSinceRef.current.clear();
+
+    // Stop any pending reconnect and tell the server we are leaving for good,
+    // so it does not hold our session open for a resume
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = null;
+    reconnectAttemptRef.current = 0;
+    setReconnectAttempt(0);
+    registeredRef.current = false;
+    selfIdRef.current = '';
+
     // Close WebSocket
     if (wsRef.current) {
+      if (wsRef.current.readyState === WebSocket.OPEN) {
+        wsRef.current.send(JSON.stringify({ type: 'disconnect' }));
+      }
       wsRef.current.close();
       wsRef.current = null;
     }
 
-    // Clear remote video only
-    if (remoteVideoRef.current) {
-      remoteVideoRef.current.srcObject = null;
-    }
+    // Clear remote videos only
+    setRemotePeers([]);
+    setPeerMedia({});
 
     setIsConnected(false);
+    setIsAdmin(false);
     setIsConnecting(false);
     setConnectionStatus('disconnected');
-    setPeerIP('');
+    setPeerId('');
+    setPeerClientId('');
     setError('');
     setMessages([]);
+    setTransfers({});
+    setHasOlderMessages(false);
+    setIsLoadingOlder(false);
     setUnreadCount(0);
+    setConversations([]);
+    outboxRef.current.clear();
+    setPeers([]);
+    setSelfId('');
+    callRef.current = null;
+    setCall(null);
+    roomRef.current = null;
+    setRoom(null);
+    setRooms([]);
     // Note: We don't stop local video here, only on cleanup
   };
 
@@ -428,6 +1898,7 @@ const VideoCall = () => {
   useEffect(() => {
     return () => {
       // Stop all streams on unmount
+      stopVideoEffects();
       if (localStreamRef.current) {
         localStreamRef.current.getTracks().forEach(track => track.stop());
       }
@@ -435,62 +1906,465 @@ const VideoCall = () => {
     };
   }, []);
 
-  // Chat handlers
-  const handleIncomingChatMessage = (data) => {
-    const isFromPeer = data.fromIP && data.fromIP !== localIP;
-    const msg = {
-      id: `${data.timestamp || Date.now()}-${Math.random().toString(36).slice(2)}`,
-      fromIP: data.fromIP,
-      text: data.text,
-      timestamp: data.timestamp || Date.now(),
-      outgoing: !isFromPeer
+  // Show as away while the tab is hidden, unless we are in a call
+  useEffect(() => {
+    if (!isConnected) return undefined;
+    const handleVisibility = () => {
+      if (peerConnectionsRef.current.size > 0) return;
+      sendPresenceStatus(document.hidden ? 'away' : 'available');
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, [isConnected]);
+
+  useEffect(() => {
+    if (!callEnded) return undefined;
+    const timer = setTimeout(() => setCallEnded(''), CALL_ENDED_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [callEnded]);
+
+  // Sample every connection's stats while in a call; the same samples drive
+  // the adaptive quality under 'auto'
+  const inCall = remotePeers.length > 0;
+  useEffect(() => {
+    if (!inCall) return undefined;
+    let cancelled = false;
+    const sample = async () => {
+      const connections = peerConnectionsRef.current;
+      const samples = statsSamplesRef.current;
+      const next = {};
+      await Promise.all(Array.from(connections.entries()).map(async ([key, pc]) => {
+        try {
+          const summary = summarizeStats(await pc.getStats(), samples.get(key));
+          samples.set(key, summary);
+          const adaptiveStep = await adaptSenderQualityRef.current(key, pc, summary);
+          next[key] = { ...summary, adaptiveStep };
+        } catch (err) {
+          console.error('Error reading connection stats:', err);
+        }
+      }));
+      // Forget connections that have closed since
+      [samples, senderQualityRef.current].forEach((map) => {
+        Array.from(map.keys()).filter((key) => !connections.has(key)).forEach((key) => map.delete(key));
+      });
+      if (!cancelled) setCallStats(next);
+    };
+    sample();
+    const timer = setInterval(sample, STATS_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      setCallStats({});
     };
-    setMessages((prev) => [...prev, msg]);
+  }, [inCall]);
+
+  // A transcript per call, collecting captions from everyone
+  useEffect(() => {
+    if (!inCall) return undefined;
+    transcriptRef.current = createTranscript();
+    return () => finishTranscriptRef.current();
+  }, [inCall]);
+
+  // Our own captions run while switched on and in a call. SFU rooms have no
+  // connection to each peer to carry them, so captions are off there.
+  const inSfuRoom = !!room && room.mode === 'sfu';
+  useEffect(() => {
+    if (!captionsOn || !inCall || inSfuRoom) return undefined;
+    startCaptionsRef.current();
+    return () => {
+      if (captionEngineRef.current) {
+        captionEngineRef.current.stop();
+        captionEngineRef.current = null;
+      }
+    };
+  }, [captionsOn, inCall, inSfuRoom, speechEngine]);
+
+  // Tick the elapsed time while recording
+  useEffect(() => {
+    if (!recording) return undefined;
+    const timer = setInterval(() => setRecordingNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [recording]);
+
+  useEffect(() => {
+    recordingSourcesRef.current = [
+      ...(screenShare ? [{ id: 'local-screen', stream: screenShare.stream, label: 'Your screen' }] : []),
+      ...remotePeers.map((p) => ({ id: p.peerId, stream: p.stream, label: p.name })),
+      ...remotePeers
+        .filter((p) => p.screenStream && (peerMedia[p.peerId] || {}).screenWithCamera)
+        .map((p) => ({ id: `${p.peerId}-screen`, stream: p.screenStream, label: `${p.name}'s screen` }))
+    ];
+  }, [remotePeers, peerMedia, screenShare]);
+
+  // Keep the device pickers current; labels only show up once we have access
+  useEffect(() => {
+    if (!localVideoStarted || !navigator.mediaDevices) return undefined;
+    const refresh = () => {
+      listMediaDevices().then(setDevices).catch((err) => {
+        console.error('Error listing media devices:', err);
+      });
+    };
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [localVideoStarted]);
+
+  // Chat handlers
+  // The server's id for a message that came over a DataChannel. Only our
+  // receipt counts it as delivered; without one the server relays it as well.
+  const storeDirectChatMessage = (peerKey, clientMessageId, id) => {
+    setMessages((prev) => prev.map((m) => (
+      !m.outgoing && m.serverId == null && m.clientMessageId === clientMessageId ? { ...m, serverId: id } : m
+    )));
+    sendSignal({ type: 'chat-delivered', peerClientId: peerKey, upToId: id });
+  };
+
+  // Messages for the open conversation go in the list; others only update the
+  // conversation list. Ones queued while we were offline are already counted
+  // in the chat-conversations that follows them.
+  const handleIncomingChatMessage = async (data) => {
+    // Relayed because our receipt for its DataChannel copy did not arrive
+    if (data.clientMessageId && directChatIdsRef.current.has(data.clientMessageId)) {
+      storeDirectChatMessage(data.fromClientId, data.clientMessageId, data.id);
+      return;
+    }
+    const msg = await openChatMessage(data, clientIdRef.current);
+    const conversationId = msg.outgoing ? data.targetClientId : data.fromClientId;
+    const isOpen = conversationId === peerClientIdRef.current;
+    if (!data.queued || isOpen) noteConversationMessage(conversationId, msg.outgoing ? '' : data.fromName, msg);
+    if (!isOpen) return;
+    // The first message under a first-contact key brings that key
+    if (msg.encrypted) refreshChatSecurity(conversationId);
+    if (!msg.outgoing) showPeerTyping(false);
+    setMessages((prev) => (prev.some((m) => m.serverId === msg.serverId) ? prev : [...prev, msg]));
     if (!isChatOpen) {
       setUnreadCount((c) => c + 1);
     }
   };
 
-  const handleChatHistory = (data) => {
+  // Latest message in a conversation; counts as unread unless it is ours or
+  // that conversation is open
+  const noteConversationMessage = (peerKey, name, entry) => {
+    if (!peerKey) return;
+    const unread = !entry.outgoing && peerKey !== peerClientIdRef.current;
+    setConversations((prev) => bumpConversation(prev, peerKey, (c) => ({
+      name: c.name || name || 'Unknown',
+      preview: entry,
+      unread: c.unread + (unread ? 1 : 0)
+    })));
+  };
+
+  // The full list, sent by the server after every register
+  const handleConversations = async (list) => {
+    if (!Array.isArray(list)) return;
+    const next = await Promise.all(list.map(async (c) => ({
+      peerClientId: c.peerClientId,
+      name: c.name,
+      unread: c.peerClientId === peerClientIdRef.current ? 0 : c.unread,
+      preview: c.lastMessage ? await openChatMessage(c.lastMessage, clientIdRef.current) : null
+    })));
+    setConversations(next);
+  };
+
+  const openConversation = (conversation) => {
+    setConversations((prev) => prev.map((c) => (
+      c.peerClientId === conversation.peerClientId ? { ...c, unread: 0 } : c
+    )));
+    if (conversation.peerClientId === peerClientId) return;
+    setPeerClientId(conversation.peerClientId);
+    sendSignal({ type: 'request-chat-history', peerClientId: conversation.peerClientId, limit: CHAT_PAGE_SIZE });
+  };
+
+  const refreshChatSecurity = (peerKey) => {
+    if (peerKey !== peerClientIdRef.current) return;
+    setChatSecurity((prev) => ({ ...getPeerSecurity(peerKey), keyMismatch: !!(prev && prev.keyMismatch) }));
+  };
+
+  // Without a key agreed on a connection, chat uses a first-contact key made
+  // with an identity key the server published for the peer: the newest one
+  // that does not contradict what was pinned for its device. A contradicting
+  // key is skipped and the panel warns about it.
+  const setUpFirstContactKey = async (peerKey, identityKeys) => {
+    const security = getPeerSecurity(peerKey);
+    if (!Array.isArray(identityKeys) || !canEncryptChat() || (security.hasKey && !security.firstContact)) return;
+    try {
+      for (const { deviceId, identityKey } of identityKeys) {
+        const agreed = await agreeFirstContactKey({
+          selfClientId: clientIdRef.current,
+          peerClientId: peerKey,
+          peerDeviceId: deviceId,
+          peerIdentityJwk: identityKey
+        });
+        if (agreed) return;
+      }
+    } catch (err) {
+      console.error('Could not set up a first-contact chat key:', err);
+    }
+  };
+
+  // History arrives a page at a time: the latest page replaces the list,
+  // pages requested with `before` are older messages to put on top
+  const handleChatHistory = async (data) => {
     if (!data || !Array.isArray(data.messages)) return;
-    const mapped = data.messages.map((m) => ({
-      id: `${m.timestamp}-${Math.random().toString(36).slice(2)}`,
-      fromIP: m.fromIP,
-      text: m.text,
-      timestamp: m.timestamp,
-      outgoing: m.fromIP === localIP
+    await setUpFirstContactKey(data.peerClientId, data.identityKeys);
+    const mapped = await Promise.all(data.messages.map((m) => openChatMessage(m, clientIdRef.current)));
+    refreshChatSecurity(data.peerClientId);
+    if (data.receipts) {
+      // The latest page carries the peer's receipts as they stand now
+      const latest = data.before == null && data.after == null;
+      setPeerReceipts((prev) => mergeReceipts(latest ? { delivered: 0, read: 0 } : prev, data.receipts));
+    }
+
+    if (data.before != null) {
+      setIsLoadingOlder(false);
+      setHasOlderMessages(!!data.hasMoreBefore);
+      if (mapped.length === 0) return;
+      if (messagesListRef.current) {
+        prependScrollRef.current = messagesListRef.current.scrollHeight - messagesListRef.current.scrollTop;
+      }
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m.serverId));
+        return [...mapped.filter((m) => !known.has(m.serverId)), ...prev];
+      });
+      return;
+    }
+
+    if (data.after != null) {
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m.serverId));
+        return [...prev, ...mapped.filter((m) => !known.has(m.serverId))];
+      });
+      return;
+    }
+
+    setIsLoadingOlder(false);
+    setHasOlderMessages(!!data.hasMoreBefore);
+    // Files shared in this session are not stored on the server; keep them,
+    // and direct messages whose stored copy is not in this page
+    const pageMessageIds = new Set(mapped.map((m) => m.clientMessageId).filter(Boolean));
+    setMessages((prev) => [
+      ...mapped,
+      ...prev.filter((m) => m.transferId || (m.serverId == null && !pageMessageIds.has(m.clientMessageId)))
+    ].sort((a, b) => a.timestamp - b.timestamp));
+  };
+
+  // The server's id for a message we sent; it identifies the message for
+  // receipts, edits and reactions and is the history cursor
+  const handleChatDelivery = (data) => {
+    if (data.id == null) return;
+    outboxRef.current.delete(data.clientMessageId);
+    setMessages((prev) => prev.map((m) => (
+      m.outgoing && m.serverId == null && m.clientMessageId === data.clientMessageId
+        ? { ...m, serverId: data.id }
+        : m
+    )));
+    if (data.delivered) setPeerReceipts((prev) => mergeReceipts(prev, { delivered: data.id }));
+    // A copy sent directly gets the same id at the other end
+    if (data.clientMessageId && secureChatRef.current) {
+      secureChatRef.current.sendStored(data.toClientId, data.clientMessageId, data.id);
+    }
+  };
+
+  // An edit, delete or reaction, as now stored
+  const handleChatUpdate = async (message) => {
+    if (!message) return;
+    const entry = await openChatMessage(message, clientIdRef.current);
+    setMessages((prev) => prev.map((m) => (m.serverId === entry.serverId ? { ...m, ...entry, id: m.id } : m)));
+    if (entry.deleted) setEditingId((current) => (current === entry.serverId ? null : current));
+  };
+
+  const showPeerTyping = (typing) => {
+    clearTimeout(peerTypingTimerRef.current);
+    setPeerTyping(typing);
+    if (typing) peerTypingTimerRef.current = setTimeout(() => setPeerTyping(false), TYPING_EXPIRE_MS);
+  };
+
+  const sendTyping = (typing) => {
+    if (!peerClientId) return;
+    sendSignal({ type: 'chat-typing', targetClientId: peerClientId, typing });
+  };
+
+  // Typing starts an indicator at the peer, repeated while it continues and
+  // stopped after a pause or when the input is cleared
+  const handleChatInputChange = (value) => {
+    setChatInput(value);
+    clearTimeout(typingIdleTimerRef.current);
+    if (!value.trim() || editingId != null) {
+      if (typingSentAtRef.current) sendTyping(false);
+      typingSentAtRef.current = 0;
+      return;
+    }
+    if (Date.now() - typingSentAtRef.current > TYPING_REPEAT_MS) {
+      typingSentAtRef.current = Date.now();
+      sendTyping(true);
+    }
+    typingIdleTimerRef.current = setTimeout(() => {
+      typingSentAtRef.current = 0;
+      sendTyping(false);
+    }, TYPING_IDLE_MS);
+  };
+
+  const stopTyping = () => {
+    clearTimeout(typingIdleTimerRef.current);
+    if (typingSentAtRef.current) sendTyping(false);
+    typingSentAtRef.current = 0;
+  };
+
+  const reactToMessage = (message, emoji) => {
+    sendSignal({ type: 'chat-react', peerClientId, id: message.serverId, emoji });
+  };
+
+  const startEditing = (message) => {
+    stopTyping();
+    setEditingId(message.serverId);
+    setChatInput(message.text);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setChatInput('');
+  };
+
+  const deleteMessage = (message) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+    sendSignal({ type: 'chat-delete', peerClientId, id: message.serverId });
+  };
+
+  const handleFileSelected = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!peerClientId) return;
+    files.forEach((file) => getFileTransfers().sendFile(peerClientId, file));
+  };
+
+  const loadOlderMessages = () => {
+    if (isLoadingOlder || !hasOlderMessages || !peerClientId) return;
+    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
+    const oldest = messages.find((m) => m.serverId != null);
+    if (!oldest) return;
+    setIsLoadingOlder(true);
+    wsRef.current.send(JSON.stringify({
+      type: 'request-chat-history',
+      peerClientId,
+      before: oldest.serverId,
+      limit: CHAT_PAGE_SIZE
     }));
-    setMessages(mapped);
   };
 
-  const sendChatMessage = () => {
-    if (!chatInput.trim() || !peerIP || !wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) loadOlderMessages();
+  };
+
+  // Chat is end-to-end encrypted: straight over the peers' DataChannel when
+  // it is up (the server only stores the ciphertext), else as a ciphertext
+  // envelope through the server, under a first-contact key if the two have
+  // never been connected. While the server is unreachable the message waits
+  // in the outbox.
+  const sendChatMessage = async () => {
+    if (!chatInput.trim() || !peerClientId) return;
     const text = chatInput.trim();
+    const route = { fromClientId: clientIdRef.current, targetClientId: peerClientId };
+    let envelope;
+    try {
+      envelope = await encryptChatText(peerClientId, text, route);
+    } catch (err) {
+      console.error('Error encrypting chat message:', err);
+    }
+    if (!envelope) {
+      setError(`${chatPeerName || 'This person'} has not signed in since encrypted chat was added, so there is no key to encrypt to yet`);
+      return;
+    }
+    if (editingId != null) {
+      sendSignal({ type: 'chat-edit', peerClientId, id: editingId, envelope });
+      cancelEditing();
+      return;
+    }
+    stopTyping();
     const timestamp = Date.now();
+    const clientMessageId = createClientMessageId();
+    const direct = getSecureChat().sendMessage(peerClientId, { clientMessageId, timestamp, envelope });
     const outgoingMsg = {
-      id: `${timestamp}-${Math.random().toString(36).slice(2)}`,
-      fromIP: localIP,
+      id: clientMessageId,
+      clientMessageId,
+      fromClientId: clientIdRef.current,
       text,
       timestamp,
-      outgoing: true
+      encrypted: true,
+      undecryptable: false,
+      outgoing: true,
+      editedAt: null,
+      deleted: false,
+      reactions: {}
     };
     setMessages((prev) => [...prev, outgoingMsg]);
-    wsRef.current.send(JSON.stringify({
+    noteConversationMessage(peerClientId, chatPeerName, outgoingMsg);
+    const frame = {
       type: 'chat-message',
-      targetIP: peerIP,
-      text,
-      timestamp
-    }));
+      targetClientId: peerClientId,
+      envelope,
+      timestamp,
+      clientMessageId,
+      direct
+    };
+    outboxRef.current.set(clientMessageId, frame);
+    sendSignal(frame);
     setChatInput('');
   };
 
-  // Auto-scroll chat to bottom on new messages
+  // A new chat partner starts with a clean slate; file transfers stay listed
+  useEffect(() => {
+    peerClientIdRef.current = peerClientId;
+    setMessages((prev) => prev.filter((m) => m.transferId));
+    setHasOlderMessages(false);
+    setIsLoadingOlder(false);
+    lastReadSentRef.current = 0;
+    setPeerReceipts({ delivered: 0, read: 0 });
+    setPeerTyping(false);
+    setEditingId(null);
+    setChatSecurity(peerClientId ? { ...getPeerSecurity(peerClientId), keyMismatch: false } : null);
+  }, [peerClientId]);
+
+  // Tell the peer how far we have read whenever their newest message is on
+  // screen: chat open and the tab visible
   useEffect(() => {
+    if (!isConnected || !peerClientId || !isChatOpen) return undefined;
+    const markRead = () => {
+      if (document.hidden || !wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
+      const newest = messages.reduce((max, m) => (
+        !m.outgoing && m.serverId != null ? Math.max(max, m.serverId) : max
+      ), 0);
+      if (newest <= lastReadSentRef.current) return;
+      lastReadSentRef.current = newest;
+      wsRef.current.send(JSON.stringify({ type: 'chat-read', peerClientId, upToId: newest }));
+    };
+    markRead();
+    document.addEventListener('visibilitychange', markRead);
+    return () => document.removeEventListener('visibilitychange', markRead);
+  }, [messages, isChatOpen, isConnected, peerClientId]);
+
+  // Auto-scroll chat to bottom on new messages; older pages keep the
+  // current view where it is instead
+  useLayoutEffect(() => {
+    const list = messagesListRef.current;
+    if (prependScrollRef.current !== null) {
+      if (list) list.scrollTop = list.scrollHeight - prependScrollRef.current;
+      prependScrollRef.current = null;
+      return;
+    }
     if (chatEndRef.current) {
       chatEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
   }, [messages]);
 
+  // Who the open conversation is with, and everyone else's unread messages
+  const activeConversation = conversations.find((c) => c.peerClientId === peerClientId);
+  const chatPeerName = (call && call.peerClientId === peerClientId && call.peerName)
+    || (activeConversation && activeConversation.name)
+    || (peers.find((p) => p.clientId === peerClientId) || {}).name
+    || '';
+  const otherUnread = conversations.reduce((sum, c) => (c.peerClientId === peerClientId ? sum : sum + c.unread), 0);
+  const peerStatuses = new Map(peers.filter((p) => p.id !== selfId).map((p) => [p.clientId, p.status]));
+
   const toggleChat = () => {
     setIsChatOpen((open) => {
       const next = !open;
@@ -499,6 +2373,15 @@ const VideoCall = () => {
     });
   };
 
+  const statusLabel = reconnectAttempt > 0 ? 'reconnecting' : connectionStatus;
+  const speechEngines = listSpeechEngines();
+  const canShareScreen = !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+  // Any shared screen goes first and full width
+  const presenterView = !!screenShare || remotePeers.some((p) => (peerMedia[p.peerId] || {}).screen);
+  const remoteRecorders = remotePeers
+    .filter((p) => (peerMedia[p.peerId] || {}).recording)
+    .map((p) => p.name);
+
   return (
     <div className="video-call-container">
       <div className="video-call-header">
@@ -508,23 +2391,33 @@ const VideoCall = () => {
 
       <div className="info-panel">
         <div className="info-item">
-          <span className="info-label">📤 Share This IP:</span>
+          <span className="info-label">👤 You appear as:</span>
           <span className="info-value" style={{ fontSize: '1.3rem', fontWeight: 'bold', color: '#667eea' }}>
-            {localIP || 'Detecting...'}
+            {displayName || 'Not registered'}
           </span>
           <span style={{ fontSize: '0.8rem', color: '#666', marginTop: '5px' }}>
-            This is your IP address - share it with your peer
+            Local IP: {localIP || 'Detecting...'}
           </span>
         </div>
         <div className="info-item">
           <span className="info-label">Server:</span>
-          <span className="info-value">{serverIP}:3001</span>
+          <span className="info-value">{serverAddress}</span>
+          {networkAddress && networkAddress !== serverAddress && (
+            <span style={{ fontSize: '0.8rem', color: '#666', marginTop: '5px' }}>
+              On the network: {networkAddress}
+            </span>
+          )}
         </div>
         <div className="info-item">
           <span className="info-label">Status:</span>
-          <span className={`status-badge ${connectionStatus}`}>
-            {connectionStatus}
+          <span className={`status-badge ${statusLabel}`}>
+            {statusLabel}
           </span>
+          {isAdmin && (
+            <a href="#/admin" target="_blank" rel="noopener noreferrer" className="admin-link">
+              🛠 Admin dashboard
+            </a>
+          )}
         </div>
       </div>
 
@@ -532,6 +2425,16 @@ const VideoCall = () => {
         <div className="error-message">{error}</div>
       )}
 
+      {callEnded && (
+        <div className="call-ended-notice" role="status">{callEnded}</div>
+      )}
+
+      {reconnectAttempt > 0 && (
+        <div className="reconnecting-notice" role="status">
+          Reconnecting to the server… (attempt {reconnectAttempt})
+        </div>
+      )}
+
       <div className="controls-panel">
         {!localVideoStarted && (
           <div className="connection-section">
@@ -545,48 +2448,224 @@ const VideoCall = () => {
         )}
         
         {localVideoStarted && !isConnected && (
-          <div className="connection-section">
-            <input
-              type="text"
-              placeholder="Server IP (default: localhost)"
-              value={serverIP}
-              onChange={(e) => setServerIP(e.target.value)}
-              className="input-field"
-            />
-            <button onClick={connectToServer} className="btn btn-primary">
-              Connect to Server
-            </button>
-            <button onClick={stopLocalVideo} className="btn btn-danger">
-              Stop Camera
-            </button>
-          </div>
+          <>
+            <div className="connection-section">
+              <input
+                type="text"
+                placeholder="Server address (host:port)"
+                value={serverAddress}
+                onChange={(e) => setServerAddress(e.target.value)}
+                className="input-field"
+              />
+              {session && (
+                <input
+                  type="text"
+                  placeholder="Your name"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  className="input-field"
+                />
+              )}
+            </div>
+            {session ? (
+              <div className="connection-section" style={{ marginTop: '10px' }}>
+                <span className="info-label">Signed in as {session.user.username}</span>
+                <button onClick={() => connectToServer()} className="btn btn-primary">
+                  Connect to Server
+                </button>
+                <button onClick={signOut} className="btn btn-secondary">
+                  Sign Out
+                </button>
+                <button onClick={stopLocalVideo} className="btn btn-danger">
+                  Stop Camera
+                </button>
+              </div>
+            ) : (
+              <div style={{ marginTop: '10px' }}>
+                <LoginForm onSubmit={signIn} busy={isSigningIn} />
+              </div>
+            )}
+          </>
         )}
         
         {localVideoStarted && isConnected && (
-          <div className="connection-section">
-            <input
-              type="text"
-              placeholder={`Enter peer's IP (e.g., ${localIP || '10.7.14.51'})`}
-              value={peerIP}
-              onChange={(e) => setPeerIP(e.target.value)}
-              className="input-field"
-              disabled={isConnecting || connectionStatus === 'connected'}
+          <>
+            <RoomPanel
+              room={room}
+              rooms={rooms}
+              onJoin={joinRoom}
+              onLeave={leaveRoom}
+              disabled={!!call}
             />
-            <button
-              onClick={connectToPeer}
-              className="btn btn-success"
-              disabled={isConnecting || connectionStatus === 'connected'}
-            >
-              {isConnecting ? 'Connecting...' : 'Connect to Peer'}
-            </button>
-            <button onClick={disconnect} className="btn btn-danger">
-              Disconnect
-            </button>
-          </div>
+            {!room && (
+              <PeerDirectory
+                peers={peers}
+                selfId={selfId}
+                onCall={startCall}
+                disabled={!!call || isConnecting || connectionStatus === 'connected'}
+              />
+            )}
+            <div className="connection-section">
+              {call && call.direction === 'outgoing' && call.state === 'ringing' && (
+                <>
+                  <span className="info-label">📞 Calling {call.peerName}…</span>
+                  <button onClick={cancelCall} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                </>
+              )}
+              {call && call.state === 'active' && (
+                <button onClick={() => hangUp()} className="btn btn-danger">
+                  📵 Hang Up
+                </button>
+              )}
+              {isConnecting && <span className="info-label">Connecting...</span>}
+              {(remotePeers.length > 0 || recording) && (
+                <button
+                  onClick={recording ? stopRecording : startRecording}
+                  className={`btn ${recording ? 'btn-danger' : 'btn-secondary'}`}
+                >
+                  {recording
+                    ? `⏹ Stop Recording (${formatElapsed(recordingNow - recording.startedAt)})`
+                    : '⏺ Record'}
+                </button>
+              )}
+              {canShareScreen && (remotePeers.length > 0 || screenShare) && (
+                <>
+                  {!inSfuRoom && (
+                    <label className="share-option">
+                      <input
+                        type="checkbox"
+                        checked={shareWithCamera}
+                        onChange={(e) => setShareWithCamera(e.target.checked)}
+                        disabled={!!screenShare}
+                      />
+                      Keep camera on
+                    </label>
+                  )}
+                  <button
+                    onClick={screenShare ? stopScreenShare : startScreenShare}
+                    className={`btn ${screenShare ? 'btn-secondary' : 'btn-primary'}`}
+                  >
+                    {screenShare ? '🛑 Stop Sharing' : '🖥️ Share Screen'}
+                  </button>
+                </>
+              )}
+              {remotePeers.length > 0 && (
+                <button
+                  onClick={() => setShowStats((show) => !show)}
+                  className="btn btn-secondary"
+                  aria-pressed={showStats}
+                >
+                  {showStats ? '📊 Hide Stats' : '📊 Stats'}
+                </button>
+              )}
+              {remotePeers.length > 0 && !inSfuRoom && (
+                <button
+                  onClick={() => setCaptionsOn((on) => !on)}
+                  className={`btn ${captionsOn ? 'btn-primary' : 'btn-secondary'}`}
+                  aria-pressed={captionsOn}
+                  title="Show what you say as captions for everyone in the call"
+                >
+                  {captionsOn ? '🔤 Captions On' : '🔤 Captions'}
+                </button>
+              )}
+              {remotePeers.length > 0 && !inSfuRoom && speechEngines.length > 1 && (
+                <select
+                  value={speechEngine}
+                  onChange={(e) => selectSpeechEngine(e.target.value)}
+                  className="input-field caption-engine"
+                  aria-label="Speech recognition"
+                >
+                  {speechEngines.map(({ name, label }) => (
+                    <option key={name} value={name}>{label}</option>
+                  ))}
+                </select>
+              )}
+              <button onClick={disconnect} className="btn btn-danger">
+                Disconnect
+              </button>
+            </div>
+          </>
+        )}
+
+        {localVideoStarted && (
+          <MediaControls
+            micMuted={micMuted}
+            cameraOff={cameraOff}
+            onToggleMic={toggleMic}
+            onToggleCamera={toggleCamera}
+            devices={devices}
+            selected={selectedDevices}
+            onSelect={selectDevice}
+            quality={quality}
+            onQualityChange={selectQuality}
+            effectsOpen={showEffects}
+            onToggleEffects={canProcessVideo() ? () => setShowEffects((show) => !show) : null}
+          />
+        )}
+        {localVideoStarted && showEffects && (
+          <VideoEffectsPanel
+            effects={videoEffects}
+            segmenterStatus={segmenterStatus}
+            onChange={selectVideoEffects}
+            onPickImage={pickBackgroundImage}
+          />
         )}
       </div>
 
-      <div className="video-panel">
+      {(recording || remoteRecorders.length > 0) && (
+        <div className="recording-notice" role="status">
+          <span className="recording-dot" />
+          {recording
+            ? `You are recording this call · ${formatElapsed(recordingNow - recording.startedAt)}`
+            : `${remoteRecorders.join(', ')} ${remoteRecorders.length === 1 ? 'is' : 'are'} recording this call`}
+        </div>
+      )}
+
+      {lastRecording && (
+        <div className="recording-ready">
+          <span>
+            🎬 Recording ready ({formatElapsed(lastRecording.durationMs)}, {formatFileSize(lastRecording.size)})
+          </span>
+          <a className="btn btn-primary" href={lastRecording.url} download={lastRecording.name}>
+            Download
+          </a>
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              URL.revokeObjectURL(lastRecording.url);
+              setLastRecording(null);
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {lastTranscript && (
+        <div className="recording-ready">
+          <span>📝 Call transcript ready ({lastTranscript.lines} {lastTranscript.lines === 1 ? 'line' : 'lines'})</span>
+          <a className="btn btn-primary" href={lastTranscript.vttUrl} download={`${lastTranscript.name}.vtt`}>
+            Download VTT
+          </a>
+          <a className="btn btn-secondary" href={lastTranscript.textUrl} download={`${lastTranscript.name}.txt`}>
+            Download text
+          </a>
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              URL.revokeObjectURL(lastTranscript.vttUrl);
+              URL.revokeObjectURL(lastTranscript.textUrl);
+              setLastTranscript(null);
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <div className={`video-panel participants-${Math.max(remotePeers.length, 1) + 1}${presenterView ? ' presenter' : ''}`}>
         <div className="video-wrapper local">
           <video
             ref={localVideoRef}
@@ -595,52 +2674,190 @@ const VideoCall = () => {
             playsInline
             className="video-element"
           />
-          <div className="video-label">You</div>
+          {cameraOff && <div className="video-off">📷 Camera off</div>}
+          <CaptionOverlay segment={captions.local} />
+          <div className="video-label">
+            {micMuted && <span className="muted-badge" title="Muted">🔇</span>}
+            You
+          </div>
+          {/* In SFU rooms everything goes over one connection to the server */}
+          {showStats && (
+            <StatsOverlay
+              title="Server connection"
+              stats={callStats[SFU_CONNECTION_KEY]}
+              adaptiveStep={(callStats[SFU_CONNECTION_KEY] || {}).adaptiveStep}
+            />
+          )}
         </div>
-        <div className="video-wrapper remote">
-          <video
-            ref={remoteVideoRef}
-            autoPlay
-            playsInline
-            className="video-element"
+        {remotePeers
+          .filter((p) => p.screenStream && (peerMedia[p.peerId] || {}).screenWithCamera)
+          .map((p) => (
+            <VideoTile
+              key={`${p.peerId}-screen`}
+              stream={p.screenStream}
+              label={`${p.name}'s screen`}
+              className="remote presentation"
+              muted
+            />
+          ))}
+        {remotePeers.length === 0 ? (
+          <VideoTile label="Peer" className="remote" />
+        ) : (
+          remotePeers.map((p) => {
+            const media = peerMedia[p.peerId] || {};
+            const presenting = media.screen && !media.screenWithCamera;
+            return (
+              <VideoTile
+                key={p.peerId}
+                stream={p.stream}
+                label={presenting ? `${p.name} (presenting)` : p.name}
+                className={`remote${presenting ? ' presentation' : ''}`}
+                audioMuted={!!media.audioMuted}
+                videoOff={!!media.videoMuted && !presenting}
+                sinkId={selectedDevices.audiooutput || ''}
+              >
+                {showStats && (
+                  <StatsOverlay stats={callStats[p.peerId]} adaptiveStep={(callStats[p.peerId] || {}).adaptiveStep} />
+                )}
+                <CaptionOverlay segment={captions[p.peerId]} />
+              </VideoTile>
+            );
+          })
+        )}
+        {screenShare && (
+          <VideoTile
+            stream={screenShare.stream}
+            label="Your screen"
+            muted
+            className="local presentation"
           />
-          <div className="video-label">Peer</div>
-        </div>
+        )}
       </div>
 
+      {call && call.direction === 'incoming' && call.state === 'ringing' && (
+        <IncomingCall
+          callerName={call.peerName}
+          onAccept={acceptCall}
+          onDecline={declineCall}
+        />
+      )}
+
       {isConnected && (
         <div className="chat-panel">
           <div className="chat-header">
-            <span>💬 Chat</span>
-            <button className="btn btn-secondary" onClick={toggleChat}>
-              {isChatOpen ? 'Hide' : `Show${unreadCount ? ` (${unreadCount})` : ''}`}
-            </button>
+            <span>💬 Chat{chatPeerName && ` with ${chatPeerName}`}</span>
+            <div className="chat-header-actions">
+              {chatSecurity && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setShowChatSecurity((show) => !show)}
+                  aria-pressed={showChatSecurity}
+                  title="Encryption and safety number"
+                >
+                  {chatSecurity.keyMismatch || chatSecurity.identityChanged ? '⚠️' : '🔒'}
+                  {chatSecurity.verified ? ' Verified' : ' Not verified'}
+                </button>
+              )}
+              <button className="btn btn-secondary" onClick={toggleChat}>
+                {isChatOpen ? 'Hide' : `Show${unreadCount + otherUnread ? ` (${unreadCount + otherUnread})` : ''}`}
+              </button>
+            </div>
           </div>
+          {isChatOpen && showChatSecurity && chatSecurity && (
+            <ChatSecurity
+              security={chatSecurity}
+              peerName={chatPeerName || 'your peer'}
+              onVerify={() => {
+                markPeerVerified(peerClientId);
+                setChatSecurity((prev) => ({ ...prev, ...getPeerSecurity(peerClientId) }));
+              }}
+            />
+          )}
           {isChatOpen && (
             <div className="chat-body">
-              <div className="messages-list">
-                {messages.map((m) => (
+              <ConversationList
+                conversations={conversations}
+                activeClientId={peerClientId}
+                statuses={peerStatuses}
+                onSelect={openConversation}
+              />
+              <div className="messages-list" ref={messagesListRef} onScroll={handleMessagesScroll}>
+                {isLoadingOlder && <div className="messages-status">Loading earlier messages…</div>}
+                {!isLoadingOlder && hasOlderMessages && (
+                  <button className="messages-status messages-load-older" onClick={loadOlderMessages}>
+                    Load earlier messages
+                  </button>
+                )}
+                {messages.map((m) => (m.transferId ? (
                   <div key={m.id} className={`message ${m.outgoing ? 'outgoing' : 'incoming'}`}>
                     <div className="bubble">
-                      <div className="text">{m.text}</div>
+                      {transfers[m.transferId] ? (
+                        <FileTransferEntry
+                          transfer={transfers[m.transferId]}
+                          onPause={(id) => getFileTransfers().pause(id)}
+                          onResume={(id) => getFileTransfers().resume(id)}
+                          onCancel={(id) => getFileTransfers().cancel(id)}
+                        />
+                      ) : (
+                        <div className="text">{m.text}</div>
+                      )}
                       <div className="meta">{new Date(m.timestamp).toLocaleTimeString()}</div>
                     </div>
                   </div>
-                ))}
+                ) : (
+                  <ChatMessage
+                    key={m.id}
+                    message={m}
+                    status={getDeliveryStatus(m, peerReceipts)}
+                    selfClientId={clientIdRef.current}
+                    onReact={(emoji) => reactToMessage(m, emoji)}
+                    onEdit={() => startEditing(m)}
+                    onDelete={() => deleteMessage(m)}
+                  />
+                )))}
                 <div ref={chatEndRef} />
               </div>
+              <div className="typing-indicator" aria-live="polite">
+                {peerTyping && `${chatPeerName || 'Peer'} is typing…`}
+              </div>
+              {editingId != null && (
+                <div className="editing-bar">
+                  <span>✏️ Editing message</span>
+                  <button onClick={cancelEditing}>Cancel</button>
+                </div>
+              )}
               <div className="chat-input-row">
                 <input
                   type="text"
-                  placeholder="Type a message"
+                  placeholder={editingId != null ? 'Edit your message' : 'Type a message'}
                   value={chatInput}
-                  onChange={(e) => setChatInput(e.target.value)}
+                  maxLength={CHAT_MAX_LENGTH}
+                  onChange={(e) => handleChatInputChange(e.target.value)}
                   onKeyDown={(e) => {
                     if (e.key === 'Enter') sendChatMessage();
+                    if (e.key === 'Escape' && editingId != null) cancelEditing();
                   }}
                   className="input-field"
                 />
-                <button className="btn btn-primary" onClick={sendChatMessage}>Send</button>
+                <input
+                  type="file"
+                  multiple
+                  ref={fileInputRef}
+                  onChange={handleFileSelected}
+                  className="file-input-hidden"
+                />
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => fileInputRef.current && fileInputRef.current.click()}
+                  disabled={!peerId || !peerClientId || getPeerClientId(peerId) !== peerClientId
+                    || connectionStatus !== 'connected'}
+                  title="Send a file"
+                >
+                  📎
+                </button>
+                <button className="btn btn-primary" onClick={sendChatMessage}>
+                  {editingId != null ? 'Save' : 'Send'}
+                </button>
               </div>
             </div>
           )}
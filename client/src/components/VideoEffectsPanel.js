@@ -0,0 +1,100 @@
+import React, { useRef } from 'react';
+import { BACKGROUND_MODES, BLUR_RANGE, BRIGHTNESS_RANGE, DEFAULT_EFFECTS } from '../utils/videoEffects';
+import './VideoEffectsPanel.css';
+
+const STATUS_TEXT = {
+  loading: 'Loading the background model…',
+  unavailable: 'Background effects are unavailable: the segmentation model could not be loaded.'
+};
+
+// Background, brightness and mirror settings for the camera. Changes apply
+// to the live video straight away; `onPickImage(file)` handles an uploaded
+// background.
+const VideoEffectsPanel = ({ effects, segmenterStatus, onChange, onPickImage }) => {
+  const fileInputRef = useRef(null);
+  const update = (changes) => onChange({ ...effects, ...changes });
+
+  return (
+    <div className="video-effects">
+      <div className="video-effects-row">
+        <span className="video-effects-label">Background</span>
+        {Object.entries(BACKGROUND_MODES).map(([mode, label]) => (
+          <button
+            key={mode}
+            className={`btn ${effects.background === mode ? 'btn-primary' : 'btn-secondary'}`}
+            aria-pressed={effects.background === mode}
+            onClick={() => {
+              if (mode === 'image' && !effects.backgroundImage) {
+                if (fileInputRef.current) fileInputRef.current.click();
+                return;
+              }
+              update({ background: mode });
+            }}
+          >
+            {label}
+          </button>
+        ))}
+        {effects.backgroundImage && (
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+            Change image
+          </button>
+        )}
+        <input
+          type="file"
+          accept="image/*"
+          ref={fileInputRef}
+          className="file-input-hidden"
+          onChange={(e) => {
+            const [file] = e.target.files || [];
+            e.target.value = '';
+            if (file) onPickImage(file);
+          }}
+        />
+      </div>
+      {effects.background !== 'none' && STATUS_TEXT[segmenterStatus] && (
+        <div className="video-effects-status" role="status">{STATUS_TEXT[segmenterStatus]}</div>
+      )}
+      {effects.background === 'blur' && (
+        <label className="video-effects-row">
+          <span className="video-effects-label">Blur</span>
+          <input
+            type="range"
+            min={BLUR_RANGE.min}
+            max={BLUR_RANGE.max}
+            value={effects.blurRadius}
+            onChange={(e) => update({ blurRadius: Number(e.target.value) })}
+          />
+        </label>
+      )}
+      <label className="video-effects-row">
+        <span className="video-effects-label">Brightness</span>
+        <input
+          type="range"
+          min={BRIGHTNESS_RANGE.min}
+          max={BRIGHTNESS_RANGE.max}
+          value={effects.brightness}
+          onChange={(e) => update({ brightness: Number(e.target.value) })}
+        />
+        <span className="video-effects-value">{effects.brightness}%</span>
+      </label>
+      <label className="video-effects-row">
+        <input
+          type="checkbox"
+          checked={effects.mirror}
+          onChange={(e) => update({ mirror: e.target.checked })}
+        />
+        Mirror my video
+      </label>
+      <div className="video-effects-row">
+        <button
+          className="btn btn-secondary"
+          onClick={() => onChange({ ...DEFAULT_EFFECTS, backgroundImage: effects.backgroundImage })}
+        >
+          Reset effects
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VideoEffectsPanel;
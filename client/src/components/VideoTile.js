@@ -0,0 +1,51 @@
+import React, { useEffect, useRef } from 'react';
+
+// One participant's video in the call grid. `videoOff` covers the picture
+// with a placeholder instead of leaving the last frame frozen on screen.
+// Children (e.g. the stats overlay) are drawn on top of the video.
+const VideoTile = ({
+  stream, label, muted = false, className = '', audioMuted = false, videoOff = false, sinkId = '', children = null
+}) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.srcObject = stream || null;
+    if (stream) {
+      // Ensure video plays
+      video.play().catch(err => {
+        console.error(`Error playing video for ${label}:`, err);
+      });
+    }
+  }, [stream, label]);
+
+  // Route audio to the chosen speaker where the browser allows it
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || muted || typeof video.setSinkId !== 'function') return;
+    video.setSinkId(sinkId).catch(err => {
+      console.error(`Error switching speaker for ${label}:`, err);
+    });
+  }, [sinkId, muted, label]);
+
+  return (
+    <div className={`video-wrapper ${className}`}>
+      <video
+        ref={videoRef}
+        autoPlay
+        muted={muted}
+        playsInline
+        className="video-element"
+      />
+      {videoOff && <div className="video-off">📷 Camera off</div>}
+      {children}
+      <div className="video-label">
+        {audioMuted && <span className="muted-badge" title="Muted">🔇</span>}
+        {label}
+      </div>
+    </div>
+  );
+};
+
+export default VideoTile;
@@ -0,0 +1,37 @@
+// The signaling server's /admin API, used by the admin dashboard. Requests
+// carry the session token of an account the server lists as an admin.
+
+// Resolves to the JSON body, or throws an Error with the server's reason and
+// the HTTP status as `status`
+export const adminRequest = async (serverUrl, token, path, { method = 'GET' } = {}) => {
+  const response = await fetch(`${serverUrl}/admin${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' }
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `Admin request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+};
+
+// Live updates: handlers maps an event name ('state', 'chats', 'problem') to
+// a function taking its data. The browser reconnects by itself after a drop.
+// An EventSource cannot send headers, so the token goes in the query string.
+export const openAdminEvents = (serverUrl, token, handlers) => {
+  const source = new EventSource(`${serverUrl}/admin/events?token=${encodeURIComponent(token)}`);
+  Object.entries(handlers).forEach(([event, handler]) => {
+    source.addEventListener(event, (e) => {
+      try {
+        handler(JSON.parse(e.data));
+      } catch (err) {
+        console.error(`Bad admin ${event} event:`, err);
+      }
+    });
+  });
+  return source;
+};
+
+export const chatPath = (pairKey, query = '') => `/chats/${encodeURIComponent(pairKey)}${query}`;
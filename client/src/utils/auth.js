@@ -0,0 +1,53 @@
+import { readStorage, writeStorage, removeStorage } from './storage';
+
+// Session token issued by the signaling server's /auth endpoints. It is sent
+// on the WebSocket upgrade and again in `register`.
+
+const SESSION_KEY = 'p2p-video:session';
+
+// Claims are readable without the server secret; only the expiry is used here
+const decodeClaims = (token) => {
+  try {
+    const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(window.atob(payload));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Returns { token, user } or null when there is no unexpired session
+export const getSavedSession = () => {
+  try {
+    const session = JSON.parse(readStorage(SESSION_KEY));
+    const claims = session && decodeClaims(session.token);
+    if (!claims || claims.exp < Date.now()) {
+      removeStorage(SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  writeStorage(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  removeStorage(SESSION_KEY);
+};
+
+// mode is 'login' or 'register'; resolves to { token, user } or throws with the server's reason
+export const requestSession = async (serverUrl, mode, credentials) => {
+  const response = await fetch(`${serverUrl}/auth/${mode}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(credentials)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Sign-in failed (${response.status})`);
+  }
+  return { token: body.token, user: body.user };
+};
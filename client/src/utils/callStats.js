@@ -0,0 +1,114 @@
+// Connection quality from RTCPeerConnection.getStats(). Counters in the report
+// are totals since the connection started, so rates and loss are worked out
+// against the previous sample for the same connection.
+
+export const STATS_INTERVAL_MS = 2000;
+
+const CANDIDATE_TYPE_TEXT = {
+  host: 'direct',
+  srflx: 'via STUN',
+  prflx: 'via STUN',
+  relay: 'via TURN relay'
+};
+
+export const describeCandidateType = (type) => CANDIDATE_TYPE_TEXT[type] || 'unknown';
+
+const toList = (report) => {
+  const entries = [];
+  report.forEach((entry) => entries.push(entry));
+  return entries;
+};
+
+// The pair ICE settled on; Chrome names it on the transport, Firefox flags it
+const findSelectedPair = (entries, byId) => {
+  const transport = entries.find((s) => s.type === 'transport' && s.selectedCandidatePairId);
+  if (transport) return byId.get(transport.selectedCandidatePairId) || null;
+  return entries.find((s) => s.type === 'candidate-pair' && (s.selected || (s.nominated && s.state === 'succeeded'))) || null;
+};
+
+const bitrate = (bytes, previousBytes, elapsedMs) => (
+  previousBytes === undefined || elapsedMs <= 0 ? null : Math.max(0, ((bytes - previousBytes) * 8 * 1000) / elapsedMs)
+);
+
+// One direction's video: the largest stream wins when there are several
+const pickVideo = (entries, type) => entries
+  .filter((s) => s.type === type && (s.kind || s.mediaType) === 'video')
+  .sort((a, b) => (b.frameWidth || 0) - (a.frameWidth || 0))[0] || null;
+
+// Returns a summary of one getStats() report:
+//   { timestamp, rttMs, jitterMs, loss, sendLoss, candidateType,
+//     inbound: { bitrate, width, height, fps }, outbound: { ... }, totals }
+// `loss` is the share of packets we failed to receive since the last sample,
+// `sendLoss` what the other side reports losing of ours (0..1, null if unknown).
+export const summarizeStats = (report, previous = null) => {
+  const entries = toList(report);
+  const byId = new Map(entries.map((s) => [s.id, s]));
+  const pair = findSelectedPair(entries, byId);
+  const localCandidate = pair ? byId.get(pair.localCandidateId) : null;
+  const remoteCandidate = pair ? byId.get(pair.remoteCandidateId) : null;
+  // A relayed path on either end goes through TURN
+  const candidateType = [localCandidate, remoteCandidate].some((c) => c && c.candidateType === 'relay')
+    ? 'relay'
+    : (localCandidate && localCandidate.candidateType) || null;
+
+  const inboundRtp = entries.filter((s) => s.type === 'inbound-rtp');
+  const outboundRtp = entries.filter((s) => s.type === 'outbound-rtp');
+  const remoteInbound = entries.filter((s) => s.type === 'remote-inbound-rtp');
+  const sum = (list, field) => list.reduce((total, s) => total + (s[field] || 0), 0);
+
+  const totals = {
+    bytesReceived: sum(inboundRtp, 'bytesReceived'),
+    bytesSent: sum(outboundRtp, 'bytesSent'),
+    packetsReceived: sum(inboundRtp, 'packetsReceived'),
+    packetsLost: sum(inboundRtp, 'packetsLost')
+  };
+  const timestamp = Date.now();
+  const elapsedMs = previous ? timestamp - previous.timestamp : 0;
+  const prev = previous ? previous.totals : {};
+
+  let loss = null;
+  if (previous) {
+    const lost = Math.max(0, totals.packetsLost - prev.packetsLost);
+    const received = Math.max(0, totals.packetsReceived - prev.packetsReceived);
+    loss = lost + received > 0 ? lost / (lost + received) : 0;
+  }
+  const sendLosses = remoteInbound.map((s) => s.fractionLost).filter((f) => typeof f === 'number');
+  const sendLoss = sendLosses.length > 0 ? Math.max(...sendLosses) : null;
+
+  let rtt = pair && typeof pair.currentRoundTripTime === 'number' ? pair.currentRoundTripTime : null;
+  if (rtt === null) {
+    const measured = remoteInbound.find((s) => typeof s.roundTripTime === 'number');
+    rtt = measured ? measured.roundTripTime : null;
+  }
+  const jitters = inboundRtp.map((s) => s.jitter).filter((j) => typeof j === 'number');
+
+  const inVideo = pickVideo(entries, 'inbound-rtp');
+  const outVideo = pickVideo(entries, 'outbound-rtp');
+  return {
+    timestamp,
+    rttMs: rtt === null ? null : rtt * 1000,
+    jitterMs: jitters.length > 0 ? Math.max(...jitters) * 1000 : null,
+    loss,
+    sendLoss,
+    candidateType,
+    inbound: {
+      bitrate: bitrate(totals.bytesReceived, prev.bytesReceived, elapsedMs),
+      width: inVideo ? inVideo.frameWidth || null : null,
+      height: inVideo ? inVideo.frameHeight || null : null,
+      fps: inVideo ? inVideo.framesPerSecond || null : null
+    },
+    outbound: {
+      bitrate: bitrate(totals.bytesSent, prev.bytesSent, elapsedMs),
+      width: outVideo ? outVideo.frameWidth || null : null,
+      height: outVideo ? outVideo.frameHeight || null : null,
+      fps: outVideo ? outVideo.framesPerSecond || null : null
+    },
+    totals
+  };
+};
+
+export const formatBitrate = (bitsPerSecond) => {
+  if (bitsPerSecond === null || bitsPerSecond === undefined) return '–';
+  if (bitsPerSecond >= 1000000) return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+  return `${Math.round(bitsPerSecond / 1000)} kbps`;
+};
@@ -0,0 +1,123 @@
+// Live captions between peers, and the transcript they add up to.
+//
+// Each participant transcribes their own microphone and sends the segments
+// to everyone they are connected to over a caption RTCDataChannel, one JSON
+// frame per update:
+//   caption {id, text, final, durationMs}
+// Receivers time segments by their own clock (arrival, minus the duration
+// the sender measured), so clocks do not have to agree.
+//
+// Channels are keyed by the peer's session id, like the video tiles that
+// show the captions.
+
+export const CAPTION_CHANNEL_LABEL = 'captions';
+// Negotiated on both ends, next to the file and chat channels
+export const CAPTION_CHANNEL_ID = 3;
+
+// onCaption(peerKey, {id, text, final, startedAt, endedAt})
+export const createCaptionChannels = ({ onCaption }) => {
+  const channels = new Map(); // peerKey -> RTCDataChannel
+  const started = new Map(); // `${peerKey}:${id}` -> local time the segment started
+
+  const attachChannel = (peerKey, channel) => {
+    channels.set(peerKey, channel);
+
+    channel.onclose = () => {
+      if (channels.get(peerKey) === channel) channels.delete(peerKey);
+    };
+
+    channel.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (err) {
+        console.error('Bad caption channel message:', err);
+        return;
+      }
+      if (frame.type !== 'caption' || typeof frame.id !== 'string' || typeof frame.text !== 'string') return;
+      const key = `${peerKey}:${frame.id}`;
+      const now = Date.now();
+      const startedAt = started.get(key) || now - Math.max(0, Number(frame.durationMs) || 0);
+      if (frame.final) {
+        started.delete(key);
+      } else {
+        started.set(key, startedAt);
+      }
+      onCaption(peerKey, { id: frame.id, text: frame.text, final: !!frame.final, startedAt, endedAt: now });
+    };
+  };
+
+  // To every open channel
+  const send = ({ id, text, final, startedAt, endedAt }) => {
+    const frame = JSON.stringify({ type: 'caption', id, text, final, durationMs: endedAt - startedAt });
+    channels.forEach((channel) => {
+      if (channel.readyState !== 'open') return;
+      try {
+        channel.send(frame);
+      } catch (err) {
+        console.error('Error sending caption:', err);
+      }
+    });
+  };
+
+  const dispose = () => {
+    channels.clear();
+    started.clear();
+  };
+
+  return { attachChannel, send, dispose };
+};
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// 00:01:02.345 (VTT) or 00:01:02 (text)
+const formatTime = (ms, withMillis) => {
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor(total / 60000) % 60;
+  const s = Math.floor(total / 1000) % 60;
+  const base = `${pad(h)}:${pad(m)}:${pad(s)}`;
+  return withMillis ? `${base}.${pad(total % 1000, 3)}` : base;
+};
+
+// Cue text may not contain a blank line or "-->"
+const escapeVtt = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\n+/g, ' ');
+
+// Final segments from everyone in one call, in order. Times in the export
+// are from `startedAt`, when the call began.
+export const createTranscript = (startedAt = Date.now()) => {
+  const segments = new Map(); // `${speakerKey}:${id}` -> {speaker, text, startedAt, endedAt}
+
+  const add = (speakerKey, speaker, segment) => {
+    if (!segment.final || !segment.text.trim()) return;
+    segments.set(`${speakerKey}:${segment.id}`, {
+      speaker,
+      text: segment.text.trim(),
+      startedAt: segment.startedAt,
+      endedAt: Math.max(segment.endedAt, segment.startedAt + 1)
+    });
+  };
+
+  const entries = () => Array.from(segments.values()).sort((a, b) => a.startedAt - b.startedAt);
+
+  const toVtt = () => [
+    'WEBVTT',
+    '',
+    ...entries().flatMap((entry, i) => [
+      String(i + 1),
+      `${formatTime(entry.startedAt - startedAt, true)} --> ${formatTime(entry.endedAt - startedAt, true)}`,
+      `<v ${escapeVtt(entry.speaker)}>${escapeVtt(entry.text)}`,
+      ''
+    ])
+  ].join('\n');
+
+  const toText = () => entries()
+    .map((entry) => `[${formatTime(entry.startedAt - startedAt, false)}] ${entry.speaker}: ${entry.text}`)
+    .join('\n');
+
+  return { add, entries, toVtt, toText, get size() { return segments.size; } };
+};
@@ -0,0 +1,94 @@
+import { createTranscript } from './captions';
+import { createMockEngine } from './mockSpeechEngine';
+
+const CALL_START = 1700000000000;
+
+const segment = (id, text, startMs, endMs, final = true) => ({
+  id,
+  text,
+  final,
+  startedAt: CALL_START + startMs,
+  endedAt: CALL_START + endMs
+});
+
+test('the transcript keeps final segments, in the order they were spoken', () => {
+  const transcript = createTranscript(CALL_START);
+  transcript.add('peer-1', 'Bob', segment('b1', 'Hi Alice', 3000, 4000));
+  transcript.add('local', 'Alice', segment('a1', 'Hello', 1000, 2000));
+  transcript.add('local', 'Alice', segment('a2', 'How are', 5000, 5500, false));
+  transcript.add('local', 'Alice', segment('a3', '   ', 6000, 6500));
+
+  expect(transcript.size).toBe(2);
+  expect(transcript.entries().map((e) => `${e.speaker}: ${e.text}`)).toEqual(['Alice: Hello', 'Bob: Hi Alice']);
+});
+
+test('a later final version of a segment replaces the earlier one', () => {
+  const transcript = createTranscript(CALL_START);
+  transcript.add('local', 'Alice', segment('a1', 'Hello there', 1000, 2000));
+  transcript.add('local', 'Alice', segment('a1', 'Hello there, Bob', 1000, 2500));
+  // The same id from someone else is a different segment
+  transcript.add('peer-1', 'Bob', segment('a1', 'Hi', 1500, 1800));
+
+  expect(transcript.entries().map((e) => e.text)).toEqual(['Hello there, Bob', 'Hi']);
+});
+
+test('toVtt numbers the cues with times from the start of the call', () => {
+  const transcript = createTranscript(CALL_START);
+  transcript.add('local', 'Alice', segment('a1', 'Hello', 1000, 2250));
+  transcript.add('peer-1', 'Bob', segment('b1', 'Hi', 3723456, 3724000));
+
+  expect(transcript.toVtt()).toBe([
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:02.250',
+    '<v Alice>Hello',
+    '',
+    '2',
+    '01:02:03.456 --> 01:02:04.000',
+    '<v Bob>Hi',
+    ''
+  ].join('\n'));
+});
+
+test('toVtt escapes markup and keeps each cue on one line', () => {
+  const transcript = createTranscript(CALL_START);
+  transcript.add('local', 'A <b>', segment('a1', 'x --> y & z\n\nnext', 0, 0));
+
+  const cue = transcript.toVtt().split('\n').slice(2, 5);
+  // A cue may not end where it starts
+  expect(cue[1]).toBe('00:00:00.000 --> 00:00:00.001');
+  expect(cue[2]).toBe('<v A &lt;b&gt;>x --&gt; y &amp; z next');
+});
+
+test('toText lists speaker lines with whole seconds', () => {
+  const transcript = createTranscript(CALL_START);
+  transcript.add('peer-1', 'Bob', segment('b1', 'Hi Alice', 65400, 66000));
+  transcript.add('local', 'Alice', segment('a1', 'Hello', 1000, 2000));
+
+  expect(transcript.toText()).toBe('[00:00:01] Alice: Hello\n[00:01:05] Bob: Hi Alice');
+});
+
+test('captions from the mock engine add up to a transcript', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(CALL_START);
+  try {
+    const transcript = createTranscript(CALL_START);
+    const engine = createMockEngine({
+      track: { enabled: true },
+      onSegment: (s) => transcript.add('local', 'Alice', s)
+    });
+    engine.start();
+    // Two phrases: five words, a pause, then six words
+    jest.advanceTimersByTime(350 * 5 + 2000 + 350 * 6);
+    engine.stop();
+
+    expect(transcript.toText()).toBe([
+      '[00:00:00] Alice: This is a test caption',
+      '[00:00:03] Alice: Captions arrive a word at a time'
+    ].join('\n'));
+    expect(transcript.toVtt()).toContain('00:00:00.350 --> 00:00:01.750\n<v Alice>This is a test caption');
+  } finally {
+    jest.useRealTimers();
+  }
+});
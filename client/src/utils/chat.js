@@ -0,0 +1,73 @@
+import { decryptChatEnvelope } from './e2ee';
+
+// Chat entries as the chat panel keeps them. Messages are identified by the
+// id the server assigned when storing them; until that arrives a message is
+// matched up by the clientMessageId it was sent with.
+
+// Emoji a message can be reacted with; the server accepts the same set
+export const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+export const createClientMessageId = () => `local-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// A stored message (live, from history or an update) as a chat entry
+export const toChatEntry = (message, selfClientId) => ({
+  id: `msg-${message.id}`,
+  serverId: message.id,
+  clientMessageId: message.clientMessageId || null,
+  fromClientId: message.fromClientId,
+  text: message.text,
+  encrypted: !!message.envelope,
+  undecryptable: false,
+  timestamp: message.timestamp,
+  outgoing: message.fromClientId === selfClientId,
+  editedAt: message.editedAt || null,
+  deleted: !!message.deleted,
+  reactions: message.reactions || {}
+});
+
+// toChatEntry for messages that may be encrypted. Messages from before chat
+// was encrypted pass through; ones we have no key for are marked undecryptable.
+export const openChatMessage = async (message, selfClientId) => {
+  const entry = toChatEntry(message, selfClientId);
+  if (!message.envelope) return entry;
+  const peerClientId = message.fromClientId === selfClientId ? message.targetClientId : message.fromClientId;
+  try {
+    entry.text = await decryptChatEnvelope(peerClientId, message.envelope, {
+      fromClientId: message.fromClientId,
+      targetClientId: message.targetClientId
+    });
+  } catch (err) {
+    console.error(`Could not decrypt chat message ${message.id}:`, err);
+    entry.text = '';
+    entry.undecryptable = true;
+  }
+  return entry;
+};
+
+// Where one of our messages stands against the peer's receipts
+// ({ delivered, read }: the highest message id that got that far). 'pending'
+// has not reached the server yet; 'sent' is stored there and queued for the
+// peer until they are next online.
+export const getDeliveryStatus = (entry, receipts) => {
+  if (entry.serverId == null) return 'pending';
+  if (entry.serverId <= receipts.read) return 'read';
+  if (entry.serverId <= receipts.delivered) return 'delivered';
+  return 'sent';
+};
+
+export const mergeReceipts = (current, next) => ({
+  delivered: Math.max(current.delivered, next.delivered || 0),
+  read: Math.max(current.read, next.read || 0)
+});
+
+// Conversations are { peerClientId, name, unread, preview } with preview the
+// latest message as a chat entry. `change(conversation)` returns the fields to
+// update; the conversation moves to the top, and is added if it is new.
+export const bumpConversation = (conversations, peerClientId, change) => {
+  const current = conversations.find((c) => c.peerClientId === peerClientId)
+    || { peerClientId, name: '', unread: 0, preview: null };
+  return [
+    { ...current, ...change(current) },
+    ...conversations.filter((c) => c.peerClientId !== peerClientId)
+  ];
+};
@@ -0,0 +1,42 @@
+import { readStorage, writeStorage } from './storage';
+
+// Camera, microphone and speaker choices, remembered across reloads.
+// Keys are MediaDeviceInfo kinds: audioinput, videoinput, audiooutput.
+
+const DEVICES_KEY = 'p2p-video:devices';
+
+export const DEVICE_KINDS = ['audioinput', 'videoinput', 'audiooutput'];
+
+export const getSavedDevices = () => {
+  try {
+    const saved = JSON.parse(readStorage(DEVICES_KEY) || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+export const saveDevices = (devices) => {
+  writeStorage(DEVICES_KEY, JSON.stringify(devices));
+};
+
+// Device lists grouped by kind. Labels are only filled in once the page has
+// been granted camera or microphone access.
+export const listMediaDevices = async () => {
+  const grouped = { audioinput: [], videoinput: [], audiooutput: [] };
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  devices.forEach((device) => {
+    const list = grouped[device.kind];
+    if (!list || !device.deviceId) return;
+    list.push({
+      deviceId: device.deviceId,
+      label: device.label || `${device.kind} ${list.length + 1}`
+    });
+  });
+  return grouped;
+};
+
+// Browsers without setSinkId always play through the default output
+export const canChooseSpeaker = () => (
+  typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype
+);
@@ -0,0 +1,324 @@
+import { readStorage, writeStorage } from './storage';
+
+// Key material for end-to-end encrypted chat. Each browser is a device with a
+// long-term ECDH identity key and a random device id, and publishes the public
+// key under that id through the server when it registers. When two peers are connected, the chat key comes from ECDH
+// between their identity keys, salted with the DTLS fingerprints of that
+// connection. Before they have ever been connected, a first-contact key comes
+// from ECDH with the identity key the server published for the peer.
+//
+// Neither proves who is at the other end. Whoever relays the connection, or
+// publishes the keys, can hand each side an identity key of their own and
+// read everything. The safety number is the protection against that: until
+// both people have compared it, the chat counts as unverified. The first key
+// seen from each of a peer's devices is pinned; a different one the server
+// hands out later for that device is not used, only flagged.
+//
+// Keys are kept per peer (a small keyring, newest last) so history from
+// earlier calls still decrypts and messages can be sent through the server
+// while the peers are apart.
+//
+// Envelopes are { v, keyId, iv, data } with AES-GCM ciphertext in base64;
+// sender and recipient client ids are bound in as additional data. Under a
+// first-contact key they also carry `senderKey` and `senderDevice`, the
+// sender's public identity key and device id, so the recipient can derive the
+// same key.
+//
+// The private identity key lives in localStorage as a JWK, like the rest of
+// this browser's state.
+
+const IDENTITY_KEY = 'p2p-video:e2ee:identity';
+const peerStorageKey = (peerClientId) => `p2p-video:e2ee:peer:${peerClientId}`;
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const ENVELOPE_VERSION = 1;
+const KEYRING_SIZE = 20;
+const HKDF_INFO = 'p2p-video chat v1';
+// HKDF salt for first-contact keys, which have no connection to bind to
+const FIRST_CONTACT_SALT = 'p2p-video first contact v1';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const aesKeys = new Map(); // keyId -> CryptoKey
+
+const subtle = () => window.crypto.subtle;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+
+export const canEncryptChat = () => !!(window.crypto && window.crypto.subtle);
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(readStorage(key)) || fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const readPeer = (peerClientId) => ({ keys: {}, devices: {}, ...readJson(peerStorageKey(peerClientId), {}) });
+const writePeer = (peerClientId, record) => writeStorage(peerStorageKey(peerClientId), JSON.stringify(record));
+
+const newDeviceId = () => toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+
+const loadIdentity = async () => {
+  const saved = readJson(IDENTITY_KEY, null);
+  if (saved && saved.publicKey && saved.privateKey) {
+    try {
+      const privateKey = await subtle().importKey('jwk', saved.privateKey, ECDH, false, ['deriveBits']);
+      // Identities saved before device ids existed get one now
+      const deviceId = saved.deviceId || newDeviceId();
+      if (!saved.deviceId) writeStorage(IDENTITY_KEY, JSON.stringify({ ...saved, deviceId }));
+      return { publicJwk: saved.publicKey, privateKey, deviceId };
+    } catch (e) {
+      console.error('Stored chat identity is unusable; creating a new one:', e);
+    }
+  }
+  const pair = await subtle().generateKey(ECDH, true, ['deriveBits']);
+  const publicJwk = await subtle().exportKey('jwk', pair.publicKey);
+  const privateJwk = await subtle().exportKey('jwk', pair.privateKey);
+  // A new key is a new device, so the old pin is never contradicted
+  const deviceId = newDeviceId();
+  writeStorage(IDENTITY_KEY, JSON.stringify({ publicKey: publicJwk, privateKey: privateJwk, deviceId }));
+  return { publicJwk, privateKey: pair.privateKey, deviceId };
+};
+
+let identityPromise = null;
+
+// This browser's identity: { publicJwk, privateKey, deviceId }
+export const getIdentity = () => {
+  if (!identityPromise) identityPromise = loadIdentity();
+  return identityPromise;
+};
+
+// "sha-256 AB:CD:…" from the first a=fingerprint line of an SDP
+export const getDtlsFingerprint = (sdp) => {
+  const match = /^a=fingerprint:(\S+) (\S+)/mi.exec(sdp || '');
+  return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+};
+
+const sameKey = (a, b) => !!(a && b && a.x === b.x && a.y === b.y);
+
+// Just the public fields, whatever else a JWK carries
+const publicFields = (jwk) => ({ kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y });
+
+// What to publish through the server: { deviceId, identityKey }
+export const getPublicIdentity = async () => {
+  const { deviceId, publicJwk } = await getIdentity();
+  return { deviceId, identityKey: publicFields(publicJwk) };
+};
+
+// Sixty digits in groups of five, the same on both ends: a hash of both
+// identity keys, ordered by client id
+const computeSafetyNumber = async (sides) => {
+  const material = sides
+    .slice()
+    .sort((a, b) => (a.clientId < b.clientId ? -1 : 1))
+    .map(({ clientId, jwk }) => `${clientId}:${jwk.x}:${jwk.y}`)
+    .join('|');
+  const hash = new Uint8Array(await subtle().digest('SHA-512', encoder.encode(material)));
+  const groups = [];
+  for (let i = 0; i < 12; i += 1) {
+    const value = hash.slice(i * 5, i * 5 + 5).reduce((n, b) => n * 256 + b, 0);
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+  return groups.join(' ');
+};
+
+// ECDH between our identity key and the peer's, through HKDF with `salt`.
+// Resolves to { raw, keyId }; the same on both ends.
+const deriveChatKey = async ({ selfClientId, peerClientId, peerIdentityJwk, salt }) => {
+  const identity = await getIdentity();
+  const peerPublic = await subtle().importKey('jwk', publicFields(peerIdentityJwk), ECDH, false, []);
+  const shared = await subtle().deriveBits({ name: 'ECDH', public: peerPublic }, identity.privateKey, 256);
+  const info = encoder.encode(`${HKDF_INFO}|${[selfClientId, peerClientId].sort().join('|')}`);
+  const hkdfKey = await subtle().importKey('raw', shared, 'HKDF', false, ['deriveBits']);
+  const raw = await subtle().deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: await subtle().digest('SHA-256', encoder.encode(salt)), info },
+    hkdfKey,
+    256
+  );
+  return { raw, keyId: toHex(await subtle().digest('SHA-256', raw)).slice(0, 16) };
+};
+
+// Whether the peer's device has a pinned identity key other than `jwk`
+const contradictsPin = (record, peerDeviceId, jwk) => {
+  const device = record.devices[peerDeviceId];
+  return !!device && !sameKey(device.identityKey, jwk);
+};
+
+// Add a key to the peer's keyring along with the identity key and device it
+// was agreed with. Returns { keyId, safetyNumber, identityChanged }.
+const saveChatKey = async ({
+  selfClientId, peerClientId, peerDeviceId, peerIdentityJwk, raw, keyId, firstContact, makeCurrent
+}) => {
+  const identity = await getIdentity();
+  const record = readPeer(peerClientId);
+  // Another of the peer's devices is not a change, just its own safety number
+  const identityChanged = contradictsPin(record, peerDeviceId, peerIdentityJwk);
+  const device = record.devices[peerDeviceId];
+  // A new identity key has to be compared again
+  const verified = !identityChanged && !!(device && device.verified);
+  const keys = { ...record.keys };
+  delete keys[keyId];
+  keys[keyId] = toBase64(raw);
+  const ids = Object.keys(keys);
+  ids.slice(0, Math.max(0, ids.length - KEYRING_SIZE)).forEach((id) => delete keys[id]);
+
+  const safetyNumber = await computeSafetyNumber([
+    { clientId: selfClientId, jwk: identity.publicJwk },
+    { clientId: peerClientId, jwk: peerIdentityJwk }
+  ]);
+  writePeer(peerClientId, {
+    identityKey: publicFields(peerIdentityJwk),
+    deviceId: peerDeviceId,
+    safetyNumber,
+    verified,
+    identityChanged: identityChanged || (!!record.identityChanged && !record.verified),
+    devices: { ...record.devices, [peerDeviceId]: { identityKey: publicFields(peerIdentityJwk), verified } },
+    keys,
+    currentKeyId: makeCurrent ? keyId : record.currentKeyId,
+    firstContactKeyId: firstContact ? keyId : record.firstContactKeyId
+  });
+  return { keyId, safetyNumber, identityChanged };
+};
+
+// Run the key agreement for one connection. Returns
+// { keyId, safetyNumber, identityChanged }; the key becomes the one used
+// for new messages to this peer. An identity key other than the one pinned
+// for the peer's device is still used, since the connection needs one, but
+// flagged until the safety number is compared.
+export const agreeChatKey = async ({
+  selfClientId, peerClientId, peerDeviceId, peerIdentityJwk, localFingerprint, remoteFingerprint
+}) => {
+  const { raw, keyId } = await deriveChatKey({
+    selfClientId,
+    peerClientId,
+    peerIdentityJwk,
+    salt: [localFingerprint, remoteFingerprint].sort().join('|')
+  });
+  return saveChatKey({
+    selfClientId, peerClientId, peerDeviceId, peerIdentityJwk, raw, keyId, firstContact: false, makeCurrent: true
+  });
+};
+
+// A key for a peer we have no key with yet, from the identity key the server
+// published for one of their devices. It is only used until a connection
+// agrees a better one. Returns { keyId, safetyNumber, identityChanged }.
+// Returns null, saving nothing, when the key contradicts the device's pin
+// (the peer is then flagged instead), or with `expectedKeyId` when the derived
+// key does not have that id.
+export const agreeFirstContactKey = async ({
+  selfClientId, peerClientId, peerDeviceId, peerIdentityJwk, expectedKeyId
+}) => {
+  const record = readPeer(peerClientId);
+  if (contradictsPin(record, peerDeviceId, peerIdentityJwk)) {
+    // Only the server vouches for this key, so it is never adopted
+    writePeer(peerClientId, { ...record, identityChanged: true });
+    return null;
+  }
+  const { raw, keyId } = await deriveChatKey({ selfClientId, peerClientId, peerIdentityJwk, salt: FIRST_CONTACT_SALT });
+  if (expectedKeyId && keyId !== expectedKeyId) return null;
+  const makeCurrent = !record.currentKeyId || record.currentKeyId === record.firstContactKeyId;
+  return saveChatKey({
+    selfClientId, peerClientId, peerDeviceId, peerIdentityJwk, raw, keyId, firstContact: true, makeCurrent
+  });
+};
+
+// Drop a key that failed confirmation; the previous one is used again
+export const forgetChatKey = (peerClientId, keyId) => {
+  const record = readPeer(peerClientId);
+  delete record.keys[keyId];
+  aesKeys.delete(keyId);
+  const remaining = Object.keys(record.keys);
+  record.currentKeyId = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+  writePeer(peerClientId, record);
+};
+
+// What the chat panel shows about a peer:
+// { hasKey, firstContact, safetyNumber, verified, identityChanged }, with
+// firstContact set while messages use the key from the published identity
+export const getPeerSecurity = (peerClientId) => {
+  const record = readPeer(peerClientId);
+  return {
+    hasKey: !!(record.currentKeyId && record.keys[record.currentKeyId]),
+    firstContact: !!record.currentKeyId && record.currentKeyId === record.firstContactKeyId,
+    safetyNumber: record.safetyNumber || null,
+    verified: !!record.verified,
+    identityChanged: !!record.identityChanged
+  };
+};
+
+export const markPeerVerified = (peerClientId) => {
+  const record = readPeer(peerClientId);
+  if (!record.safetyNumber) return;
+  const devices = { ...record.devices };
+  if (devices[record.deviceId]) devices[record.deviceId] = { ...devices[record.deviceId], verified: true };
+  writePeer(peerClientId, { ...record, verified: true, identityChanged: false, devices });
+};
+
+const getAesKey = async (peerClientId, keyId) => {
+  if (aesKeys.has(keyId)) return aesKeys.get(keyId);
+  const raw = readPeer(peerClientId).keys[keyId];
+  if (!raw) return null;
+  const key = await subtle().importKey('raw', fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  aesKeys.set(keyId, key);
+  return key;
+};
+
+const additionalData = ({ fromClientId, targetClientId }) => encoder.encode(`${fromClientId}>${targetClientId}`);
+
+// Encrypt with the current key for this peer; null until one was agreed
+export const encryptChatText = async (peerClientId, text, route) => {
+  const { currentKeyId, firstContactKeyId } = readPeer(peerClientId);
+  const key = currentKeyId && await getAesKey(peerClientId, currentKeyId);
+  if (!key) return null;
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv, additionalData: additionalData(route) }, key, encoder.encode(text));
+  const envelope = { v: ENVELOPE_VERSION, keyId: currentKeyId, iv: toBase64(iv), data: toBase64(data) };
+  if (currentKeyId === firstContactKeyId) {
+    const { deviceId, identityKey } = await getPublicIdentity();
+    envelope.senderKey = identityKey;
+    envelope.senderDevice = deviceId;
+  }
+  return envelope;
+};
+
+// The key for an envelope from a peer; a first-contact key is derived from
+// the sender's identity key the first time one arrives, unless it contradicts
+// the key pinned for the sending device
+const getEnvelopeKey = async (peerClientId, envelope, route) => {
+  const key = await getAesKey(peerClientId, envelope.keyId);
+  if (key || !envelope.senderKey || !envelope.senderDevice || route.fromClientId !== peerClientId) return key;
+  const agreed = await agreeFirstContactKey({
+    selfClientId: route.targetClientId,
+    peerClientId,
+    peerDeviceId: envelope.senderDevice,
+    peerIdentityJwk: envelope.senderKey,
+    expectedKeyId: envelope.keyId
+  });
+  return agreed && getAesKey(peerClientId, agreed.keyId);
+};
+
+// Throws when the key is unknown or the envelope was tampered with
+export const decryptChatEnvelope = async (peerClientId, envelope, route) => {
+  if (!envelope || envelope.v !== ENVELOPE_VERSION) throw new Error('Unsupported chat envelope');
+  const key = await getEnvelopeKey(peerClientId, envelope, route);
+  if (!key) throw new Error(`No chat key ${envelope.keyId} for this peer`);
+  const plain = await subtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: additionalData(route) },
+    key,
+    fromBase64(envelope.data)
+  );
+  return decoder.decode(plain);
+};
@@ -0,0 +1,341 @@
+// Peer-to-peer file transfer over a dedicated RTCDataChannel. File bytes never
+// touch the signaling server.
+//
+// Control messages are JSON strings:
+//   offer    {id, name, size, mime}  sender announces (or re-announces) a file
+//   ready    {id, offset}            receiver wants bytes from offset onwards
+//   resume   {id}                    sender asks a paused receiver to continue
+//   pause    {id}                    either side stops the flow
+//   cancel   {id}                    either side gives up on the transfer
+//   received {id}                    receiver has the whole file
+// Chunks are binary: [id length: 1 byte][id][offset: float64][data]. The
+// receiver only takes a chunk whose offset matches what it already has, so
+// bytes still in flight across a pause or resume are dropped safely.
+//
+// Transfers are keyed by the peer's persistent client id and outlive the
+// channel: if the connection drops they become 'interrupted' and the sender
+// re-offers them when a new channel to the same peer opens.
+
+export const FILE_CHANNEL_LABEL = 'file-transfer';
+// Both sides create the channel themselves with this id (negotiated), so the
+// answerer does not have to wait for `ondatachannel`
+export const FILE_CHANNEL_ID = 1;
+
+const CHUNK_SIZE = 16 * 1024;
+const BUFFER_HIGH_WATER = 4 * 1024 * 1024;
+const BUFFER_LOW_WATER = 1024 * 1024;
+const PROGRESS_INTERVAL_MS = 100;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const createTransferId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+const encodeChunk = (id, offset, data) => {
+  const idBytes = encoder.encode(id);
+  const frame = new Uint8Array(1 + idBytes.length + 8 + data.byteLength);
+  frame[0] = idBytes.length;
+  frame.set(idBytes, 1);
+  new DataView(frame.buffer).setFloat64(1 + idBytes.length, offset);
+  frame.set(new Uint8Array(data), 1 + idBytes.length + 8);
+  return frame.buffer;
+};
+
+const decodeChunk = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const idLength = bytes[0];
+  const id = decoder.decode(bytes.subarray(1, 1 + idLength));
+  const offset = new DataView(buffer).getFloat64(1 + idLength);
+  return { id, offset, data: buffer.slice(1 + idLength + 8) };
+};
+
+// onAdded(transfer) fires once per new transfer, onUpdate(transfer) on every
+// change after that; both receive a plain snapshot:
+// {id, peerKey, direction, name, size, mime, transferred, status, url, timestamp}
+export const createFileTransferManager = ({ onAdded, onUpdate }) => {
+  const channels = new Map(); // peerKey -> RTCDataChannel
+  const transfers = new Map(); // id -> internal transfer state
+
+  const snapshot = (t) => ({
+    id: t.id,
+    peerKey: t.peerKey,
+    direction: t.direction,
+    name: t.name,
+    size: t.size,
+    mime: t.mime,
+    transferred: t.transferred,
+    status: t.status,
+    url: t.url,
+    timestamp: t.timestamp
+  });
+
+  // Progress is throttled; status changes are reported straight away
+  const emit = (t, force = true) => {
+    const now = Date.now();
+    if (!force && now - t.lastEmit < PROGRESS_INTERVAL_MS) return;
+    t.lastEmit = now;
+    onUpdate(snapshot(t));
+  };
+
+  const setStatus = (t, status) => {
+    t.status = status;
+    emit(t);
+  };
+
+  const isFinished = (t) => ['done', 'cancelled', 'failed'].includes(t.status);
+
+  const sendControl = (peerKey, message) => {
+    const channel = channels.get(peerKey);
+    if (!channel || channel.readyState !== 'open') return false;
+    channel.send(JSON.stringify(message));
+    return true;
+  };
+
+  const waitForDrain = (channel) => new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener('bufferedamountlow', done);
+      channel.removeEventListener('close', done);
+      resolve();
+    };
+    channel.addEventListener('bufferedamountlow', done);
+    channel.addEventListener('close', done);
+  });
+
+  // Send chunks from t.transferred until the file is out or the transfer stops.
+  // Each call takes a new token so a superseded loop quietly exits.
+  const pump = async (t) => {
+    const token = ++t.pumpToken;
+    const stillCurrent = () => t.pumpToken === token && t.status === 'sending';
+    while (stillCurrent() && t.transferred < t.size) {
+      const channel = channels.get(t.peerKey);
+      if (!channel || channel.readyState !== 'open') return;
+      if (channel.bufferedAmount > BUFFER_HIGH_WATER) {
+        await waitForDrain(channel);
+        continue;
+      }
+      const offset = t.transferred;
+      let data;
+      try {
+        data = await t.file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+      } catch (err) {
+        console.error(`Could not read ${t.name}:`, err);
+        sendControl(t.peerKey, { type: 'cancel', id: t.id });
+        setStatus(t, 'failed');
+        return;
+      }
+      if (!stillCurrent() || channel.readyState !== 'open') return;
+      channel.send(encodeChunk(t.id, offset, data));
+      t.transferred = offset + data.byteLength;
+      emit(t, false);
+    }
+    if (stillCurrent()) emit(t);
+  };
+
+  const offer = (t) => sendControl(t.peerKey, {
+    type: 'offer',
+    id: t.id,
+    name: t.name,
+    size: t.size,
+    mime: t.mime
+  });
+
+  // Receiver side: ask for the bytes we are missing
+  const requestFrom = (t) => {
+    if (sendControl(t.peerKey, { type: 'ready', id: t.id, offset: t.transferred })) {
+      setStatus(t, 'receiving');
+    }
+  };
+
+  const completeIncoming = (t) => {
+    const blob = new Blob(t.chunks, { type: t.mime || 'application/octet-stream' });
+    t.chunks = [];
+    t.url = URL.createObjectURL(blob);
+    sendControl(t.peerKey, { type: 'received', id: t.id });
+    setStatus(t, 'done');
+  };
+
+  const handleControl = (peerKey, message) => {
+    const t = transfers.get(message.id);
+    switch (message.type) {
+      case 'offer': {
+        if (t) {
+          // Re-offer after a reconnect: carry on from what we already have
+          if (t.direction === 'incoming' && !isFinished(t) && t.status !== 'paused') requestFrom(t);
+          return;
+        }
+        const size = Number(message.size);
+        if (!message.id || !Number.isFinite(size) || size < 0) return;
+        const incoming = {
+          id: message.id,
+          peerKey,
+          direction: 'incoming',
+          name: String(message.name || 'file').slice(0, 255),
+          size,
+          mime: typeof message.mime === 'string' ? message.mime : '',
+          transferred: 0,
+          status: 'receiving',
+          url: null,
+          timestamp: Date.now(),
+          chunks: [],
+          lastEmit: 0
+        };
+        transfers.set(incoming.id, incoming);
+        onAdded(snapshot(incoming));
+        if (size === 0) {
+          completeIncoming(incoming);
+        } else {
+          requestFrom(incoming);
+        }
+        return;
+      }
+      case 'ready':
+        if (!t || t.direction !== 'outgoing' || isFinished(t)) return;
+        t.transferred = Math.max(0, Math.min(Number(message.offset) || 0, t.size));
+        setStatus(t, 'sending');
+        pump(t);
+        return;
+      case 'resume':
+        if (t && t.direction === 'incoming' && !isFinished(t)) requestFrom(t);
+        return;
+      case 'pause':
+        if (t && !isFinished(t)) setStatus(t, 'paused');
+        return;
+      case 'cancel':
+        if (t && !isFinished(t)) {
+          t.chunks = [];
+          setStatus(t, 'cancelled');
+        }
+        return;
+      case 'received':
+        if (t && t.direction === 'outgoing') {
+          t.transferred = t.size;
+          setStatus(t, 'done');
+        }
+        return;
+      default:
+        console.log('Unknown file transfer message:', message.type);
+    }
+  };
+
+  const handleChunk = (buffer) => {
+    const { id, offset, data } = decodeChunk(buffer);
+    const t = transfers.get(id);
+    if (!t || t.direction !== 'incoming' || isFinished(t) || offset !== t.transferred) return;
+    t.chunks.push(data);
+    t.transferred += data.byteLength;
+    if (t.transferred >= t.size) {
+      completeIncoming(t);
+    } else {
+      emit(t, false);
+    }
+  };
+
+  // Use `channel` for everything exchanged with this peer from now on
+  const attachChannel = (peerKey, channel) => {
+    if (!peerKey) return;
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+    channels.set(peerKey, channel);
+
+    channel.onopen = () => {
+      if (channels.get(peerKey) !== channel) return;
+      transfers.forEach((t) => {
+        if (t.peerKey === peerKey && t.direction === 'outgoing' && ['waiting', 'interrupted'].includes(t.status)) {
+          setStatus(t, 'waiting');
+          offer(t);
+        }
+      });
+    };
+
+    channel.onclose = () => {
+      // A replaced connection's channel closing must not touch the new one
+      if (channels.get(peerKey) !== channel) return;
+      channels.delete(peerKey);
+      transfers.forEach((t) => {
+        if (t.peerKey === peerKey && ['sending', 'receiving'].includes(t.status)) {
+          setStatus(t, 'interrupted');
+        }
+      });
+    };
+
+    channel.onmessage = (event) => {
+      if (typeof event.data === 'string') {
+        try {
+          handleControl(peerKey, JSON.parse(event.data));
+        } catch (err) {
+          console.error('Bad file transfer message:', err);
+        }
+      } else {
+        handleChunk(event.data);
+      }
+    };
+  };
+
+  const sendFile = (peerKey, file) => {
+    const t = {
+      id: createTransferId(),
+      peerKey,
+      direction: 'outgoing',
+      name: file.name,
+      size: file.size,
+      mime: file.type,
+      transferred: 0,
+      status: 'waiting',
+      url: null,
+      timestamp: Date.now(),
+      file,
+      pumpToken: 0,
+      lastEmit: 0
+    };
+    transfers.set(t.id, t);
+    onAdded(snapshot(t));
+    if (!offer(t)) setStatus(t, 'interrupted');
+    return t.id;
+  };
+
+  const pause = (id) => {
+    const t = transfers.get(id);
+    if (!t || !['sending', 'receiving', 'waiting'].includes(t.status)) return;
+    sendControl(t.peerKey, { type: 'pause', id });
+    setStatus(t, 'paused');
+  };
+
+  const resume = (id) => {
+    const t = transfers.get(id);
+    if (!t || !['paused', 'interrupted'].includes(t.status)) return;
+    if (t.direction === 'incoming') {
+      requestFrom(t);
+    } else if (t.status === 'interrupted') {
+      if (offer(t)) setStatus(t, 'waiting');
+    } else if (sendControl(t.peerKey, { type: 'resume', id })) {
+      setStatus(t, 'waiting');
+    }
+  };
+
+  const cancel = (id) => {
+    const t = transfers.get(id);
+    if (!t || isFinished(t)) return;
+    sendControl(t.peerKey, { type: 'cancel', id });
+    t.chunks = [];
+    setStatus(t, 'cancelled');
+  };
+
+  // Drop every transfer and release downloaded files
+  const dispose = () => {
+    transfers.forEach((t) => {
+      t.pumpToken += 1;
+      if (t.url) URL.revokeObjectURL(t.url);
+    });
+    transfers.clear();
+    channels.clear();
+  };
+
+  return { attachChannel, sendFile, pause, resume, cancel, dispose };
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
@@ -0,0 +1,10 @@
+// Display formatting shared by the call screen and the admin dashboard
+
+// 04:05, or 1:02:03 from an hour on
+export const formatElapsed = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+};
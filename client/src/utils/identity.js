@@ -0,0 +1,20 @@
+import { readStorage, writeStorage } from './storage';
+
+// Persistent client identity, kept in local storage so chat history lines up
+// across reloads, DHCP changes and unreliable local IP detection. The server
+// derives it from the signed-in account and returns it in `registered`.
+
+const CLIENT_ID_KEY = 'p2p-video:clientId';
+const DISPLAY_NAME_KEY = 'p2p-video:displayName';
+
+export const getClientId = () => readStorage(CLIENT_ID_KEY) || '';
+
+export const saveClientId = (clientId) => {
+  if (clientId) writeStorage(CLIENT_ID_KEY, clientId);
+};
+
+export const getSavedDisplayName = () => readStorage(DISPLAY_NAME_KEY) || '';
+
+export const saveDisplayName = (name) => {
+  if (name) writeStorage(DISPLAY_NAME_KEY, name);
+};
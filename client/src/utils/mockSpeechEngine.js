@@ -0,0 +1,50 @@
+// A speech engine that ignores the audio and "recognises" canned phrases a
+// word at a time, for testing captions without a model or a microphone.
+// Nothing is produced while the track is muted.
+
+const PHRASES = [
+  'This is a test caption',
+  'Captions arrive a word at a time',
+  'and are replaced once the phrase is final',
+  'The quick brown fox jumps over the lazy dog'
+];
+const WORD_MS = 350;
+const PAUSE_MS = 2000;
+
+export const createMockEngine = ({ track, onSegment }) => {
+  let timer = null;
+  let phrase = 0;
+  let words = 0;
+  let current = null;
+
+  const tick = () => {
+    if (!track.enabled) {
+      timer = setTimeout(tick, WORD_MS);
+      return;
+    }
+    const all = PHRASES[phrase % PHRASES.length].split(' ');
+    if (!current) current = { id: `mock-${Date.now().toString(36)}-${phrase}`, startedAt: Date.now() };
+    words += 1;
+    const final = words >= all.length;
+    onSegment({
+      id: current.id,
+      text: all.slice(0, words).join(' '),
+      final,
+      startedAt: current.startedAt,
+      endedAt: Date.now()
+    });
+    if (final) {
+      phrase += 1;
+      words = 0;
+      current = null;
+    }
+    timer = setTimeout(tick, final ? PAUSE_MS : WORD_MS);
+  };
+
+  return {
+    start: () => {
+      timer = setTimeout(tick, WORD_MS);
+    },
+    stop: () => clearTimeout(timer)
+  };
+};
@@ -0,0 +1,71 @@
+import { createMockEngine } from './mockSpeechEngine';
+
+const WORD_MS = 350;
+const PAUSE_MS = 2000;
+
+const start = (track = { enabled: true }) => {
+  const segments = [];
+  const engine = createMockEngine({ track, onSegment: (segment) => segments.push(segment) });
+  engine.start();
+  return { engine, segments, track };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('a phrase grows a word at a time and ends final', () => {
+  const { engine, segments } = start();
+  jest.advanceTimersByTime(WORD_MS * 5);
+  engine.stop();
+
+  expect(segments.map((s) => s.text)).toEqual([
+    'This',
+    'This is',
+    'This is a',
+    'This is a test',
+    'This is a test caption'
+  ]);
+  expect(segments.map((s) => s.final)).toEqual([false, false, false, false, true]);
+  // Every update is the same segment, timed from its first word
+  expect(new Set(segments.map((s) => s.id)).size).toBe(1);
+  expect(new Set(segments.map((s) => s.startedAt)).size).toBe(1);
+  expect(segments[4].endedAt - segments[0].startedAt).toBe(WORD_MS * 4);
+});
+
+test('the next phrase is a new segment after a pause', () => {
+  const { engine, segments } = start();
+  jest.advanceTimersByTime(WORD_MS * 5);
+  jest.advanceTimersByTime(PAUSE_MS - 1);
+  expect(segments).toHaveLength(5);
+  jest.advanceTimersByTime(1);
+  engine.stop();
+
+  expect(segments).toHaveLength(6);
+  expect(segments[5].text).toBe('Captions');
+  expect(segments[5].final).toBe(false);
+  expect(segments[5].id).not.toBe(segments[0].id);
+});
+
+test('nothing is recognised while the track is muted', () => {
+  const { engine, segments, track } = start({ enabled: false });
+  jest.advanceTimersByTime(WORD_MS * 10);
+  expect(segments).toHaveLength(0);
+
+  track.enabled = true;
+  jest.advanceTimersByTime(WORD_MS);
+  engine.stop();
+  expect(segments.map((s) => s.text)).toEqual(['This']);
+});
+
+test('stop ends recognition', () => {
+  const { engine, segments } = start();
+  jest.advanceTimersByTime(WORD_MS * 2);
+  engine.stop();
+  jest.advanceTimersByTime(WORD_MS * 20);
+  expect(segments).toHaveLength(2);
+});
@@ -0,0 +1,106 @@
+import { readStorage, writeStorage } from './storage';
+
+// Camera quality presets. Fixed presets set the capture size and a bitrate
+// cap on every connection; 'auto' captures at 720p and steps each connection
+// down (smaller picture, lower bitrate) while the other side reports loss,
+// then back up once it has been clean for a while.
+
+const QUALITY_KEY = 'p2p-video:quality';
+
+export const QUALITY_PRESETS = {
+  auto: { label: 'Auto', width: 1280, height: 720, frameRate: 30, maxBitrate: 1500000 },
+  low: { label: 'Low (360p)', width: 640, height: 360, frameRate: 15, maxBitrate: 300000 },
+  medium: { label: 'Medium (540p)', width: 960, height: 540, frameRate: 24, maxBitrate: 800000 },
+  high: { label: 'High (720p)', width: 1280, height: 720, frameRate: 30, maxBitrate: 1500000 }
+};
+
+export const DEFAULT_QUALITY = 'auto';
+
+// Encodings 'auto' moves through, best first
+export const ADAPTIVE_STEPS = [
+  { scaleResolutionDownBy: 1, maxBitrate: 1500000 },
+  { scaleResolutionDownBy: 1.5, maxBitrate: 800000 },
+  { scaleResolutionDownBy: 2, maxBitrate: 400000 },
+  { scaleResolutionDownBy: 4, maxBitrate: 150000 }
+];
+
+// Loss the receiver reports (0..1) before we step down, and below which a
+// run of samples lets us step back up
+const STEP_DOWN_LOSS = 0.08;
+const STEP_UP_LOSS = 0.02;
+const STEP_DOWN_AFTER = 2;
+const STEP_UP_AFTER = 5;
+
+export const getSavedQuality = () => {
+  const saved = readStorage(QUALITY_KEY);
+  return QUALITY_PRESETS[saved] ? saved : DEFAULT_QUALITY;
+};
+
+export const saveQuality = (quality) => {
+  writeStorage(QUALITY_KEY, quality);
+};
+
+// getUserMedia video constraints for a preset; `ideal` so cameras that
+// cannot match still open
+export const getVideoConstraints = (quality) => {
+  const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS[DEFAULT_QUALITY];
+  return {
+    width: { ideal: preset.width },
+    height: { ideal: preset.height },
+    frameRate: { ideal: preset.frameRate }
+  };
+};
+
+// Sender encoding for a preset, or for an adaptive step under 'auto'
+export const getEncoding = (quality, step = 0) => {
+  if (quality === 'auto') return ADAPTIVE_STEPS[step] || ADAPTIVE_STEPS[0];
+  const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS[DEFAULT_QUALITY];
+  return { scaleResolutionDownBy: 1, maxBitrate: preset.maxBitrate };
+};
+
+export const applySenderEncoding = async (sender, { scaleResolutionDownBy, maxBitrate }) => {
+  const params = sender.getParameters();
+  if (!params.encodings || params.encodings.length === 0) params.encodings = [{}];
+  params.encodings.forEach((encoding) => {
+    encoding.scaleResolutionDownBy = scaleResolutionDownBy;
+    encoding.maxBitrate = maxBitrate;
+  });
+  await sender.setParameters(params);
+};
+
+// Per-connection state for 'auto'. update() takes the latest loss sample and
+// returns the step to use; it only moves after several samples agree so a
+// single bad second does not halve the picture.
+export const createAdaptivePolicy = () => {
+  let step = 0;
+  let lossy = 0;
+  let clean = 0;
+
+  return {
+    get step() {
+      return step;
+    },
+    update(loss) {
+      if (loss === null || loss === undefined) return step;
+      if (loss >= STEP_DOWN_LOSS) {
+        lossy += 1;
+        clean = 0;
+        if (lossy >= STEP_DOWN_AFTER && step < ADAPTIVE_STEPS.length - 1) {
+          step += 1;
+          lossy = 0;
+        }
+      } else if (loss <= STEP_UP_LOSS) {
+        clean += 1;
+        lossy = 0;
+        if (clean >= STEP_UP_AFTER && step > 0) {
+          step -= 1;
+          clean = 0;
+        }
+      } else {
+        lossy = 0;
+        clean = 0;
+      }
+      return step;
+    }
+  };
+};
@@ -0,0 +1,166 @@
+// Records a call locally: every participant's video is drawn into one canvas
+// and every audio track is mixed through Web Audio, then both go to a
+// MediaRecorder. Nothing is uploaded; the result is handed back as a Blob URL.
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FRAME_RATE = 30;
+const GAP = 4;
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4'
+];
+
+export const canRecord = () => (
+  typeof MediaRecorder !== 'undefined'
+  && typeof HTMLCanvasElement !== 'undefined'
+  && 'captureStream' in HTMLCanvasElement.prototype
+);
+
+const pickMimeType = () => MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+
+// Scale the frame to fill the cell, cropping the overflow (like object-fit: cover)
+const drawCover = (ctx, video, x, y, w, h) => {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  if (!vw || !vh) return;
+  const scale = Math.max(w / vw, h / vh);
+  const sw = w / scale;
+  const sh = h / scale;
+  ctx.drawImage(video, (vw - sw) / 2, (vh - sh) / 2, sw, sh, x, y, w, h);
+};
+
+// getSources() is polled every frame and returns [{id, stream, label}], so
+// people joining or leaving mid-recording show up in the output.
+// onStop({url, mimeType, size, durationMs}) fires once the file is ready.
+export const createCallRecorder = ({ getSources, onStop }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  const audioContext = new AudioContext();
+  const audioOut = audioContext.createMediaStreamDestination();
+  const videos = new Map(); // source id -> hidden <video>
+  const audioInputs = new Map(); // audio track id -> MediaStreamAudioSourceNode
+
+  // Start or stop playing sources and mixing their audio as the call changes
+  const syncSources = (sources) => {
+    const ids = new Set(sources.map((s) => s.id));
+    videos.forEach((video, id) => {
+      if (!ids.has(id)) {
+        video.srcObject = null;
+        videos.delete(id);
+      }
+    });
+    sources.forEach(({ id, stream }) => {
+      let video = videos.get(id);
+      if (!video) {
+        video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        videos.set(id, video);
+      }
+      if (video.srcObject !== stream) {
+        video.srcObject = stream;
+        video.play().catch(() => {});
+      }
+    });
+
+    const liveTracks = new Map();
+    sources.forEach(({ stream }) => {
+      stream.getAudioTracks().forEach((track) => {
+        if (track.readyState === 'live') liveTracks.set(track.id, track);
+      });
+    });
+    audioInputs.forEach((node, trackId) => {
+      if (!liveTracks.has(trackId)) {
+        node.disconnect();
+        audioInputs.delete(trackId);
+      }
+    });
+    liveTracks.forEach((track, trackId) => {
+      if (audioInputs.has(trackId)) return;
+      const node = audioContext.createMediaStreamSource(new MediaStream([track]));
+      node.connect(audioOut);
+      audioInputs.set(trackId, node);
+    });
+  };
+
+  const drawFrame = () => {
+    const sources = getSources().filter((s) => s.stream);
+    syncSources(sources);
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    if (sources.length === 0) return;
+
+    const cols = Math.ceil(Math.sqrt(sources.length));
+    const rows = Math.ceil(sources.length / cols);
+    const cellW = (WIDTH - GAP * (cols - 1)) / cols;
+    const cellH = (HEIGHT - GAP * (rows - 1)) / rows;
+    ctx.font = '600 20px sans-serif';
+    ctx.textBaseline = 'bottom';
+
+    sources.forEach((source, i) => {
+      const x = (i % cols) * (cellW + GAP);
+      const y = Math.floor(i / cols) * (cellH + GAP);
+      const video = videos.get(source.id);
+      if (video && video.readyState >= 2) drawCover(ctx, video, x, y, cellW, cellH);
+      if (source.label) {
+        const textWidth = ctx.measureText(source.label).width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x + 8, y + cellH - 38, textWidth + 20, 30);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(source.label, x + 18, y + cellH - 13);
+      }
+    });
+  };
+
+  drawFrame();
+  // Timers keep running (throttled) in a background tab, unlike rAF
+  const frameTimer = setInterval(drawFrame, 1000 / FRAME_RATE);
+
+  const output = new MediaStream([
+    ...canvas.captureStream(FRAME_RATE).getVideoTracks(),
+    ...audioOut.stream.getAudioTracks()
+  ]);
+  const mimeType = pickMimeType();
+  const recorder = new MediaRecorder(output, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const startedAt = Date.now();
+
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) chunks.push(event.data);
+  };
+
+  recorder.onstop = () => {
+    clearInterval(frameTimer);
+    output.getTracks().forEach((t) => t.stop());
+    videos.forEach((video) => {
+      video.srcObject = null;
+    });
+    audioInputs.forEach((node) => node.disconnect());
+    audioContext.close().catch(() => {});
+    const blob = new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' });
+    onStop({
+      url: URL.createObjectURL(blob),
+      mimeType: blob.type,
+      size: blob.size,
+      durationMs: Date.now() - startedAt
+    });
+  };
+
+  // Flush data every second so a long recording is not one giant buffer
+  recorder.start(1000);
+
+  return {
+    startedAt,
+    stop: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+    }
+  };
+};
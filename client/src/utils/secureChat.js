@@ -0,0 +1,161 @@
+import {
+  getPublicIdentity, getDtlsFingerprint, agreeChatKey, forgetChatKey, decryptChatEnvelope
+} from './e2ee';
+
+// Chat straight between two connected peers, over its own RTCDataChannel.
+// When the channel opens both sides run the key agreement from e2ee.js and
+// confirm they got the same key; until then, or if they did not, messages go
+// through the server instead.
+//
+// Frames are JSON strings:
+//   hello   {identityKey, deviceId}                 our public identity key and device
+//   confirm {keyId}                                 the key we derived
+//   message {clientMessageId, timestamp, envelope}  an encrypted chat message
+//   stored  {clientMessageId, id}                   the server's id for its archived copy
+//
+// Channels are keyed by the peer's persistent client id, like file transfers.
+
+export const CHAT_CHANNEL_LABEL = 'chat';
+// Negotiated on both ends, next to the file channel
+export const CHAT_CHANNEL_ID = 2;
+
+// onMessage(peerKey, {clientMessageId, timestamp, text, undecryptable})
+// onStored(peerKey, clientMessageId, id)
+// onSecurityChange(peerKey, {keyMismatch}) after every agreement or confirmation
+export const createSecureChat = ({ getSelfClientId, onMessage, onStored, onSecurityChange }) => {
+  const channels = new Map(); // peerKey -> { channel, pc, keyId, peerKeyId, mismatch }
+
+  const send = (peerKey, frame) => {
+    const state = channels.get(peerKey);
+    if (!state || state.channel.readyState !== 'open') return false;
+    try {
+      state.channel.send(JSON.stringify(frame));
+      return true;
+    } catch (err) {
+      console.error('Error sending on chat channel:', err);
+      return false;
+    }
+  };
+
+  // Both ends announce the key they derived; different keys mean the DTLS
+  // sessions were not end to end. A relay that also swaps the `hello` keys
+  // passes this check; only the safety number shows that.
+  const checkConfirmation = (peerKey, state) => {
+    if (!state.keyId || !state.peerKeyId) return;
+    state.mismatch = state.keyId !== state.peerKeyId;
+    if (state.mismatch) {
+      console.error(`Chat key mismatch with ${peerKey}; not using this connection for chat`);
+      forgetChatKey(peerKey, state.keyId);
+    }
+    onSecurityChange(peerKey, { keyMismatch: state.mismatch });
+  };
+
+  const handleHello = async (peerKey, state, frame) => {
+    const { pc } = state;
+    const localFingerprint = getDtlsFingerprint(pc.localDescription && pc.localDescription.sdp);
+    const remoteFingerprint = getDtlsFingerprint(pc.remoteDescription && pc.remoteDescription.sdp);
+    if (!localFingerprint || !remoteFingerprint || !frame.identityKey || !frame.deviceId) {
+      console.error('Cannot agree on a chat key without both DTLS fingerprints and the peer identity');
+      return;
+    }
+    const { keyId } = await agreeChatKey({
+      selfClientId: getSelfClientId(),
+      peerClientId: peerKey,
+      peerDeviceId: frame.deviceId,
+      peerIdentityJwk: frame.identityKey,
+      localFingerprint,
+      remoteFingerprint
+    });
+    if (channels.get(peerKey) !== state) return;
+    state.keyId = keyId;
+    send(peerKey, { type: 'confirm', keyId });
+    if (state.peerKeyId) {
+      checkConfirmation(peerKey, state);
+    } else {
+      onSecurityChange(peerKey, { keyMismatch: false });
+    }
+  };
+
+  const handleFrame = async (peerKey, state, frame) => {
+    switch (frame.type) {
+      case 'hello':
+        await handleHello(peerKey, state, frame);
+        break;
+      case 'confirm':
+        state.peerKeyId = frame.keyId;
+        checkConfirmation(peerKey, state);
+        break;
+      case 'message': {
+        let text = null;
+        try {
+          text = await decryptChatEnvelope(peerKey, frame.envelope, {
+            fromClientId: peerKey,
+            targetClientId: getSelfClientId()
+          });
+        } catch (err) {
+          console.error('Could not decrypt chat message:', err);
+        }
+        onMessage(peerKey, {
+          clientMessageId: frame.clientMessageId,
+          timestamp: frame.timestamp,
+          text,
+          undecryptable: text === null
+        });
+        break;
+      }
+      case 'stored':
+        onStored(peerKey, frame.clientMessageId, frame.id);
+        break;
+      default:
+        console.log('Unknown chat channel frame:', frame.type);
+    }
+  };
+
+  // Use `channel` (on connection `pc`) for this peer from now on
+  const attachChannel = (peerKey, channel, pc) => {
+    if (!peerKey) return;
+    const state = { channel, pc, keyId: null, peerKeyId: null, mismatch: false };
+    channels.set(peerKey, state);
+
+    channel.onopen = async () => {
+      const { deviceId, identityKey } = await getPublicIdentity();
+      send(peerKey, { type: 'hello', identityKey, deviceId });
+    };
+
+    channel.onclose = () => {
+      if (channels.get(peerKey) === state) channels.delete(peerKey);
+    };
+
+    channel.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (err) {
+        console.error('Bad chat channel message:', err);
+        return;
+      }
+      handleFrame(peerKey, state, frame).catch((err) => {
+        console.error('Error handling chat channel message:', err);
+      });
+    };
+  };
+
+  // Open, keyed and confirmed by both ends
+  const isDirect = (peerKey) => {
+    const state = channels.get(peerKey);
+    return !!(state && state.channel.readyState === 'open' && state.keyId
+      && state.keyId === state.peerKeyId);
+  };
+
+  // Only envelopes under this connection's own key go over it
+  const sendMessage = (peerKey, { clientMessageId, timestamp, envelope }) => (
+    isDirect(peerKey) && envelope.keyId === channels.get(peerKey).keyId
+    && send(peerKey, { type: 'message', clientMessageId, timestamp, envelope })
+  );
+
+  const sendStored = (peerKey, clientMessageId, id) => send(peerKey, { type: 'stored', clientMessageId, id });
+
+  const dispose = () => channels.clear();
+
+  return { attachChannel, isDirect, sendMessage, sendStored, dispose };
+};
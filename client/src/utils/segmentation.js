@@ -0,0 +1,52 @@
+// Tells the person from the background in camera frames with MediaPipe's
+// selfie segmenter, run on the CPU in WebAssembly. The library, its runtime
+// and the model are served with the app (scripts/vision-assets.js copies them
+// into public/vision), so frames never leave the browser. The library is
+// loaded from there on first use rather than bundled, which also keeps it out
+// of the initial download.
+
+const VISION_PATH = `${process.env.PUBLIC_URL || ''}/vision`;
+const MODEL_PATH = `${VISION_PATH}/selfie_segmenter.tflite`;
+
+let segmenterPromise = null;
+
+// One segmenter for the page, loaded on first use. A failed load is retried
+// on the next call.
+export const loadSegmenter = () => {
+  if (!segmenterPromise) {
+    segmenterPromise = import(/* webpackIgnore: true */ `${VISION_PATH}/vision_bundle.mjs`)
+      .then(async ({ FilesetResolver, ImageSegmenter }) => {
+        const fileset = await FilesetResolver.forVisionTasks(`${VISION_PATH}/wasm`);
+        return ImageSegmenter.createFromOptions(fileset, {
+          baseOptions: { modelAssetPath: MODEL_PATH, delegate: 'CPU' },
+          runningMode: 'VIDEO',
+          outputCategoryMask: false,
+          outputConfidenceMasks: true
+        });
+      });
+    segmenterPromise.catch(() => {
+      segmenterPromise = null;
+    });
+  }
+  return segmenterPromise;
+};
+
+// Writes how sure the model is that each pixel is the person into the alpha
+// channel of `mask` (an ImageData, resized to the model's output as needed).
+// Returns the ImageData to use, or null if the frame could not be segmented.
+// Timestamps must increase from one call to the next.
+export const segmentFrame = (segmenter, source, timestampMs, mask) => {
+  let output = null;
+  segmenter.segmentForVideo(source, timestampMs, (result) => {
+    const confidence = result.confidenceMasks && result.confidenceMasks[0];
+    if (!confidence) return;
+    const { width, height } = confidence;
+    output = mask && mask.width === width && mask.height === height ? mask : new ImageData(width, height);
+    const values = confidence.getAsFloat32Array();
+    const pixels = output.data;
+    for (let i = 0; i < values.length; i += 1) {
+      pixels[i * 4 + 3] = Math.round(values[i] * 255);
+    }
+  });
+  return output;
+};
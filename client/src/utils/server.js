@@ -0,0 +1,48 @@
+// Where the signaling server is. The address is kept as "host:port"; a bare
+// host gets the default port.
+
+// Used when the page was not served by the signaling server itself (e.g. the
+// dev server); REACT_APP_SERVER_PORT overrides it at build time
+export const DEFAULT_SERVER_PORT = Number(process.env.REACT_APP_SERVER_PORT) || 3001;
+
+export const splitServerAddress = (address) => {
+  const value = (address || '').trim().replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '');
+  const match = value.match(/^(.*?)(?::(\d+))?$/);
+  return {
+    host: (match && match[1]) || 'localhost',
+    port: (match && Number(match[2])) || DEFAULT_SERVER_PORT
+  };
+};
+
+// Same server, different host (the server tells us the address it is reachable on)
+export const withServerHost = (address, host) => {
+  const { port } = splitServerAddress(address);
+  return `${host}:${port}`;
+};
+
+// Base URL for HTTP ('http') or the WebSocket ('ws'); secure when the page is
+export const getServerUrl = (address, kind = 'http') => {
+  const { host, port } = splitServerAddress(address);
+  const secure = window.location.protocol === 'https:';
+  const scheme = kind === 'ws' ? (secure ? 'wss' : 'ws') : (secure ? 'https' : 'http');
+  return `${scheme}://${host}:${port}`;
+};
+
+// Best guess before asking the page's origin
+export const getDefaultServerAddress = () => `${window.location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`;
+
+// If this page came from the signaling server, its /config endpoint answers
+// and the server is wherever the page is. Otherwise fall back to the default.
+export const discoverServerAddress = async () => {
+  try {
+    const response = await fetch('/config', { headers: { Accept: 'application/json' } });
+    const config = response.ok ? await response.json() : null;
+    if (config && config.signaling) {
+      const port = window.location.port || (window.location.protocol === 'https:' ? 443 : 80);
+      return `${window.location.hostname}:${port}`;
+    }
+  } catch (e) {
+    // Not served by the signaling server
+  }
+  return getDefaultServerAddress();
+};
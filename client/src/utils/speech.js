@@ -0,0 +1,46 @@
+import { readStorage, writeStorage } from './storage';
+import { createVoskEngine } from './voskEngine';
+import { createMockEngine } from './mockSpeechEngine';
+
+// Speech to text for live captions. An engine turns an audio track into
+// caption segments; which one runs is picked in the call controls, and more
+// can be plugged in with registerSpeechEngine.
+//
+// An engine is created with { track, onSegment, onError } and returns
+// { start(), stop() }. onSegment({ id, text, final, startedAt, endedAt })
+// fires repeatedly with the same id while a phrase is being recognised
+// (final: false), then once more with final: true. Times are Date.now() ms.
+
+const ENGINE_KEY = 'p2p-video:caption-engine';
+
+const engines = new Map(); // name -> { label, create }
+
+export const registerSpeechEngine = (name, { label, create }) => {
+  engines.set(name, { label, create });
+};
+
+registerSpeechEngine('offline', { label: 'Offline (Vosk)', create: createVoskEngine });
+// Scripted captions for trying the feature without a model; not offered in
+// production builds unless asked for
+if (process.env.NODE_ENV !== 'production' || process.env.REACT_APP_SPEECH_MOCK === '1') {
+  registerSpeechEngine('mock', { label: 'Test captions (mock)', create: createMockEngine });
+}
+
+export const DEFAULT_SPEECH_ENGINE = 'offline';
+
+export const listSpeechEngines = () => Array.from(engines, ([name, { label }]) => ({ name, label }));
+
+export const createSpeechEngine = (name, options) => {
+  const engine = engines.get(name);
+  if (!engine) throw new Error(`Unknown speech engine "${name}"`);
+  return engine.create(options);
+};
+
+export const getSavedSpeechEngine = () => {
+  const saved = readStorage(ENGINE_KEY);
+  return engines.has(saved) ? saved : DEFAULT_SPEECH_ENGINE;
+};
+
+export const saveSpeechEngine = (name) => {
+  writeStorage(ENGINE_KEY, name);
+};
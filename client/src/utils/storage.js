@@ -0,0 +1,25 @@
+// localStorage wrappers that tolerate browsers refusing storage (private mode, quotas)
+
+export const readStorage = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+};
+
+export const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch (e) {
+    // Storage refused; the value then lasts for this page only
+  }
+};
+
+export const removeStorage = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (e) {
+    // Nothing to clean up
+  }
+};
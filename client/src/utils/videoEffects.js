@@ -0,0 +1,299 @@
+import { readStorage, writeStorage } from './storage';
+import { loadSegmenter, segmentFrame } from './segmentation';
+
+// Video effects applied to the camera before it is sent: background blur or
+// replacement, brightness and mirroring. The pipeline takes the camera track
+// from getUserMedia and hands back a processed track that goes to every peer,
+// the local preview and recordings alike.
+//
+// Frames come through insertable streams (MediaStreamTrackProcessor and
+// MediaStreamTrackGenerator) where the browser has them, which keeps going
+// in a background tab. Elsewhere the camera plays in a hidden <video> that is
+// drawn into a canvas on a timer and captured with captureStream().
+
+const EFFECTS_KEY = 'p2p-video:effects';
+
+export const BACKGROUND_MODES = {
+  none: 'None',
+  blur: 'Blur',
+  image: 'Image'
+};
+
+export const DEFAULT_EFFECTS = {
+  background: 'none',
+  blurRadius: 12, // px
+  backgroundImage: null, // data URL
+  brightness: 100, // percent
+  mirror: false
+};
+
+export const BLUR_RANGE = { min: 4, max: 30 };
+export const BRIGHTNESS_RANGE = { min: 50, max: 150 };
+
+// Pictures picked as a background are scaled down to this before saving
+const BACKGROUND_MAX_WIDTH = 1280;
+const BACKGROUND_MAX_HEIGHT = 720;
+const FALLBACK_FRAME_RATE = 30;
+// Softens the edge of the person cut-out
+const MASK_FEATHER_PX = 3;
+
+export const getSavedEffects = () => {
+  try {
+    const saved = JSON.parse(readStorage(EFFECTS_KEY) || '{}');
+    const effects = { ...DEFAULT_EFFECTS, ...(saved && typeof saved === 'object' ? saved : {}) };
+    if (!BACKGROUND_MODES[effects.background]) effects.background = DEFAULT_EFFECTS.background;
+    if (effects.background === 'image' && !effects.backgroundImage) effects.background = 'none';
+    return effects;
+  } catch (e) {
+    return { ...DEFAULT_EFFECTS };
+  }
+};
+
+export const saveEffects = (effects) => {
+  writeStorage(EFFECTS_KEY, JSON.stringify(effects));
+};
+
+// Whether the camera needs to go through the pipeline at all
+export const hasActiveEffects = (effects) => (
+  effects.background !== 'none' || effects.brightness !== 100 || effects.mirror
+);
+
+export const needsSegmentation = (effects) => effects.background !== 'none';
+
+export const canProcessVideo = () => (
+  typeof HTMLCanvasElement !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype
+);
+
+const hasInsertableStreams = () => (
+  typeof window.MediaStreamTrackProcessor === 'function'
+  && typeof window.MediaStreamTrackGenerator === 'function'
+  && typeof window.VideoFrame === 'function'
+);
+
+// A picked image file as a JPEG data URL no bigger than a 720p frame
+export const loadBackgroundImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const scale = Math.min(1, BACKGROUND_MAX_WIDTH / image.width, BACKGROUND_MAX_HEIGHT / image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/jpeg', 0.85));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('That file is not an image the browser can open'));
+  };
+  image.src = url;
+});
+
+// Scale to fill the frame, cropping the overflow (like object-fit: cover)
+const drawCover = (ctx, image, width, height) => {
+  const scale = Math.max(width / image.width, height / image.height);
+  const sw = width / scale;
+  const sh = height / scale;
+  ctx.drawImage(image, (image.width - sw) / 2, (image.height - sh) / 2, sw, sh, 0, 0, width, height);
+};
+
+// onStatus(status) reports the segmentation model: 'loading', 'ready' or
+// 'unavailable'. Until it is ready, and if it never is, frames go out with
+// brightness and mirroring applied but the background left alone.
+export const createVideoEffectsPipeline = (sourceTrack, initialEffects, { onStatus = () => {} } = {}) => {
+  let source = sourceTrack;
+  let effects = { ...initialEffects };
+  let segmenter = null;
+  let segmenterStatus = null;
+  let backgroundImage = null;
+  let mask = null;
+  let lastTimestamp = 0;
+  let stopped = false;
+
+  const output = document.createElement('canvas');
+  const ctx = output.getContext('2d');
+  const person = document.createElement('canvas');
+  const personCtx = person.getContext('2d');
+  const maskCanvas = document.createElement('canvas');
+  const maskCtx = maskCanvas.getContext('2d');
+
+  const setStatus = (status) => {
+    segmenterStatus = status;
+    onStatus(status);
+  };
+
+  const ensureSegmenter = () => {
+    if (segmenter || segmenterStatus === 'loading' || !needsSegmentation(effects)) return;
+    setStatus('loading');
+    loadSegmenter().then((loaded) => {
+      if (stopped) return;
+      segmenter = loaded;
+      setStatus('ready');
+    }).catch((err) => {
+      console.error('Could not load the background segmentation model:', err);
+      if (!stopped) setStatus('unavailable');
+    });
+  };
+
+  const updateBackgroundImage = () => {
+    if (effects.background !== 'image' || !effects.backgroundImage) {
+      backgroundImage = null;
+      return;
+    }
+    if (backgroundImage && backgroundImage.src === effects.backgroundImage) return;
+    const image = new Image();
+    image.src = effects.backgroundImage;
+    backgroundImage = image;
+  };
+
+  // Draws one camera frame with the current effects into `output`
+  const render = (frame, width, height) => {
+    if (output.width !== width || output.height !== height) {
+      output.width = width;
+      output.height = height;
+      person.width = width;
+      person.height = height;
+    }
+    const brightness = effects.brightness !== 100 ? `brightness(${effects.brightness}%)` : '';
+    const drawCamera = (target, image, filter, inset = 0) => {
+      target.save();
+      if (effects.mirror) {
+        target.translate(width, 0);
+        target.scale(-1, 1);
+      }
+      target.filter = filter || 'none';
+      target.drawImage(image, -inset, -inset, width + inset * 2, height + inset * 2);
+      target.restore();
+    };
+
+    let segmented = null;
+    if (segmenter && needsSegmentation(effects)) {
+      // The model wants strictly increasing timestamps
+      lastTimestamp = Math.max(lastTimestamp + 1, Math.round(performance.now()));
+      try {
+        segmented = segmentFrame(segmenter, frame, lastTimestamp, mask);
+      } catch (err) {
+        console.error('Error segmenting video frame:', err);
+      }
+    }
+    if (!segmented) {
+      drawCamera(ctx, frame, brightness);
+      return;
+    }
+    mask = segmented;
+
+    // The person: the mask, feathered, keeps only the camera pixels under it
+    if (maskCanvas.width !== mask.width || maskCanvas.height !== mask.height) {
+      maskCanvas.width = mask.width;
+      maskCanvas.height = mask.height;
+    }
+    maskCtx.putImageData(mask, 0, 0);
+    personCtx.globalCompositeOperation = 'copy';
+    drawCamera(personCtx, maskCanvas, `blur(${MASK_FEATHER_PX}px)`);
+    personCtx.globalCompositeOperation = 'source-in';
+    drawCamera(personCtx, frame, brightness);
+    personCtx.globalCompositeOperation = 'source-over';
+
+    // Behind them: the camera blurred (drawn oversize so the edges do not
+    // fade to black), or the picture, which is never mirrored
+    if (effects.background === 'image' && backgroundImage && backgroundImage.complete && backgroundImage.width) {
+      drawCover(ctx, backgroundImage, width, height);
+    } else {
+      drawCamera(ctx, frame, `blur(${effects.blurRadius}px) ${brightness}`, effects.blurRadius * 2);
+    }
+    ctx.drawImage(person, 0, 0);
+  };
+
+  let track;
+  let replaceSource;
+  let stopFrames;
+
+  if (hasInsertableStreams()) {
+    const generator = new window.MediaStreamTrackGenerator({ kind: 'video' });
+    let abort = null;
+    const pipeFrom = (input) => {
+      abort = new AbortController();
+      const processor = new window.MediaStreamTrackProcessor({ track: input });
+      const transformer = new TransformStream({
+        transform: (frame, controller) => {
+          // Nothing to draw while the camera is off
+          if (!generator.enabled) {
+            controller.enqueue(frame);
+            return;
+          }
+          try {
+            render(frame, frame.displayWidth, frame.displayHeight);
+            controller.enqueue(new window.VideoFrame(output, { timestamp: frame.timestamp }));
+          } finally {
+            frame.close();
+          }
+        }
+      });
+      processor.readable
+        .pipeThrough(transformer)
+        // The generator outlives any one camera, so switching only ends the reading side
+        .pipeTo(generator.writable, { signal: abort.signal, preventClose: true, preventAbort: true })
+        .catch((err) => {
+          if (!abort.signal.aborted) console.error('Video effects pipeline stopped:', err);
+        });
+    };
+    pipeFrom(source);
+    track = generator;
+    replaceSource = (next) => {
+      abort.abort();
+      pipeFrom(next);
+    };
+    stopFrames = () => {
+      abort.abort();
+      generator.stop();
+    };
+  } else {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    const play = (input) => {
+      video.srcObject = new MediaStream([input]);
+      video.play().catch(() => {});
+    };
+    play(source);
+    const settings = source.getSettings ? source.getSettings() : {};
+    const frameRate = settings.frameRate || FALLBACK_FRAME_RATE;
+    track = output.captureStream(frameRate).getVideoTracks()[0];
+    // Timers keep running (throttled) in a background tab, unlike rAF
+    const frameTimer = setInterval(() => {
+      if (!track.enabled || video.readyState < 2) return;
+      render(video, video.videoWidth, video.videoHeight);
+    }, 1000 / frameRate);
+    replaceSource = play;
+    stopFrames = () => {
+      clearInterval(frameTimer);
+      video.srcObject = null;
+      track.stop();
+    };
+  }
+
+  updateBackgroundImage();
+  ensureSegmenter();
+
+  return {
+    track,
+    // The camera track frames come from
+    getSource: () => source,
+    setEffects: (next) => {
+      effects = { ...next };
+      updateBackgroundImage();
+      ensureSegmenter();
+    },
+    // A different camera; the processed track stays the same
+    replaceSource: (next) => {
+      source = next;
+      replaceSource(next);
+    },
+    // Stops the processed track. The camera is left running for the caller.
+    stop: () => {
+      stopped = true;
+      stopFrames();
+    }
+  };
+};
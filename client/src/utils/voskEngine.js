@@ -0,0 +1,87 @@
+// Offline speech recognition with Vosk (Kaldi compiled to WebAssembly). The
+// audio never leaves the browser: the track is fed through Web Audio to a
+// recogniser running in a worker. The library is only downloaded when
+// captions are first turned on, and the model is served with the app
+// (`npm run speech-model` fetches the default one into public/speech).
+//
+//   REACT_APP_SPEECH_MODEL_URL - a different Vosk model (.tar.gz) to load
+
+const MODEL_URL = process.env.REACT_APP_SPEECH_MODEL_URL
+  || `${process.env.PUBLIC_URL || ''}/speech/vosk-model-small-en-us-0.15.tar.gz`;
+// Samples handed to the recogniser at a time
+const BUFFER_SIZE = 4096;
+
+let modelPromise = null;
+
+// One model for the page; a failed load is retried next time
+const loadModel = () => {
+  if (!modelPromise) {
+    modelPromise = import('vosk-browser').then(({ createModel }) => createModel(MODEL_URL));
+    modelPromise.catch(() => {
+      modelPromise = null;
+    });
+  }
+  return modelPromise;
+};
+
+export const createVoskEngine = ({ track, onSegment, onError }) => {
+  let stopped = false;
+  let context = null;
+  let source = null;
+  let processor = null;
+  let recognizer = null;
+  let current = null; // { id, startedAt } of the phrase being recognised
+  let count = 0;
+
+  const emit = (text, final) => {
+    if (!text) {
+      if (final) current = null;
+      return;
+    }
+    if (!current) {
+      count += 1;
+      current = { id: `${Date.now().toString(36)}-${count}`, startedAt: Date.now() };
+    }
+    onSegment({ id: current.id, text, final, startedAt: current.startedAt, endedAt: Date.now() });
+    if (final) current = null;
+  };
+
+  const start = async () => {
+    try {
+      const model = await loadModel();
+      if (stopped) return;
+      context = new AudioContext();
+      await context.resume();
+      recognizer = new model.KaldiRecognizer(context.sampleRate);
+      recognizer.on('partialresult', (message) => emit(message.result.partial, false));
+      recognizer.on('result', (message) => emit(message.result.text, true));
+      recognizer.on('error', (message) => onError(new Error(message.error)));
+
+      source = context.createMediaStreamSource(new MediaStream([track]));
+      // ScriptProcessor is deprecated but, unlike an AudioWorklet, needs no
+      // separately served module; the recogniser does its work off the main thread
+      processor = context.createScriptProcessor(BUFFER_SIZE, 1, 1);
+      processor.onaudioprocess = (event) => {
+        // A muted microphone says nothing
+        if (track.enabled) recognizer.acceptWaveform(event.inputBuffer);
+      };
+      source.connect(processor);
+      processor.connect(context.destination);
+    } catch (err) {
+      if (!stopped) onError(new Error(`Could not start offline captions: ${err ? err.message || err : 'model did not load'}`));
+    }
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (processor) {
+      processor.onaudioprocess = null;
+      processor.disconnect();
+    }
+    if (source) source.disconnect();
+    if (recognizer) recognizer.remove();
+    if (context) context.close().catch(() => {});
+  };
+
+  return { start, stop };
+};
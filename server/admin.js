@@ -0,0 +1,172 @@
+const auth = require('./auth');
+const { logger, getRecentProblems, onProblem } = require('./logger');
+
+// Operator API behind the admin dashboard. Every request needs the session
+// token of an account whose username is in config.admins, as a bearer token
+// (or ?token= for the event stream).
+//
+//   GET    /admin/overview           server, sessions, rooms, calls and recent problems
+//   GET    /admin/sessions
+//   GET    /admin/rooms
+//   GET    /admin/calls
+//   GET    /admin/problems           the latest warnings and errors
+//   POST   /admin/sessions/:id/kick  end a session
+//   GET    /admin/chats              every stored conversation
+//   GET    /admin/chats/:pair        a page of one (?before=<id> or ?after=<id>, &limit=<n>)
+//   DELETE /admin/chats/:pair        delete one, messages and receipts
+//   GET    /admin/events             live updates as server-sent events:
+//                                    `state`, `chats` and `problem`
+
+// Changes are batched so a burst of presence updates is one push
+const PUSH_DELAY_MS = 250;
+// Comment lines keep proxies from closing an idle stream
+const KEEPALIVE_MS = 25000;
+const PAIR_KEY_PATTERN = /^[^|]+\|[^|]+$/;
+
+// getState() returns { server, sessions, rooms, calls, messages };
+// kickSession(sessionId, adminName) returns whether there was such a session;
+// onChatCleared(pairKey) runs after a conversation is deleted
+function createAdminApi({ admins, getState, kickSession, chatStore, onChatCleared }) {
+  const streams = new Set();
+  const pending = new Set();
+  let pushTimer = null;
+
+  const isAdmin = (username) => !!username && admins.includes(username);
+
+  // Accounts can be renamed or removed after a message was stored
+  const describeChat = ({ pairKey, count, lastMessage }) => ({
+    pairKey,
+    count,
+    lastMessage,
+    participants: pairKey.split('|').map((clientId) => {
+      const user = auth.getUser(clientId);
+      const fallback = lastMessage.fromClientId === clientId ? lastMessage.fromName : clientId;
+      return { clientId, name: user ? user.displayName : fallback, username: user ? user.username : null };
+    })
+  });
+
+  const listChats = () => chatStore.listPairs().map(describeChat);
+
+  const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const flush = () => {
+    pushTimer = null;
+    const topics = new Set(pending);
+    pending.clear();
+    if (streams.size === 0) return;
+    if (topics.has('state')) {
+      const state = getState();
+      streams.forEach((res) => send(res, 'state', state));
+    }
+    if (topics.has('chats')) {
+      const chats = listChats();
+      streams.forEach((res) => send(res, 'chats', { chats }));
+    }
+  };
+
+  // topic is 'state' (sessions, rooms, calls) or 'chats'
+  const changed = (topic = 'state') => {
+    if (streams.size === 0) return;
+    pending.add(topic);
+    if (!pushTimer) pushTimer = setTimeout(flush, PUSH_DELAY_MS);
+  };
+
+  onProblem((entry) => {
+    streams.forEach((res) => send(res, 'problem', entry));
+  });
+
+  const requireAdmin = (req, res, next) => {
+    const claims = auth.verifyToken(auth.getRequestToken(req));
+    if (!claims) {
+      res.status(401).json({ error: 'Sign in to use the admin API' });
+      return;
+    }
+    const user = auth.getUser(claims.sub);
+    if (!user || !isAdmin(user.username)) {
+      res.status(403).json({ error: 'This account is not an administrator' });
+      return;
+    }
+    req.admin = user;
+    next();
+  };
+
+  const withPair = (handler) => (req, res) => {
+    if (!PAIR_KEY_PATTERN.test(req.params.pair)) {
+      res.status(400).json({ error: 'Not a conversation key' });
+      return;
+    }
+    handler(req, res, req.params.pair);
+  };
+
+  const registerRoutes = (app) => {
+    app.use('/admin', requireAdmin);
+
+    app.get('/admin/overview', (req, res) => {
+      res.json({ ...getState(), problems: getRecentProblems() });
+    });
+    app.get('/admin/sessions', (req, res) => res.json({ sessions: getState().sessions }));
+    app.get('/admin/rooms', (req, res) => res.json({ rooms: getState().rooms }));
+    app.get('/admin/calls', (req, res) => res.json({ calls: getState().calls }));
+    app.get('/admin/problems', (req, res) => res.json({ problems: getRecentProblems() }));
+
+    app.post('/admin/sessions/:id/kick', (req, res) => {
+      if (!kickSession(req.params.id, req.admin.username)) {
+        res.status(404).json({ error: 'No such session' });
+        return;
+      }
+      res.json({ kicked: req.params.id });
+    });
+
+    app.get('/admin/chats', (req, res) => res.json({ chats: listChats() }));
+
+    app.get('/admin/chats/:pair', withPair((req, res, pairKey) => {
+      const page = chatStore.page(pairKey, {
+        before: req.query.before,
+        after: req.query.after,
+        limit: req.query.limit
+      });
+      res.json({ pairKey, ...page, receipts: chatStore.getReceipts(pairKey) });
+    }));
+
+    app.delete('/admin/chats/:pair', withPair((req, res, pairKey) => {
+      const removed = chatStore.clear(pairKey);
+      if (removed === 0) {
+        res.status(404).json({ error: 'No messages stored for that conversation' });
+        return;
+      }
+      logger.info(`Admin ${req.admin.username} deleted ${removed} chat message(s) between ${pairKey.replace('|', ' and ')}`);
+      onChatCleared(pairKey);
+      changed('chats');
+      res.json({ pairKey, removed });
+    }));
+
+    app.get('/admin/events', (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      streams.add(res);
+      send(res, 'state', getState());
+      send(res, 'chats', { chats: listChats() });
+      const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+      req.on('close', () => {
+        clearInterval(keepalive);
+        streams.delete(res);
+      });
+    });
+  };
+
+  // Ends every event stream, e.g. when shutting down
+  const close = () => {
+    clearTimeout(pushTimer);
+    streams.forEach((res) => res.end());
+    streams.clear();
+  };
+
+  return { registerRoutes, isAdmin, changed, close };
+}
+
+module.exports = { createAdminApi };
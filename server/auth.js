@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Local accounts, invite tokens and signed session tokens.
+//
+// Accounts live in a small JSON file in the server's data directory with
+// scrypt-hashed passwords. Creating an account needs one of the shared-secret invite tokens;
+// logging in returns a session token signed with the server secret that the
+// client presents on the WebSocket upgrade and again in `register`.
+
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Hashing a password takes real CPU time, so sign-in attempts are limited:
+// per address for every attempt, per username for failed ones
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_ATTEMPTS_PER_ADDRESS = 30;
+const MAX_FAILURES_PER_USERNAME = 10;
+// Devices per account whose chat identity keys are kept
+const MAX_IDENTITY_KEYS = 10;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Set by configure()
+let dataDir = null;
+const usersFile = () => path.join(dataDir, 'users.json');
+const revokedFile = () => path.join(dataDir, 'revoked-tokens.json');
+
+function ensureDataDir() {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+// Secret used to sign session tokens; persisted so tokens survive restarts
+function loadSecret(configured) {
+  if (configured) return configured;
+  ensureDataDir();
+  try {
+    return fs.readFileSync(path.join(dataDir, 'session-secret'), 'utf8').trim();
+  } catch (e) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(path.join(dataDir, 'session-secret'), secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+// Without configured invite tokens, one is generated per start and printed
+// so the operator can hand it out
+function loadInviteTokens(configured) {
+  if (configured.length > 0) return { tokens: configured, generated: false };
+  return { tokens: [crypto.randomBytes(12).toString('base64url')], generated: true };
+}
+
+function loadUsers() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(usersFile(), 'utf8'));
+    return Array.isArray(parsed.users) ? parsed.users : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Signatures of revoked tokens -> when the token would have expired; kept
+// only until then, and on disk so a restart does not bring them back
+function loadRevokedTokens() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(revokedFile(), 'utf8'));
+    return new Map(Object.entries(parsed.tokens || {}).filter(([, exp]) => exp > Date.now()));
+  } catch (e) {
+    return new Map();
+  }
+}
+
+let secret = null;
+let invites = { tokens: [], generated: false };
+let revokedTokens = new Map();
+// The file is read once at start; this process is its only writer, so
+// the copy in memory stays current and lookups never touch the disk
+let users = [];
+let usersById = new Map();
+
+function setUsers(next) {
+  users = next;
+  usersById = new Map(next.map((u) => [u.id, u]));
+}
+
+// Takes config.auth and the data directory; must run before anything else
+function configure({ dataDir: dir, secret: configuredSecret = null, inviteTokens = [] }) {
+  dataDir = dir;
+  secret = loadSecret(configuredSecret);
+  invites = loadInviteTokens(inviteTokens);
+  setUsers(loadUsers());
+  revokedTokens = loadRevokedTokens();
+}
+
+function writeUsers(next) {
+  ensureDataDir();
+  const tmpFile = `${usersFile()}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ users: next }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpFile, usersFile());
+  setUsers(next);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Off the event loop, which signaling shares
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => (error ? reject(error) : resolve(key.toString('hex'))));
+  });
+}
+
+// Counts per key within a fixed window: hit(key) returns whether the key is
+// still under `max`, and counts the attempt
+function createAttemptCounter(max, windowMs = ATTEMPT_WINDOW_MS) {
+  const counts = new Map(); // key -> { count, resetAt }
+  const current = (key) => {
+    const entry = counts.get(key);
+    if (entry && entry.resetAt > Date.now()) return entry;
+    counts.delete(key);
+    return null;
+  };
+  return {
+    blocked: (key) => {
+      const entry = current(key);
+      return !!entry && entry.count >= max;
+    },
+    hit: (key) => {
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counts.set(key, entry);
+      // Keys from the past would otherwise pile up
+      if (counts.size > 10000) counts.forEach((e, k) => e.resetAt <= Date.now() && counts.delete(k));
+    },
+    clear: (key) => counts.delete(key)
+  };
+}
+
+const attemptsByAddress = createAttemptCounter(MAX_ATTEMPTS_PER_ADDRESS);
+const failuresByUsername = createAttemptCounter(MAX_FAILURES_PER_USERNAME);
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, displayName: user.displayName };
+}
+
+function isValidInvite(token) {
+  return typeof token === 'string' && invites.tokens.some((t) => safeEqual(t, token));
+}
+
+async function createAccount({ username, password, displayName, inviteToken }) {
+  if (!isValidInvite(inviteToken)) {
+    throw new AuthError('A valid invite token is required to create an account', 403);
+  }
+  const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(normalized)) {
+    throw new AuthError('Username must be 3-32 characters: letters, digits, dot, dash or underscore', 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  const isTaken = () => users.some((u) => u.username === normalized);
+  if (isTaken()) {
+    throw new AuthError('That username is taken', 409);
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  const passwordHash = await hashPassword(password, salt);
+  // Someone else may have taken it while the password was hashed
+  if (isTaken()) {
+    throw new AuthError('That username is taken', 409);
+  }
+  const user = {
+    id: `user-${crypto.randomUUID()}`,
+    username: normalized,
+    displayName: typeof displayName === 'string' && displayName.trim()
+      ? displayName.trim().slice(0, 40)
+      : normalized,
+    salt,
+    passwordHash,
+    createdAt: Date.now()
+  };
+  writeUsers([...users, user]);
+  return publicUser(user);
+}
+
+async function verifyPassword({ username, password }) {
+  const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (failuresByUsername.blocked(normalized)) {
+    throw new AuthError('Too many failed sign-ins for this account; try again later', 429);
+  }
+  const user = users.find((u) => u.username === normalized);
+  // Hash even for unknown users so response time does not reveal who exists
+  const salt = user ? user.salt : 'unknown-user';
+  const hash = await hashPassword(typeof password === 'string' ? password : '', salt);
+  if (!user || !safeEqual(hash, user.passwordHash)) {
+    failuresByUsername.hit(normalized);
+    throw new AuthError('Invalid username or password');
+  }
+  failuresByUsername.clear(normalized);
+  return publicUser(user);
+}
+
+// Public profile for an account id, or null if there is no such account
+function getUser(id) {
+  const user = usersById.get(id);
+  return user ? publicUser(user) : null;
+}
+
+// The public chat identity keys an account's browsers published, one per
+// device so a second device does not replace the first, so others can encrypt
+// to them before they have ever been connected
+function setIdentityKey(id, deviceId, jwk) {
+  const user = usersById.get(id);
+  if (!user) return;
+  const identityKey = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  const keys = user.identityKeys || [];
+  const current = keys.find((k) => k.deviceId === deviceId);
+  if (current && current.identityKey.x === identityKey.x && current.identityKey.y === identityKey.y) return;
+  const identityKeys = [{ deviceId, identityKey }, ...keys.filter((k) => k.deviceId !== deviceId)]
+    .slice(0, MAX_IDENTITY_KEYS);
+  // identityKey was the single key kept before devices were told apart
+  writeUsers(users.map((u) => (u.id === id ? { ...u, identityKey: undefined, identityKeys } : u)));
+}
+
+// [{ deviceId, identityKey }], the most recently published first
+function getIdentityKeys(id) {
+  const user = usersById.get(id);
+  return (user && user.identityKeys) || [];
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Token format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256)
+function issueToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    name: user.displayName,
+    exp: Date.now() + TOKEN_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the token's claims, or null if it is malformed, forged or expired
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || typeof claims.exp !== 'number' || claims.exp < Date.now()) return null;
+    if (revokedTokens.has(signature)) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Make a token fail verifyToken for the rest of its life, as when an
+// administrator ends its session. Returns false for a token already invalid.
+function revokeToken(token) {
+  const claims = verifyToken(token);
+  if (!claims) return false;
+  const now = Date.now();
+  revokedTokens.forEach((exp, signature) => {
+    if (exp <= now) revokedTokens.delete(signature);
+  });
+  revokedTokens.set(token.split('.')[1], claims.exp);
+  ensureDataDir();
+  const tmpFile = `${revokedFile()}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ tokens: Object.fromEntries(revokedTokens) }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpFile, revokedFile());
+  return true;
+}
+
+// Browsers cannot set headers on a WebSocket upgrade, so the token rides in the query string
+function getUpgradeToken(req) {
+  try {
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+  } catch (e) {
+    return null;
+  }
+}
+
+// HTTP APIs take the token as a bearer token; an EventSource cannot set
+// headers either, so the query string is accepted as on the upgrade
+function getRequestToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : getUpgradeToken(req);
+}
+
+// Express routes: POST /auth/register and POST /auth/login
+function registerRoutes(app) {
+  const respond = (handler) => async (req, res) => {
+    try {
+      if (attemptsByAddress.blocked(req.ip)) {
+        throw new AuthError('Too many sign-in attempts from this address; try again later', 429);
+      }
+      attemptsByAddress.hit(req.ip);
+      const user = await handler(req.body || {});
+      res.json({ token: issueToken(user), user, expiresIn: TOKEN_TTL_MS });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        res.status(error.status).json({ error: error.message });
+      } else {
+        logger.error('Auth error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+      }
+    }
+  };
+
+  app.post('/auth/register', respond(createAccount));
+  app.post('/auth/login', respond(verifyPassword));
+}
+
+function logInviteTokens() {
+  if (invites.generated) {
+    logger.info(`   Invite token (set INVITE_TOKENS to fix it): ${invites.tokens[0]}`);
+  }
+}
+
+module.exports = {
+  configure,
+  registerRoutes,
+  verifyToken,
+  revokeToken,
+  getUpgradeToken,
+  getRequestToken,
+  getUser,
+  setIdentityKey,
+  getIdentityKeys,
+  logInviteTokens
+};
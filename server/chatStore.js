@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Chat history storage. Every message gets a store-wide sequence number as its
+// id; pages are read backwards or forwards from one of those ids. Edits,
+// deletes and reactions rewrite a stored message in place.
+//
+// Receipts are kept per pair as watermarks: for each client id, the highest
+// message id delivered to it and the highest it has read. Ids only grow, so
+// everything at or below a watermark counts as delivered (or read), and the
+// messages above someone's delivered watermark are their offline queue.
+//
+// listConversations(clientId) returns everyone that client has chatted with:
+// [{ peerClientId, lastMessage, unread, undelivered }], most recent first.
+// listPairs() returns every conversation in the store for the admin
+// dashboard: [{ pairKey, count, lastMessage }], most recent first.
+// clear(pairKey) drops a pair's messages and receipts for good; ids are never
+// handed out again.
+//
+// Backends (CHAT_STORE):
+//   jsonl  - append-only JSON log, replayed into memory at start (default)
+//   sqlite - SQLite file via node:sqlite (Node 22.5+)
+//   memory - nothing persisted, lost on restart
+
+// Page sizes when the store is created without limits
+const DEFAULT_LIMITS = { pageSize: 50, maxPageSize: 200 };
+
+function clampLimit(limit, { pageSize, maxPageSize }) {
+  const n = Number.parseInt(limit, 10);
+  if (!Number.isFinite(n) || n <= 0) return pageSize;
+  return Math.min(n, maxPageSize);
+}
+
+function toCursor(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// Pick one page out of a pair's messages, which are sorted by id.
+// `before` pages backwards (for scrolling up), `after` pages forwards (for
+// catching up); without either the latest page is returned.
+function pageFromList(list, { before, after, limit }, limits) {
+  const size = clampLimit(limit, limits);
+  const beforeId = toCursor(before);
+  const afterId = toCursor(after);
+
+  if (afterId !== null) {
+    const start = list.findIndex((m) => m.id > afterId);
+    if (start === -1) return { messages: [], hasMoreBefore: list.length > 0, hasMoreAfter: false };
+    const messages = list.slice(start, start + size);
+    return {
+      messages,
+      hasMoreBefore: start > 0,
+      hasMoreAfter: start + size < list.length
+    };
+  }
+
+  let end = list.length;
+  if (beforeId !== null) {
+    end = list.findIndex((m) => m.id >= beforeId);
+    if (end === -1) end = list.length;
+  }
+  const start = Math.max(0, end - size);
+  return {
+    messages: list.slice(start, end),
+    hasMoreBefore: start > 0,
+    hasMoreAfter: end < list.length
+  };
+}
+
+const RECEIPT_KINDS = ['delivered', 'read'];
+const NO_RECEIPT = { delivered: 0, read: 0 };
+
+// Pair keys are `${minClientId}|${maxClientId}`
+const otherSide = (pairKey, clientId) => {
+  const [a, b] = pairKey.split('|');
+  if (a === clientId) return b;
+  return b === clientId ? a : null;
+};
+
+const byMostRecent = (x, y) => y.lastMessage.id - x.lastMessage.id;
+
+// jsonl record written when a clear rewrites the log, so ids keep counting
+// up from the highest one ever used
+const ID_MARKER = 'lastId';
+
+// Moves one watermark forward; reading a message also means it arrived.
+// Returns the new { delivered, read }, or null when nothing changed.
+function advanceReceipt(current = NO_RECEIPT, kind, upToId) {
+  const next = { ...current };
+  RECEIPT_KINDS.slice(0, RECEIPT_KINDS.indexOf(kind) + 1).forEach((k) => {
+    next[k] = Math.max(next[k], upToId);
+  });
+  return next.delivered === current.delivered && next.read === current.read ? null : next;
+}
+
+// Shared by the memory and jsonl backends: everything indexed in memory
+function createMemoryIndex(limits) {
+  const byPair = new Map();
+  const receipts = new Map(); // pairKey -> clientId -> { delivered, read }
+  let lastId = 0;
+
+  // Lists are sorted by id
+  const find = (pairKey, id) => {
+    const list = byPair.get(pairKey) || [];
+    let low = 0;
+    let high = list.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].id === id) return { list, index: mid };
+      if (list[mid].id < id) low = mid + 1;
+      else high = mid - 1;
+    }
+    return null;
+  };
+
+  return {
+    add(pairKey, message) {
+      const list = byPair.get(pairKey) || [];
+      list.push(message);
+      byPair.set(pairKey, list);
+      lastId = Math.max(lastId, message.id);
+    },
+    nextId() {
+      return lastId + 1;
+    },
+    page(pairKey, options) {
+      return pageFromList(byPair.get(pairKey) || [], options, limits);
+    },
+    get(pairKey, id) {
+      const found = find(pairKey, id);
+      return found ? found.list[found.index] : null;
+    },
+    replace(pairKey, id, changes) {
+      const found = find(pairKey, id);
+      if (!found) return null;
+      found.list[found.index] = { ...found.list[found.index], ...changes, id };
+      return found.list[found.index];
+    },
+    getReceipts(pairKey) {
+      return Object.fromEntries(receipts.get(pairKey) || []);
+    },
+    setReceipt(pairKey, clientId, value) {
+      if (!receipts.has(pairKey)) receipts.set(pairKey, new Map());
+      receipts.get(pairKey).set(clientId, value);
+    },
+    receiptFor(pairKey, clientId) {
+      return (receipts.get(pairKey) || new Map()).get(clientId);
+    },
+    listConversations(clientId) {
+      const conversations = [];
+      byPair.forEach((list, pairKey) => {
+        const peerClientId = otherSide(pairKey, clientId);
+        if (!peerClientId || list.length === 0) return;
+        const mine = (receipts.get(pairKey) || new Map()).get(clientId) || NO_RECEIPT;
+        let unread = 0;
+        let undelivered = 0;
+        list.forEach((m) => {
+          if (m.fromClientId !== peerClientId || m.deleted) return;
+          if (m.id > mine.read) unread += 1;
+          if (m.id > mine.delivered) undelivered += 1;
+        });
+        conversations.push({ peerClientId, lastMessage: list[list.length - 1], unread, undelivered });
+      });
+      return conversations.sort(byMostRecent);
+    },
+    listPairs() {
+      return Array.from(byPair, ([pairKey, list]) => ({
+        pairKey,
+        count: list.length,
+        lastMessage: list[list.length - 1]
+      }))
+        .filter((pair) => pair.count > 0)
+        .sort(byMostRecent);
+    },
+    clear(pairKey) {
+      const removed = (byPair.get(pairKey) || []).length;
+      byPair.delete(pairKey);
+      receipts.delete(pairKey);
+      return removed;
+    },
+    lastId() {
+      return lastId;
+    },
+    setLastId(id) {
+      lastId = Math.max(lastId, id);
+    },
+    // Everything held, as jsonl records
+    records() {
+      const all = [];
+      byPair.forEach((list, pair) => list.forEach((message) => all.push({ pair, message })));
+      all.sort((a, b) => a.message.id - b.message.id);
+      receipts.forEach((byClient, pair) => byClient.forEach((receipt, clientId) => {
+        all.push({ pair, receipt: { clientId, ...receipt } });
+      }));
+      return all;
+    }
+  };
+}
+
+function createMemoryStore(limits) {
+  const index = createMemoryIndex(limits);
+  return {
+    backend: 'memory',
+    append(pairKey, message) {
+      const stored = { ...message, id: index.nextId() };
+      index.add(pairKey, stored);
+      return stored;
+    },
+    page: index.page,
+    get: index.get,
+    update: index.replace,
+    getReceipts: index.getReceipts,
+    listConversations: index.listConversations,
+    listPairs: index.listPairs,
+    clear: index.clear,
+    advanceReceipt(pairKey, clientId, kind, upToId) {
+      const next = advanceReceipt(index.receiptFor(pairKey, clientId), kind, upToId);
+      if (next) index.setReceipt(pairKey, clientId, next);
+      return next;
+    }
+  };
+}
+
+function createJsonlStore(file, limits) {
+  const index = createMemoryIndex(limits);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Replay the log; a torn last line from a crash is skipped. Records are
+  // { pair, message } for new messages, { pair, update: { id, changes } } for
+  // edits, { pair, receipt: { clientId, delivered, read } } for receipts and
+  // { lastId } after a clear.
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (record[ID_MARKER] !== undefined) {
+          index.setLastId(record[ID_MARKER]);
+        } else if (record.update) {
+          index.replace(record.pair, record.update.id, record.update.changes);
+        } else if (record.receipt) {
+          const { clientId, delivered, read } = record.receipt;
+          index.setReceipt(record.pair, clientId, { delivered, read });
+        } else {
+          index.add(record.pair, record.message);
+        }
+      } catch (e) {
+        logger.warn(`Skipping unreadable chat log line ${i + 1} in ${file}`);
+      }
+    });
+  }
+
+  return {
+    backend: 'jsonl',
+    append(pairKey, message) {
+      const stored = { ...message, id: index.nextId() };
+      fs.appendFileSync(file, `${JSON.stringify({ pair: pairKey, message: stored })}\n`);
+      index.add(pairKey, stored);
+      return stored;
+    },
+    page: index.page,
+    get: index.get,
+    update(pairKey, id, changes) {
+      if (!index.get(pairKey, id)) return null;
+      fs.appendFileSync(file, `${JSON.stringify({ pair: pairKey, update: { id, changes } })}\n`);
+      return index.replace(pairKey, id, changes);
+    },
+    getReceipts: index.getReceipts,
+    listConversations: index.listConversations,
+    listPairs: index.listPairs,
+    // The log is rewritten without the pair, so the messages are gone from
+    // disk too and not just hidden by a later record
+    clear(pairKey) {
+      const removed = index.clear(pairKey);
+      if (removed === 0) return 0;
+      const lines = [{ [ID_MARKER]: index.lastId() }, ...index.records()].map((record) => `${JSON.stringify(record)}\n`);
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, lines.join(''));
+      fs.renameSync(tmpFile, file);
+      return removed;
+    },
+    advanceReceipt(pairKey, clientId, kind, upToId) {
+      const next = advanceReceipt(index.receiptFor(pairKey, clientId), kind, upToId);
+      if (!next) return null;
+      fs.appendFileSync(file, `${JSON.stringify({ pair: pairKey, receipt: { clientId, ...next } })}\n`);
+      index.setReceipt(pairKey, clientId, next);
+      return next;
+    }
+  };
+}
+
+function createSqliteStore(file, limits) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (e) {
+    throw new Error(`CHAT_STORE=sqlite needs Node 22.5 or newer with node:sqlite (running ${process.version})`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pair TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS chat_messages_pair_id ON chat_messages (pair, id);
+    CREATE TABLE IF NOT EXISTS chat_receipts (
+      pair TEXT NOT NULL,
+      client_id TEXT NOT NULL,
+      delivered INTEGER NOT NULL DEFAULT 0,
+      read INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (pair, client_id)
+    );
+  `);
+
+  const insert = db.prepare('INSERT INTO chat_messages (pair, data) VALUES (?, ?)');
+  const latest = db.prepare('SELECT id, data FROM chat_messages WHERE pair = ? ORDER BY id DESC LIMIT ?');
+  const before = db.prepare('SELECT id, data FROM chat_messages WHERE pair = ? AND id < ? ORDER BY id DESC LIMIT ?');
+  const after = db.prepare('SELECT id, data FROM chat_messages WHERE pair = ? AND id > ? ORDER BY id ASC LIMIT ?');
+  const countBefore = db.prepare('SELECT COUNT(*) AS n FROM chat_messages WHERE pair = ? AND id < ?');
+  const countAfter = db.prepare('SELECT COUNT(*) AS n FROM chat_messages WHERE pair = ? AND id > ?');
+  const byId = db.prepare('SELECT id, data FROM chat_messages WHERE pair = ? AND id = ?');
+  const rewrite = db.prepare('UPDATE chat_messages SET data = ? WHERE pair = ? AND id = ?');
+  const receiptsFor = db.prepare('SELECT client_id, delivered, read FROM chat_receipts WHERE pair = ?');
+  const receiptOf = db.prepare('SELECT delivered, read FROM chat_receipts WHERE pair = ? AND client_id = ?');
+  const pairsOf = db.prepare(`
+    SELECT pair, MAX(id) AS last_id FROM chat_messages
+    WHERE pair LIKE ? ESCAPE '\\' OR pair LIKE ? ESCAPE '\\'
+    GROUP BY pair
+  `);
+  const countFrom = db.prepare(`
+    SELECT COALESCE(SUM(id > ?), 0) AS unread, COALESCE(SUM(id > ?), 0) AS undelivered FROM chat_messages
+    WHERE pair = ? AND json_extract(data, '$.fromClientId') = ? AND COALESCE(json_extract(data, '$.deleted'), 0) = 0
+  `);
+  const allPairs = db.prepare(`
+    SELECT pair, COUNT(*) AS n, MAX(id) AS last_id FROM chat_messages GROUP BY pair ORDER BY last_id DESC
+  `);
+  const deleteMessages = db.prepare('DELETE FROM chat_messages WHERE pair = ?');
+  const deleteReceipts = db.prepare('DELETE FROM chat_receipts WHERE pair = ?');
+  const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+  const saveReceipt = db.prepare(`
+    INSERT INTO chat_receipts (pair, client_id, delivered, read) VALUES (?, ?, ?, ?)
+    ON CONFLICT (pair, client_id) DO UPDATE SET delivered = excluded.delivered, read = excluded.read
+  `);
+
+  const decode = (row) => ({ ...JSON.parse(row.data), id: Number(row.id) });
+
+  return {
+    backend: 'sqlite',
+    append(pairKey, message) {
+      const { lastInsertRowid } = insert.run(pairKey, JSON.stringify(message));
+      return { ...message, id: Number(lastInsertRowid) };
+    },
+    page(pairKey, { before: beforeCursor, after: afterCursor, limit }) {
+      const size = clampLimit(limit, limits);
+      const beforeId = toCursor(beforeCursor);
+      const afterId = toCursor(afterCursor);
+      let messages;
+      if (afterId !== null) {
+        messages = after.all(pairKey, afterId, size).map(decode);
+      } else if (beforeId !== null) {
+        messages = before.all(pairKey, beforeId, size).map(decode).reverse();
+      } else {
+        messages = latest.all(pairKey, size).map(decode).reverse();
+      }
+      if (messages.length === 0) {
+        const hasMoreBefore = afterId !== null && countBefore.get(pairKey, afterId + 1).n > 0;
+        return { messages, hasMoreBefore, hasMoreAfter: false };
+      }
+      return {
+        messages,
+        hasMoreBefore: countBefore.get(pairKey, messages[0].id).n > 0,
+        hasMoreAfter: countAfter.get(pairKey, messages[messages.length - 1].id).n > 0
+      };
+    },
+    get(pairKey, id) {
+      const row = byId.get(pairKey, id);
+      return row ? decode(row) : null;
+    },
+    update(pairKey, id, changes) {
+      const row = byId.get(pairKey, id);
+      if (!row) return null;
+      const data = { ...JSON.parse(row.data), ...changes };
+      delete data.id;
+      rewrite.run(JSON.stringify(data), pairKey, id);
+      return { ...data, id };
+    },
+    getReceipts(pairKey) {
+      return Object.fromEntries(receiptsFor.all(pairKey).map((row) => [
+        row.client_id,
+        { delivered: Number(row.delivered), read: Number(row.read) }
+      ]));
+    },
+    listConversations(clientId) {
+      const escaped = escapeLike(clientId);
+      return pairsOf.all(`${escaped}|%`, `%|${escaped}`).map((row) => {
+        const peerClientId = otherSide(row.pair, clientId);
+        if (!peerClientId) return null;
+        const mine = receiptOf.get(row.pair, clientId) || NO_RECEIPT;
+        const counts = countFrom.get(Number(mine.read), Number(mine.delivered), row.pair, peerClientId);
+        return {
+          peerClientId,
+          lastMessage: decode(byId.get(row.pair, row.last_id)),
+          unread: Number(counts.unread),
+          undelivered: Number(counts.undelivered)
+        };
+      }).filter(Boolean).sort(byMostRecent);
+    },
+    listPairs() {
+      return allPairs.all().map((row) => ({
+        pairKey: row.pair,
+        count: Number(row.n),
+        lastMessage: decode(byId.get(row.pair, row.last_id))
+      }));
+    },
+    // AUTOINCREMENT never reuses the ids of deleted rows
+    clear(pairKey) {
+      const { changes } = deleteMessages.run(pairKey);
+      deleteReceipts.run(pairKey);
+      return Number(changes);
+    },
+    advanceReceipt(pairKey, clientId, kind, upToId) {
+      const row = receiptOf.get(pairKey, clientId);
+      const current = row ? { delivered: Number(row.delivered), read: Number(row.read) } : undefined;
+      const next = advanceReceipt(current, kind, upToId);
+      if (next) saveReceipt.run(pairKey, clientId, next.delivered, next.read);
+      return next;
+    }
+  };
+}
+
+function createChatStore({
+  backend = 'jsonl',
+  file,
+  dataDir = path.join(__dirname, 'data'),
+  pageSize = DEFAULT_LIMITS.pageSize,
+  maxPageSize = DEFAULT_LIMITS.maxPageSize
+} = {}) {
+  const limits = { pageSize, maxPageSize };
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore(limits);
+    case 'sqlite':
+      return createSqliteStore(file || path.join(dataDir, 'chat.sqlite'), limits);
+    case 'jsonl':
+      return createJsonlStore(file || path.join(dataDir, 'chat-log.jsonl'), limits);
+    default:
+      throw new Error(`Unknown CHAT_STORE backend "${backend}" (expected jsonl, sqlite or memory)`);
+  }
+}
+
+module.exports = { createChatStore };
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { LOG_LEVELS } = require('./logger');
+
+// Server settings. Each layer overrides the one before it:
+//   1. built-in defaults
+//   2. a JSON config file: --config, CONFIG_FILE, or server/config.json if present
+//   3. environment variables
+//   4. command line flags
+// See config.example.json for the file format. Relative paths are resolved
+// from the working directory.
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+const DEFAULT_CLIENT_DIR = path.join(__dirname, '..', 'client', 'build');
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+const HISTORY_STORES = ['jsonl', 'sqlite', 'memory'];
+
+const DEFAULTS = {
+  host: '0.0.0.0',
+  port: 3001,
+  // Address shown to clients; by default the bind address, or the first
+  // non-internal IPv4 interface when bound to all of them
+  advertiseAddress: null,
+  // HTTPS/WSS with cert and key, or a generated self-signed certificate
+  tls: { enabled: true, cert: null, key: null },
+  // Production client build served at /, when it exists (default: client/build)
+  clientDir: null,
+  // Accounts, the session secret, chat history and the self-signed
+  // certificate (default: server/data)
+  dataDir: null,
+  // Origins allowed to call the HTTP API and open the WebSocket; '*' allows any
+  allowedOrigins: ['*'],
+  // Usernames of the accounts allowed to use the /admin endpoints
+  admins: [],
+  auth: {
+    // Signs session tokens; without one a secret is generated and kept in
+    // the data directory
+    secret: null,
+    // Needed to create an account; without any, one is generated per start
+    inviteTokens: []
+  },
+  // Incoming WebSocket messages; the burst allowance is four seconds' worth
+  limits: {
+    chatPerSecond: 5,
+    signalPerSecond: 50,
+    chatMaxBytes: 32 * 1024,
+    signalMaxBytes: 64 * 1024
+  },
+  // Sockets are pinged every intervalMs and dropped after timeoutMs of silence
+  heartbeat: { intervalMs: 10000, timeoutMs: 30000 },
+  ice: {
+    // null means Google's public STUN servers (none with the local TURN server)
+    stunUrls: null,
+    turnUrls: [],
+    // Shared with the TURN server (coturn static-auth-secret)
+    turnSecret: null,
+    // Seconds TURN credentials stay valid
+    turnTtl: 3600
+  },
+  // The bundled STUN/TURN server; relayAddress defaults to the LAN address
+  localTurn: { enabled: false, port: 3478, relayAddress: null },
+  history: {
+    store: 'jsonl',
+    path: null,
+    pageSize: 50,
+    maxPageSize: 200
+  },
+  // How long sockets get to close on shutdown before they are cut
+  shutdownDrainMs: 5000,
+  logLevel: 'info'
+};
+
+// flag -> [config path, environment variable, kind]
+const SETTINGS = {
+  host: [['host'], 'HOST', 'string'],
+  port: [['port'], 'PORT', 'number'],
+  'advertise-address': [['advertiseAddress'], 'ADVERTISE_ADDRESS', 'string'],
+  tls: [['tls', 'enabled'], 'TLS', 'boolean'],
+  'tls-cert': [['tls', 'cert'], 'TLS_CERT', 'string'],
+  'tls-key': [['tls', 'key'], 'TLS_KEY', 'string'],
+  'client-dir': [['clientDir'], 'CLIENT_DIR', 'string'],
+  'data-dir': [['dataDir'], 'DATA_DIR', 'string'],
+  'allowed-origins': [['allowedOrigins'], 'ALLOWED_ORIGINS', 'list'],
+  admins: [['admins'], 'ADMIN_USERS', 'list'],
+  'auth-secret': [['auth', 'secret'], 'AUTH_SECRET', 'string'],
+  'invite-tokens': [['auth', 'inviteTokens'], 'INVITE_TOKENS', 'list'],
+  'chat-rate-limit': [['limits', 'chatPerSecond'], 'CHAT_RATE_LIMIT', 'number'],
+  'signal-rate-limit': [['limits', 'signalPerSecond'], 'SIGNAL_RATE_LIMIT', 'number'],
+  'chat-max-bytes': [['limits', 'chatMaxBytes'], 'CHAT_MAX_BYTES', 'number'],
+  'signal-max-bytes': [['limits', 'signalMaxBytes'], 'SIGNAL_MAX_BYTES', 'number'],
+  'heartbeat-interval': [['heartbeat', 'intervalMs'], 'HEARTBEAT_INTERVAL_MS', 'number'],
+  'heartbeat-timeout': [['heartbeat', 'timeoutMs'], 'HEARTBEAT_TIMEOUT_MS', 'number'],
+  'ice-stun-urls': [['ice', 'stunUrls'], 'ICE_STUN_URLS', 'list'],
+  'ice-turn-urls': [['ice', 'turnUrls'], 'ICE_TURN_URLS', 'list'],
+  'ice-turn-secret': [['ice', 'turnSecret'], 'ICE_TURN_SECRET', 'string'],
+  'ice-turn-ttl': [['ice', 'turnTtl'], 'ICE_TURN_TTL', 'number'],
+  'local-turn': [['localTurn', 'enabled'], 'LOCAL_TURN', 'boolean'],
+  'local-turn-port': [['localTurn', 'port'], 'LOCAL_TURN_PORT', 'number'],
+  'local-turn-relay-address': [['localTurn', 'relayAddress'], 'LOCAL_TURN_RELAY_IP', 'string'],
+  'shutdown-drain': [['shutdownDrainMs'], 'SHUTDOWN_DRAIN_MS', 'number'],
+  'history-store': [['history', 'store'], 'CHAT_STORE', 'string'],
+  'history-path': [['history', 'path'], 'CHAT_STORE_PATH', 'string'],
+  'history-page-size': [['history', 'pageSize'], 'CHAT_PAGE_SIZE', 'number'],
+  'history-max-page-size': [['history', 'maxPageSize'], 'CHAT_MAX_PAGE_SIZE', 'number'],
+  'log-level': [['logLevel'], 'LOG_LEVEL', 'string']
+};
+
+// Earlier names, read when the current variable is unset
+const ENV_FALLBACKS = {
+  DATA_DIR: 'AUTH_DATA_DIR'
+};
+
+const USAGE = `Usage: node server/index.js [options]
+
+  --config <file>                JSON config file (default: server/config.json)
+  --host <address>               Address to bind (default: 0.0.0.0)
+  --port <number>                Port for HTTP and WebSocket (default: 3001)
+  --advertise-address <address>  Address announced to clients
+  --tls <on|off>                 Serve HTTPS/WSS (default: on)
+  --tls-cert <file>              TLS certificate (PEM); without one a
+                                 self-signed certificate is generated
+  --tls-key <file>               TLS private key (PEM)
+  --client-dir <dir>             Client build to serve (default: client/build)
+  --data-dir <dir>               Accounts, chat history and the self-signed
+                                 certificate (default: server/data; env
+                                 DATA_DIR, or AUTH_DATA_DIR from before)
+  --allowed-origins <list>       Comma separated origins, or * for any
+  --admins <list>                Comma separated usernames allowed to use
+                                 the admin API and dashboard
+  --auth-secret <secret>         Session token signing secret (default:
+                                 generated and kept in the data dir)
+  --invite-tokens <list>         Comma separated tokens that allow creating
+                                 an account (default: one per start)
+  --chat-rate-limit <n>          Chat messages per second per connection (5)
+  --signal-rate-limit <n>        Other messages per second per connection (50)
+  --chat-max-bytes <n>           Largest chat message (32768)
+  --signal-max-bytes <n>         Largest message of any kind (65536)
+  --heartbeat-interval <ms>      Ping every socket this often (10000)
+  --heartbeat-timeout <ms>       Drop a socket silent this long (30000)
+  --ice-stun-urls <list>         STUN urls for clients; empty for none
+                                 (default: Google's public STUN servers)
+  --ice-turn-urls <list>         TURN urls for clients, e.g. a coturn server
+  --ice-turn-secret <secret>     Secret shared with the TURN server
+  --ice-turn-ttl <seconds>       How long TURN credentials last (3600)
+  --local-turn <on|off>          Run the bundled STUN/TURN server (off)
+  --local-turn-port <port>       Its UDP port (3478)
+  --local-turn-relay-address <ip>
+                                 Address it relays from (default: LAN address)
+  --shutdown-drain <ms>          Time sockets get to close on shutdown (5000)
+  --history-store <backend>      jsonl, sqlite or memory
+  --history-path <file>          Chat history file
+  --history-page-size <n>        Messages per history page by default
+  --history-max-page-size <n>    Largest history page a client may ask for
+  --log-level <level>            ${LOG_LEVELS.join(', ')}
+  --help                         Show this help`;
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function setPath(target, keys, value) {
+  const last = keys[keys.length - 1];
+  const parent = keys.slice(0, -1).reduce((obj, key) => {
+    obj[key] = { ...obj[key] };
+    return obj[key];
+  }, target);
+  parent[last] = value;
+}
+
+function convert(value, kind, name) {
+  if (kind === 'number') {
+    const n = Number(value);
+    if (!Number.isInteger(n)) throw new ConfigError(`${name} must be a whole number, got "${value}"`);
+    return n;
+  }
+  if (kind === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (['on', 'true', 'yes', '1'].includes(String(value).toLowerCase())) return true;
+    if (['off', 'false', 'no', '0'].includes(String(value).toLowerCase())) return false;
+    throw new ConfigError(`${name} must be on or off, got "${value}"`);
+  }
+  if (kind === 'list') {
+    return Array.isArray(value) ? value : String(value).split(',').map((s) => s.trim()).filter(Boolean);
+  }
+  return String(value);
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new ConfigError(`Config file ${file} does not exist`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError(`Could not read config file ${file}: ${e.message}`);
+  }
+}
+
+function merge(base, overrides) {
+  const result = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject ? merge(base[key] || {}, value) : value;
+  });
+  return result;
+}
+
+function validate(config) {
+  if (config.port < 1 || config.port > 65535) throw new ConfigError(`port must be between 1 and 65535, got ${config.port}`);
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    throw new ConfigError(`logLevel must be one of ${LOG_LEVELS.join(', ')}, got "${config.logLevel}"`);
+  }
+  if (!!config.tls.cert !== !!config.tls.key) throw new ConfigError('TLS needs both a certificate and a key');
+  if (!Array.isArray(config.allowedOrigins) || config.allowedOrigins.length === 0) {
+    throw new ConfigError('allowedOrigins must list at least one origin (or "*")');
+  }
+  if (!HISTORY_STORES.includes(config.history.store)) {
+    throw new ConfigError(`history.store must be one of ${HISTORY_STORES.join(', ')}, got "${config.history.store}"`);
+  }
+  if (config.history.pageSize < 1 || config.history.maxPageSize < config.history.pageSize) {
+    throw new ConfigError('history.pageSize must be at least 1 and no larger than history.maxPageSize');
+  }
+  const positive = {
+    'limits.chatPerSecond': config.limits.chatPerSecond,
+    'limits.signalPerSecond': config.limits.signalPerSecond,
+    'limits.chatMaxBytes': config.limits.chatMaxBytes,
+    'limits.signalMaxBytes': config.limits.signalMaxBytes,
+    'heartbeat.intervalMs': config.heartbeat.intervalMs,
+    'heartbeat.timeoutMs': config.heartbeat.timeoutMs,
+    'ice.turnTtl': config.ice.turnTtl,
+    shutdownDrainMs: config.shutdownDrainMs
+  };
+  Object.entries(positive).forEach(([name, value]) => {
+    if (!Number.isInteger(value) || value < 1) throw new ConfigError(`${name} must be a positive whole number, got ${value}`);
+  });
+  if (config.heartbeat.timeoutMs <= config.heartbeat.intervalMs) {
+    throw new ConfigError('heartbeat.timeoutMs must be longer than heartbeat.intervalMs');
+  }
+  if (config.localTurn.port < 1 || config.localTurn.port > 65535) {
+    throw new ConfigError(`localTurn.port must be between 1 and 65535, got ${config.localTurn.port}`);
+  }
+  return config;
+}
+
+// Returns the effective config, or { help } when only usage was asked for.
+// Throws ConfigError for bad flags or values.
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        config: { type: 'string' },
+        help: { type: 'boolean' },
+        ...Object.fromEntries(Object.keys(SETTINGS).map((flag) => [flag, { type: 'string' }]))
+      }
+    }).values;
+  } catch (e) {
+    throw new ConfigError(`${e.message}\n\n${USAGE}`);
+  }
+  if (parsed.help) return { help: USAGE };
+
+  const file = parsed.config || env.CONFIG_FILE;
+  const config = merge(DEFAULTS, readConfigFile(file ? path.resolve(file) : DEFAULT_CONFIG_FILE, !!file));
+
+  // An empty variable counts as unset, except that it empties a list
+  const isSet = (name, kind) => env[name] !== undefined && (env[name] !== '' || kind === 'list');
+  Object.values(SETTINGS).forEach(([keys, envName, kind]) => {
+    const name = !isSet(envName, kind) && isSet(ENV_FALLBACKS[envName], kind) ? ENV_FALLBACKS[envName] : envName;
+    if (isSet(name, kind)) setPath(config, keys, convert(env[name], kind, name));
+  });
+  Object.entries(SETTINGS).forEach(([flag, [keys, , kind]]) => {
+    if (parsed[flag] !== undefined) setPath(config, keys, convert(parsed[flag], kind, `--${flag}`));
+  });
+
+  config.allowedOrigins = convert(config.allowedOrigins, 'list', 'allowedOrigins');
+  config.admins = convert(config.admins, 'list', 'admins').map((name) => name.toLowerCase());
+  config.tls.enabled = convert(config.tls.enabled, 'boolean', 'tls.enabled');
+  config.auth.inviteTokens = convert(config.auth.inviteTokens, 'list', 'auth.inviteTokens');
+  if (config.ice.stunUrls !== null) config.ice.stunUrls = convert(config.ice.stunUrls, 'list', 'ice.stunUrls');
+  config.ice.turnUrls = convert(config.ice.turnUrls, 'list', 'ice.turnUrls');
+  config.localTurn.enabled = convert(config.localTurn.enabled, 'boolean', 'localTurn.enabled');
+  config.clientDir = config.clientDir ? path.resolve(config.clientDir) : DEFAULT_CLIENT_DIR;
+  config.dataDir = config.dataDir ? path.resolve(config.dataDir) : DEFAULT_DATA_DIR;
+  return validate(config);
+}
+
+module.exports = { loadConfig, ConfigError };
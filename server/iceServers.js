@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// ICE servers handed to clients when they register. TURN credentials follow
+// the "TURN REST API" scheme (coturn's use-auth-secret): the username is
+// `<expiry unix seconds>:<clientId>` and the password is an HMAC of it with a
+// secret shared with the TURN server, so credentials expire on their own and
+// nothing has to be stored on either side.
+
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+const DEFAULT_TURN_TTL_SECONDS = 3600;
+
+function getTurnPassword(secret, username) {
+  return crypto.createHmac('sha1', secret).update(username).digest('base64');
+}
+
+// Password for a username we issued, or null once it has expired
+function checkTurnUsername(secret, username) {
+  const expiry = Number.parseInt(String(username).split(':')[0], 10);
+  if (!Number.isFinite(expiry) || expiry * 1000 < Date.now()) return null;
+  return getTurnPassword(secret, username);
+}
+
+function createIceConfig({
+  stunUrls = DEFAULT_STUN_URLS,
+  turnUrls = [],
+  turnSecret = '',
+  ttlSeconds = DEFAULT_TURN_TTL_SECONDS
+} = {}) {
+  const hasTurn = turnUrls.length > 0 && !!turnSecret;
+
+  return {
+    hasTurn,
+    ttlSeconds,
+    // RTCIceServer list for one client, with fresh TURN credentials
+    getIceServers(clientId) {
+      const servers = [];
+      if (stunUrls.length > 0) servers.push({ urls: stunUrls });
+      if (hasTurn) {
+        const expiry = Math.floor(Date.now() / 1000) + ttlSeconds;
+        const username = `${expiry}:${clientId}`;
+        servers.push({ urls: turnUrls, username, credential: getTurnPassword(turnSecret, username) });
+      }
+      return servers;
+    }
+  };
+}
+
+module.exports = { createIceConfig, checkTurnUsername, DEFAULT_STUN_URLS };
@@ -1,15 +1,60 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
 const cors = require('cors');
 const os = require('os');
+const crypto = require('crypto');
+const sfu = require('./sfu');
+const auth = require('./auth');
+const { createChatStore } = require('./chatStore');
+const { createMessageGuard } = require('./messageGuard');
+const { createAdminApi } = require('./admin');
+const { createIceConfig, checkTurnUsername, DEFAULT_STUN_URLS } = require('./iceServers');
+const { startTurnServer } = require('./turnServer');
+const { loadConfig, ConfigError } = require('./config');
+const { logger, setLogLevel } = require('./logger');
+const { loadTlsCredentials } = require('./tls');
+
+const STARTED_AT = Date.now();
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+if (config.help) {
+  console.log(config.help);
+  process.exit(0);
+}
+setLogLevel(config.logLevel);
+
+// Browsers always send Origin; other clients (scripts, native apps) may not
+function isAllowedOrigin(origin) {
+  return !origin || config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin);
+}
 
 const app = express();
-app.use(cors());
+app.use(cors({
+  origin: (origin, done) => done(null, isAllowedOrigin(origin))
+}));
 app.use(express.json());
+auth.configure({ ...config.auth, dataDir: config.dataDir });
+auth.registerRoutes(app);
 
-// Get local network IP address
+const WILDCARD_HOSTS = ['0.0.0.0', '::', 'localhost', '127.0.0.1'];
+const TLS_ENABLED = config.tls.enabled;
+
+// Address clients should use to reach this server: the configured one, the
+// bind address, or else the first non-internal IPv4 interface
 function getLocalIP() {
+  if (config.advertiseAddress) return config.advertiseAddress;
+  if (!WILDCARD_HOSTS.includes(config.host)) return config.host;
   const interfaces = os.networkInterfaces();
   for (const name of Object.keys(interfaces)) {
     for (const iface of interfaces[name]) {
@@ -21,187 +66,1197 @@ function getLocalIP() {
   return '127.0.0.1';
 }
 
-// Handle root GET request
+// The production client, when it has been built, so one server gives the
+// whole network a working (secure) URL
+const CLIENT_BUILT = fs.existsSync(path.join(config.clientDir, 'index.html'));
+if (CLIENT_BUILT) app.use(express.static(config.clientDir));
+
+// Without a client build, / describes the server instead
 app.get('/', (req, res) => {
   res.json({
     message: 'P2P Video Calling - WebSocket Signaling Server',
     status: 'running',
     localIP: getLocalIP(),
-    port: process.env.PORT || 3001,
-    websocket: `ws://${getLocalIP()}:${process.env.PORT || 3001}`,
+    port: config.port,
+    websocket: `${TLS_ENABLED ? 'wss' : 'ws'}://${getLocalIP()}:${config.port}`,
     info: 'This is a WebSocket signaling server for WebRTC peer connections. Connect using WebSocket protocol.'
   });
 });
 
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Limits on incoming messages; burst allowance is four seconds' worth
+const { limits } = config;
+const messageGuard = createMessageGuard({
+  chatMaxBytes: limits.chatMaxBytes,
+  signalMaxBytes: limits.signalMaxBytes,
+  chatRate: { perSecond: limits.chatPerSecond, burst: limits.chatPerSecond * 4 },
+  signalRate: { perSecond: limits.signalPerSecond, burst: limits.signalPerSecond * 4 }
+});
+
+// Counts of accepted and rejected signaling messages
+app.get('/metrics', (req, res) => {
+  res.json({
+    connections: wss.clients.size,
+    messages: messageGuard.getMetrics()
+  });
+});
+
+// What a client needs to find the signaling server, e.g. when the page was
+// served from somewhere else and cannot assume the port
+app.get('/config', (req, res) => {
+  res.json({
+    signaling: true,
+    address: getLocalIP(),
+    port: config.port,
+    secure: TLS_ENABLED
+  });
+});
+
+// The certificate is loaded (or generated) just before listening
+const server = TLS_ENABLED ? https.createServer(app) : http.createServer(app);
+const wss = new WebSocket.Server({
+  server,
+  // Hard ceiling, from the same limit the message guard applies: a frame a
+  // little over it gets a 'too-large' reply, one over twice it is dropped
+  // with the connection before it is buffered
+  maxPayload: config.limits.signalMaxBytes * 2,
+  // Only upgrade connections that present a valid session token
+  verifyClient: (info, done) => {
+    if (!isAllowedOrigin(info.origin)) {
+      done(false, 403, 'Origin not allowed');
+      return;
+    }
+    const claims = auth.verifyToken(auth.getUpgradeToken(info.req));
+    if (!claims) {
+      done(false, 401, 'Unauthorized');
+      return;
+    }
+    info.req.auth = claims;
+    done(true);
+  }
+});
 
 // Store active connections
 const clients = new Map();
 
-// In-memory chat history per peer pair (limited size)
-// Key format: `${minIP}|${maxIP}`
-const chatHistory = new Map();
+const PRESENCE_STATUSES = ['available', 'in-call', 'away'];
+let nextSessionId = 1;
+
+function createSessionId() {
+  return `${Date.now().toString(36)}-${(nextSessionId++).toString(36)}`;
+}
+
+// Snapshot of everyone registered, as sent to clients
+function getPresenceList() {
+  const list = [];
+  clients.forEach((info) => {
+    list.push({
+      id: info.id,
+      clientId: info.clientId,
+      name: info.name,
+      status: info.status,
+      localIP: info.localIP,
+      room: info.room || null,
+      // False while the session waits for its client to reconnect
+      connected: !info.detachTimer
+    });
+  });
+  return list.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getRoomList() {
+  return Array.from(rooms.entries())
+    .map(([name, room]) => ({ name, mode: room.mode, size: room.members.size }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Push the current directory to every registered client
+function broadcastPresence() {
+  const payload = JSON.stringify({ type: 'presence', peers: getPresenceList(), rooms: getRoomList() });
+  clients.forEach((info, client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      try {
+        client.send(payload);
+      } catch (e) {}
+    }
+  });
+  admin.changed();
+}
+
+function removeClient(ws) {
+  const info = clients.get(ws);
+  if (info) clearTimeout(info.detachTimer);
+  endCallsFor(ws, 'disconnected');
+  leaveRoom(ws);
+  if (clients.delete(ws)) {
+    broadcastPresence();
+  }
+}
+
+// A session whose socket dropped without saying goodbye is kept this long,
+// calls and room included, so the client can reconnect and resume it
+const RESUME_GRACE_MS = 30000;
+
+function detachClient(ws) {
+  const info = clients.get(ws);
+  if (!info || info.detachTimer) return;
+  logger.info(`${info.name} (${info.id}) lost connection, holding session for ${RESUME_GRACE_MS / 1000}s`);
+  info.detachTimer = setTimeout(() => {
+    logger.info(`${info.name} (${info.id}) did not come back`);
+    removeClient(ws);
+  }, RESUME_GRACE_MS);
+  broadcastPresence();
+}
+
+// The socket currently holding `sessionId`, if it belongs to this account
+function findResumableSession(sessionId, clientId, newWs) {
+  for (const [client, info] of clients) {
+    if (client !== newWs && info.id === sessionId && info.clientId === clientId) return client;
+  }
+  return null;
+}
+
+// Move a session, with its calls, room and SFU connection, onto a new socket.
+// The old socket may not have noticed it is dead yet; it is dropped.
+function resumeSession(oldWs, newWs) {
+  const info = clients.get(oldWs);
+  clearTimeout(info.detachTimer);
+  info.detachTimer = null;
+  clients.delete(oldWs);
+  clients.set(newWs, info);
+  calls.forEach((call) => {
+    if (call.caller === oldWs) call.caller = newWs;
+    if (call.callee === oldWs) call.callee = newWs;
+  });
+  const room = info.room && rooms.get(info.room);
+  if (room && room.members.delete(oldWs)) room.members.add(newWs);
+  sfu.moveSfu(oldWs, newWs, (data) => sendTo(newWs, data));
+  if (oldWs.readyState !== WebSocket.CLOSED) oldWs.terminate();
+  return info;
+}
+
+function sendTo(ws, data) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    try {
+      ws.send(JSON.stringify(data));
+    } catch (e) {}
+  }
+}
+
+// Session ids are unique per connection, so this finds at most one socket
+function findClientById(sessionId, excludeClient = null) {
+  for (const [client, info] of clients) {
+    if (client !== excludeClient && info.id === sessionId) return client;
+  }
+  return null;
+}
+
+// Every open session for a persistent identity (e.g. several tabs)
+function findClientsByClientId(clientId) {
+  const matches = [];
+  clients.forEach((info, client) => {
+    if (info.clientId === clientId) matches.push(client);
+  });
+  return matches;
+}
+
+// Named rooms for group calls. Key: room name, value: { mode, members: Set of sockets }
+// 'mesh' rooms connect every member to every other; 'sfu' rooms publish to the server once
+const ROOM_MODES = ['mesh', 'sfu'];
+const ROOM_MAX_MEMBERS = { mesh: 8, sfu: 25 };
+const rooms = new Map();
+
+function describeMember(ws) {
+  const info = clients.get(ws);
+  return { id: info.id, clientId: info.clientId, name: info.name, localIP: info.localIP };
+}
+
+function joinRoom(ws, roomName, requestedMode) {
+  const info = clients.get(ws);
+  const name = typeof roomName === 'string' ? roomName.trim().slice(0, 40) : '';
+  if (!info || !name) return;
+  if (info.room === name) return;
+
+  // The first member decides how the room carries media
+  const room = rooms.get(name) || {
+    mode: ROOM_MODES.includes(requestedMode) ? requestedMode : 'mesh',
+    members: new Set()
+  };
+  const { members } = room;
+  if (members.size >= ROOM_MAX_MEMBERS[room.mode]) {
+    sendTo(ws, { type: 'room-full', room: name, maxMembers: ROOM_MAX_MEMBERS[room.mode] });
+    return;
+  }
+
+  // One conversation at a time: leave any call or other room first
+  endCallsFor(ws, 'cancelled');
+  leaveRoom(ws, { silent: true });
 
-function getPairKey(ipA, ipB) {
-  if (!ipA || !ipB) return null;
-  return ipA < ipB ? `${ipA}|${ipB}` : `${ipB}|${ipA}`;
+  sendTo(ws, {
+    type: 'room-joined',
+    room: name,
+    mode: room.mode,
+    members: Array.from(members).map(describeMember)
+  });
+  members.forEach((member) => {
+    sendTo(member, { type: 'room-member-joined', room: name, member: describeMember(ws) });
+  });
+  members.add(ws);
+  rooms.set(name, room);
+  info.room = name;
+  info.status = 'in-call';
+  if (room.mode === 'sfu') {
+    sfu.joinSfu(ws, {
+      room: name,
+      member: describeMember(ws),
+      send: (data) => sendTo(ws, data)
+    });
+  }
+  broadcastPresence();
+  logger.info(`${info.name} (${info.id}) joined ${room.mode} room "${name}" (${members.size} members)`);
+}
+
+function leaveRoom(ws, { silent = false } = {}) {
+  const info = clients.get(ws);
+  if (!info || !info.room) return;
+  const name = info.room;
+  const room = rooms.get(name);
+  info.room = null;
+  info.status = 'available';
+  sfu.leaveSfu(ws);
+  if (room) {
+    const { members } = room;
+    members.delete(ws);
+    if (members.size === 0) {
+      rooms.delete(name);
+    } else {
+      members.forEach((member) => {
+        sendTo(member, { type: 'room-member-left', room: name, member: describeMember(ws) });
+      });
+    }
+  }
+  if (!silent) broadcastPresence();
+  logger.info(`${info.name} (${info.id}) left room "${name}"`);
+}
+
+function shareRoom(wsA, wsB) {
+  const a = clients.get(wsA);
+  const b = clients.get(wsB);
+  return !!(a && b && a.room && a.room === b.room);
+}
+
+// Everyone receiving this client's media: the other side of an active call
+// and the rest of their room
+function getMediaPeers(ws) {
+  const peers = new Set();
+  const call = findCallFor(ws);
+  if (call && call.state === 'active') {
+    peers.add(call.caller === ws ? call.callee : call.caller);
+  }
+  const info = clients.get(ws);
+  const room = info && info.room && rooms.get(info.room);
+  if (room) room.members.forEach((member) => peers.add(member));
+  peers.delete(ws);
+  return Array.from(peers);
+}
+
+// Media flags a client can announce to its peers: mic/camera off, screen
+// sharing, and recording (so everyone on the call sees a notice)
+const MEDIA_STATE_FLAGS = ['audioMuted', 'videoMuted', 'screen', 'screenWithCamera', 'recording'];
+
+function sanitizeMediaState(state) {
+  const clean = {};
+  MEDIA_STATE_FLAGS.forEach((flag) => {
+    clean[flag] = !!(state && state[flag]);
+  });
+  return clean;
+}
+
+// Call setup: invites ring for RING_TIMEOUT_MS before giving up.
+// Key: callId, value: { id, caller, callee, state: 'ringing' | 'active', timer,
+// startedAt, answeredAt }
+const RING_TIMEOUT_MS = 30000;
+const calls = new Map();
+let nextCallId = 1;
+
+function findCallFor(ws) {
+  for (const call of calls.values()) {
+    if (call.caller === ws || call.callee === ws) return call;
+  }
+  return null;
+}
+
+function getCallBetween(wsA, wsB) {
+  for (const call of calls.values()) {
+    if ((call.caller === wsA && call.callee === wsB) || (call.caller === wsB && call.callee === wsA)) {
+      return call;
+    }
+  }
+  return null;
+}
+
+function setStatus(ws, status) {
+  const info = clients.get(ws);
+  if (info && info.status !== status) {
+    info.status = status;
+    return true;
+  }
+  return false;
+}
+
+function finishCall(call) {
+  clearTimeout(call.timer);
+  calls.delete(call.id);
+  admin.changed();
+  const changedCaller = setStatus(call.caller, 'available');
+  const changedCallee = setStatus(call.callee, 'available');
+  if (changedCaller || changedCallee) broadcastPresence();
+}
+
+// Why a call ended, as shown to the other party:
+//   normal            - they hung up
+//   cancelled         - they started another call or joined a room
+//   disconnected      - their session went away
+//   connection-failed - their client gave up on the media connection
+const HANGUP_REASONS = ['normal', 'cancelled', 'disconnected', 'connection-failed'];
+
+// End an active call from ws's side; only the other participant is told
+function hangupCall(ws, call, reason) {
+  const other = call.caller === ws ? call.callee : call.caller;
+  const code = HANGUP_REASONS.includes(reason) ? reason : 'normal';
+  sendTo(other, { type: 'hangup', callId: call.id, fromId: clients.get(ws)?.id, reason: code });
+  finishCall(call);
+  logger.info(`Call ${call.id} hung up (${code})`);
+}
+
+// Drop any call involving ws, telling the other party why. A call still
+// ringing is cancelled; one in progress is hung up.
+function endCallsFor(ws, reason) {
+  for (const call of Array.from(calls.values())) {
+    if (call.caller !== ws && call.callee !== ws) continue;
+    if (call.state === 'active') {
+      hangupCall(ws, call, reason);
+    } else {
+      const other = call.caller === ws ? call.callee : call.caller;
+      sendTo(other, { type: 'call-cancel', callId: call.id, reason });
+      finishCall(call);
+    }
+  }
+}
+
+function inviteCall(ws, targetId) {
+  const callerInfo = clients.get(ws);
+  const callee = findClientById(targetId, ws);
+  if (!callerInfo || !callee) {
+    sendTo(ws, { type: 'call-decline', targetId, reason: 'unavailable' });
+    return;
+  }
+  const calleeInfo = clients.get(callee);
+  if (findCallFor(callee) || calleeInfo.room || calleeInfo.status === 'in-call') {
+    sendTo(ws, { type: 'busy', targetId });
+    return;
+  }
+  // A new invite replaces anything the caller still had ringing
+  endCallsFor(ws, 'cancelled');
+  leaveRoom(ws);
+
+  const call = {
+    id: `call-${Date.now().toString(36)}-${(nextCallId++).toString(36)}`,
+    caller: ws,
+    callee,
+    state: 'ringing',
+    timer: null,
+    startedAt: Date.now(),
+    answeredAt: null
+  };
+  call.timer = setTimeout(() => {
+    if (calls.get(call.id) !== call || call.state !== 'ringing') return;
+    sendTo(call.caller, { type: 'call-timeout', callId: call.id, targetId });
+    sendTo(call.callee, { type: 'call-timeout', callId: call.id, fromId: callerInfo.id });
+    finishCall(call);
+    logger.info(`Call ${call.id} timed out`);
+  }, RING_TIMEOUT_MS);
+  calls.set(call.id, call);
+  admin.changed();
+
+  sendTo(ws, { type: 'call-ringing', callId: call.id, targetId, ringTimeoutMs: RING_TIMEOUT_MS });
+  sendTo(callee, {
+    type: 'call-invite',
+    callId: call.id,
+    fromId: callerInfo.id,
+    fromClientId: callerInfo.clientId,
+    fromName: callerInfo.name,
+    ringTimeoutMs: RING_TIMEOUT_MS
+  });
+  logger.info(`Call ${call.id}: ${callerInfo.name} (${callerInfo.id}) ringing ${calleeInfo.name} (${targetId})`);
 }
 
-function appendChatHistory(fromIP, toIP, message) {
-  const key = getPairKey(fromIP, toIP);
-  if (!key) return;
-  const list = chatHistory.get(key) || [];
-  list.push(message);
-  // Keep only last 100 messages
-  while (list.length > 100) list.shift();
-  chatHistory.set(key, list);
+// Handle call-accept / call-decline / call-cancel / busy for a ringing call
+function answerCall(ws, data) {
+  const call = calls.get(data.callId);
+  if (!call || call.state !== 'ringing') return;
+
+  if (data.type === 'call-cancel') {
+    if (call.caller !== ws) return;
+    sendTo(call.callee, { type: 'call-cancel', callId: call.id, reason: 'cancelled' });
+    finishCall(call);
+    return;
+  }
+
+  if (call.callee !== ws) return;
+  const calleeId = clients.get(ws)?.id;
+  if (data.type === 'call-accept') {
+    clearTimeout(call.timer);
+    call.state = 'active';
+    call.answeredAt = Date.now();
+    setStatus(call.caller, 'in-call');
+    setStatus(call.callee, 'in-call');
+    broadcastPresence();
+    sendTo(call.caller, { type: 'call-accept', callId: call.id, fromId: calleeId });
+  } else {
+    sendTo(call.caller, {
+      type: data.type === 'busy' ? 'busy' : 'call-decline',
+      callId: call.id,
+      fromId: calleeId,
+      reason: data.type === 'busy' ? 'busy' : 'declined'
+    });
+    finishCall(call);
+  }
 }
 
-// Broadcast to all clients
-function broadcast(data, excludeClient = null) {
-  wss.clients.forEach((client) => {
-    if (client !== excludeClient && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(data));
+// Chat history per pair of persistent client ids, persisted by the backend
+// chosen in config.history (jsonl, sqlite or memory).
+// Key format: `${minClientId}|${maxClientId}`
+const chatStore = createChatStore({
+  backend: config.history.store,
+  dataDir: config.dataDir,
+  file: config.history.path || undefined,
+  pageSize: config.history.pageSize,
+  maxPageSize: config.history.maxPageSize
+});
+
+function getPairKey(idA, idB) {
+  if (!idA || !idB) return null;
+  return idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+}
+
+// Emoji a chat message can be reacted with; the client offers the same set
+const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Every open session of an identity, except `exceptWs`. Returns how many were sent.
+function sendToIdentity(clientId, data, exceptWs = null) {
+  let sent = 0;
+  findClientsByClientId(clientId).forEach((client) => {
+    if (client !== exceptWs && client.readyState === WebSocket.OPEN) {
+      sendTo(client, data);
+      sent += 1;
     }
   });
+  return sent;
+}
+
+// Tell `clientId` how far `peerClientId` has received and read their messages
+function sendChatReceipt(clientId, peerClientId, receipt) {
+  sendToIdentity(clientId, { type: 'chat-receipt', peerClientId, delivered: receipt.delivered, read: receipt.read });
 }
 
+// Relay a stored message to every session of its target. It counts as
+// delivered once one of them has it; otherwise it stays queued until the
+// target next registers. Returns whether it was delivered.
+function relayChatMessage(key, message) {
+  if (sendToIdentity(message.targetClientId, { type: 'chat-message', ...message }) === 0) return false;
+  const receipt = chatStore.advanceReceipt(key, message.targetClientId, 'delivered', message.id);
+  if (receipt) sendChatReceipt(message.fromClientId, message.targetClientId, receipt);
+  return true;
+}
+
+// How long a message the sender also put on the peers' DataChannel waits for
+// the recipient's chat-delivered before it is relayed like any other
+const DIRECT_RECEIPT_TIMEOUT_MS = 5000;
+
+// The sender's word that a DataChannel copy arrived counts for nothing; the
+// recipient acknowledges it, or the server relays it after all
+function awaitDirectReceipt(key, id) {
+  setTimeout(() => {
+    const message = chatStore.get(key, id);
+    if (!message || message.deleted) return;
+    const receipt = chatStore.getReceipts(key)[message.targetClientId] || { delivered: 0 };
+    if (receipt.delivered < id) relayChatMessage(key, message);
+  }, DIRECT_RECEIPT_TIMEOUT_MS).unref();
+}
+
+// Messages already stored, by sender and the clientMessageId it sent them
+// with, so a message resent after a dropped connection is stored only once.
+// Only the most recent CHAT_DEDUPE_SIZE are remembered.
+const CHAT_DEDUPE_SIZE = 1000;
+const recentChatMessages = new Map(); // `${fromClientId}|${clientMessageId}` -> stored message
+
+function rememberChatMessage(message) {
+  if (!message.clientMessageId) return;
+  recentChatMessages.set(`${message.fromClientId}|${message.clientMessageId}`, message);
+  if (recentChatMessages.size > CHAT_DEDUPE_SIZE) {
+    recentChatMessages.delete(recentChatMessages.keys().next().value);
+  }
+}
+
+// Store-and-forward: messages sent while `clientId` was offline sit above
+// their delivered watermark. Send them to the session that just registered,
+// tell each sender they arrived, then list every conversation with its
+// unread count.
+function flushChatQueue(ws, clientId) {
+  chatStore.listConversations(clientId).forEach(({ peerClientId, undelivered }) => {
+    if (undelivered === 0) return;
+    const key = getPairKey(clientId, peerClientId);
+    let after = (chatStore.getReceipts(key)[clientId] || { delivered: 0 }).delivered;
+    let lastDelivered = null;
+    let page;
+    do {
+      page = chatStore.page(key, { after, limit: config.history.maxPageSize });
+      page.messages.forEach((m) => {
+        if (m.fromClientId !== peerClientId || m.deleted) return;
+        sendTo(ws, { type: 'chat-message', ...m, queued: true });
+        lastDelivered = m.id;
+      });
+      if (page.messages.length > 0) after = page.messages[page.messages.length - 1].id;
+    } while (page.hasMoreAfter);
+    if (lastDelivered === null) return;
+    const receipt = chatStore.advanceReceipt(key, clientId, 'delivered', lastDelivered);
+    if (receipt) sendChatReceipt(peerClientId, clientId, receipt);
+  });
+
+  sendTo(ws, {
+    type: 'chat-conversations',
+    conversations: chatStore.listConversations(clientId).map(({ peerClientId, lastMessage, unread }) => {
+      const user = auth.getUser(peerClientId);
+      return {
+        peerClientId,
+        name: user ? user.displayName || user.username : lastMessage.fromName,
+        online: findClientsByClientId(peerClientId).length > 0,
+        unread,
+        lastMessage
+      };
+    })
+  });
+}
+
+// Edits, deletes and reactions. `change(message, sender)` returns either
+// { changes } to store or { error } to send back; the stored result goes to
+// every session on both sides as chat-update.
+function changeChatMessage(ws, data, change) {
+  const sender = clients.get(ws);
+  if (!sender) return;
+  const key = getPairKey(sender.clientId, data.peerClientId);
+  const message = key && chatStore.get(key, data.id);
+  if (!message) {
+    sendTo(ws, { type: 'error', code: 'message-not-found', field: 'id', message: `No message ${data.id} in this chat` });
+    return;
+  }
+  const result = change(message, sender);
+  if (result.error) {
+    sendTo(ws, { type: 'error', ...result.error });
+    return;
+  }
+  const updated = chatStore.update(key, data.id, result.changes);
+  [sender.clientId, data.peerClientId].forEach((clientId) => {
+    sendToIdentity(clientId, { type: 'chat-update', message: updated });
+  });
+}
+
+// Only the author may edit or delete, and a deleted message stays deleted
+function checkAuthor(message, sender, action) {
+  if (message.fromClientId !== sender.clientId) {
+    return { code: 'forbidden', field: 'id', message: `Only the author can ${action} a message` };
+  }
+  if (message.deleted) return { code: 'message-deleted', field: 'id', message: 'That message was deleted' };
+  return null;
+}
+
+// What the admin dashboard shows: everyone connected, rooms and calls
+function describeSession(info) {
+  return {
+    id: info.id,
+    clientId: info.clientId,
+    username: info.username,
+    name: info.name,
+    status: info.status,
+    room: info.room || null,
+    localIP: info.localIP,
+    address: info.address,
+    connectedAt: info.connectedAt,
+    connected: !info.detachTimer
+  };
+}
+
+function getAdminState() {
+  const sessions = Array.from(clients.values()).map(describeSession)
+    .sort((a, b) => a.connectedAt - b.connectedAt);
+  return {
+    server: {
+      startedAt: STARTED_AT,
+      address: getLocalIP(),
+      port: config.port,
+      secure: TLS_ENABLED,
+      connections: wss.clients.size,
+      chatStore: chatStore.backend
+    },
+    sessions,
+    rooms: Array.from(rooms.entries()).map(([name, room]) => ({
+      name,
+      mode: room.mode,
+      members: Array.from(room.members).filter((ws) => clients.has(ws)).map(describeMember)
+    })),
+    calls: Array.from(calls.values()).map((call) => ({
+      id: call.id,
+      state: call.state,
+      caller: clients.has(call.caller) ? describeMember(call.caller) : null,
+      callee: clients.has(call.callee) ? describeMember(call.callee) : null,
+      startedAt: call.startedAt,
+      answeredAt: call.answeredAt
+    })),
+    messages: messageGuard.getMetrics()
+  };
+}
+
+// Ends a session outright, with no grace period to resume it. Its tokens are
+// revoked, so reconnecting needs a new sign-in with the password.
+function kickSession(sessionId, adminName) {
+  const ws = findClientById(sessionId);
+  if (!ws) return false;
+  const info = clients.get(ws);
+  logger.info(`Admin ${adminName} removed ${info.name} (${info.id})`);
+  info.tokens.forEach((token) => auth.revokeToken(token));
+  sendTo(ws, { type: 'kicked', message: 'An administrator ended your session' });
+  removeClient(ws);
+  ws.close(4403, 'Removed by an administrator');
+  return true;
+}
+
+// Both sides drop the conversation from view; a resend of one of its
+// messages is stored again rather than acknowledged
+function forgetChat(pairKey) {
+  recentChatMessages.forEach((message, key) => {
+    if (getPairKey(message.fromClientId, message.targetClientId) === pairKey) recentChatMessages.delete(key);
+  });
+  const [a, b] = pairKey.split('|');
+  sendToIdentity(a, { type: 'chat-cleared', peerClientId: b });
+  sendToIdentity(b, { type: 'chat-cleared', peerClientId: a });
+}
+
+const admin = createAdminApi({
+  admins: config.admins,
+  getState: getAdminState,
+  kickSession,
+  chatStore,
+  onChatCleared: forgetChat
+});
+admin.registerRoutes(app);
+
+// ICE servers sent to clients in `registered`, from config.ice, plus the
+// bundled STUN/TURN server when config.localTurn is enabled
+const LOCAL_TURN = config.localTurn.enabled;
+const LOCAL_TURN_PORT = config.localTurn.port;
+const LOCAL_TURN_RELAY_IP = config.localTurn.relayAddress || getLocalIP();
+// Without a configured secret the bundled server gets a fresh one per start
+const turnSecret = config.ice.turnSecret
+  || (LOCAL_TURN ? crypto.randomBytes(32).toString('hex') : '');
+const localTurnUrls = LOCAL_TURN
+  ? { stun: [`stun:${LOCAL_TURN_RELAY_IP}:${LOCAL_TURN_PORT}`], turn: [`turn:${LOCAL_TURN_RELAY_IP}:${LOCAL_TURN_PORT}?transport=udp`] }
+  : { stun: [], turn: [] };
+
+const iceConfig = createIceConfig({
+  stunUrls: (config.ice.stunUrls || (LOCAL_TURN ? [] : DEFAULT_STUN_URLS)).concat(localTurnUrls.stun),
+  turnUrls: config.ice.turnUrls.concat(localTurnUrls.turn),
+  turnSecret,
+  ttlSeconds: config.ice.turnTtl
+});
+
+const turnServer = LOCAL_TURN
+  ? startTurnServer({
+    port: LOCAL_TURN_PORT,
+    relayAddress: LOCAL_TURN_RELAY_IP,
+    getPassword: (username) => checkTurnUsername(turnSecret, username)
+  })
+  : null;
+
+// TURN credentials run out, so each client gets a fresh set well before then
+function startIceRefresh(ws) {
+  if (!iceConfig.hasTurn || ws.iceRefreshTimer) return;
+  ws.iceRefreshTimer = setInterval(() => {
+    const info = clients.get(ws);
+    if (info) sendTo(ws, { type: 'ice-servers', iceServers: iceConfig.getIceServers(info.clientId) });
+  }, iceConfig.ttlSeconds * 800);
+}
+
+// Heartbeat: every socket is pinged each heartbeat.intervalMs. One that has
+// not answered (pong or any message) for heartbeat.timeoutMs is a half-open
+// connection, e.g. a laptop that went to sleep, and is terminated; its
+// session is then reaped like any other dropped connection.
+const HEARTBEAT_INTERVAL_MS = config.heartbeat.intervalMs;
+const HEARTBEAT_TIMEOUT_MS = config.heartbeat.timeoutMs;
+
+const heartbeatTimer = setInterval(() => {
+  const now = Date.now();
+  wss.clients.forEach((ws) => {
+    if (now - ws.lastSeen > HEARTBEAT_TIMEOUT_MS) {
+      const info = clients.get(ws);
+      logger.info(`No heartbeat from ${info ? `${info.name} (${info.id})` : 'unregistered socket'}, terminating`);
+      ws.terminate();
+      return;
+    }
+    try {
+      ws.ping();
+    } catch (e) {}
+  });
+}, HEARTBEAT_INTERVAL_MS);
+
+let shuttingDown = false;
+
 wss.on('connection', (ws, req) => {
   const clientIP = req.socket.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
-  console.log(`Client connected: ${clientIP}`);
-  
+  // Claims from the session token checked during the upgrade
+  const account = req.auth;
+  const upgradeToken = auth.getUpgradeToken(req);
+  logger.info(`Client connected: ${clientIP} (${account.sub})`);
+
+  ws.lastSeen = Date.now();
+  ws.on('pong', () => {
+    ws.lastSeen = Date.now();
+  });
+  const limits = messageGuard.createConnectionState();
+
   ws.on('message', (message) => {
+    ws.lastSeen = Date.now();
     try {
-      const data = JSON.parse(message);
-      console.log('Received message:', data.type);
+      const { data, error, silent } = messageGuard.check(message, limits);
+      if (error) {
+        if (!silent) {
+          logger.warn(`Rejected message from ${clientIP}: ${error.code}${error.field ? ` (${error.field})` : ''}`);
+          sendTo(ws, { type: 'error', ...error });
+        }
+        return;
+      }
+      logger.debug('Received message:', data.type);
+
+      // Nothing is forwarded for a socket until it has registered its identity
+      if (data.type !== 'register' && !clients.has(ws)) {
+        sendTo(ws, { type: 'error', code: 'not-registered', message: 'Register before sending other messages' });
+        return;
+      }
 
       switch (data.type) {
-        case 'register':
-          // Register client with their local IP
+        case 'register': {
+          // The token in `register` must belong to the account that opened the socket
+          const claims = auth.verifyToken(data.token);
+          if (!claims || claims.sub !== account.sub) {
+            sendTo(ws, { type: 'error', code: 'unauthorized', message: 'Session token does not match this connection' });
+            ws.close(4401, 'Unauthorized');
+            break;
+          }
+          // Register the session under the account's id, which routing and chat
+          // history use; the local IP is only kept for display. Re-registering
+          // keeps the session id, and a reconnecting client can take back the
+          // session it had before its socket dropped.
+          let existing = clients.get(ws);
+          let resumed = false;
+          if (!existing && typeof data.resumeSessionId === 'string') {
+            const previous = findResumableSession(data.resumeSessionId, account.sub, ws);
+            if (previous) {
+              existing = resumeSession(previous, ws);
+              resumed = true;
+              logger.info(`${existing.name} (${existing.id}) resumed their session`);
+            }
+          }
+          const id = existing ? existing.id : createSessionId();
+          const clientId = account.sub;
+          const user = auth.getUser(clientId);
+          const name = typeof data.name === 'string' && data.name.trim()
+            ? data.name.trim().slice(0, 40)
+            : account.name;
           clients.set(ws, {
-            id: data.id || Date.now().toString(),
+            id,
+            clientId,
+            name,
             localIP: data.localIP,
-            ready: false
+            status: existing ? existing.status : 'available',
+            room: existing ? existing.room : null,
+            ready: false,
+            username: user ? user.username : null,
+            address: clientIP,
+            connectedAt: existing ? existing.connectedAt : Date.now(),
+            // Revoked if an administrator ends the session
+            tokens: Array.from(new Set([...(existing ? existing.tokens : []), upgradeToken, data.token]))
           });
           ws.send(JSON.stringify({
             type: 'registered',
-            serverIP: getLocalIP()
+            id,
+            clientId,
+            name,
+            resumed,
+            admin: admin.isAdmin(user && user.username),
+            serverIP: getLocalIP(),
+            iceServers: iceConfig.getIceServers(clientId)
           }));
+          if (data.identityKey && data.deviceId) auth.setIdentityKey(clientId, data.deviceId, data.identityKey);
+          startIceRefresh(ws);
+          broadcastPresence();
+          flushChatQueue(ws, clientId);
+          break;
+        }
+
+        case 'set-status': {
+          const info = clients.get(ws);
+          if (!info || !PRESENCE_STATUSES.includes(data.status)) break;
+          if (info.status !== data.status) {
+            info.status = data.status;
+            broadcastPresence();
+          }
+          break;
+        }
+
+        case 'call-invite':
+          if (data.targetId) inviteCall(ws, data.targetId);
+          break;
+
+        case 'call-accept':
+        case 'call-decline':
+        case 'call-cancel':
+        case 'busy':
+          answerCall(ws, data);
+          break;
+
+        case 'hangup': {
+          // Only the sender's own active call; callId guards against a stale
+          // hangup ending a newer call
+          const call = findCallFor(ws);
+          if (call && call.state === 'active' && (!data.callId || data.callId === call.id)) {
+            hangupCall(ws, call, data.reason);
+          }
+          break;
+        }
+
+        case 'join-room':
+          joinRoom(ws, data.room, data.mode);
+          break;
+
+        case 'sfu-answer':
+          sfu.handleSfuAnswer(ws, data.answer);
+          break;
+
+        case 'sfu-ice-candidate':
+          sfu.handleSfuCandidate(ws, data.candidate);
+          break;
+
+        case 'leave-room':
+          leaveRoom(ws);
           break;
 
         case 'offer':
         case 'answer':
         case 'ice-candidate':
-          // Forward WebRTC signaling messages to specific peer
-          if (data.targetIP) {
-            const senderIP = clients.get(ws)?.localIP || 'unknown';
-            let forwarded = false;
-            wss.clients.forEach((client) => {
-              const clientInfo = clients.get(client);
-              if (clientInfo && clientInfo.localIP === data.targetIP && client !== ws) {
-                client.send(JSON.stringify({
-                  ...data,
-                  fromIP: senderIP
-                }));
-                forwarded = true;
-                console.log(`Forwarded ${data.type} from ${senderIP} to ${data.targetIP}`);
-              }
-            });
-            if (!forwarded) {
-              console.log(`Warning: Could not find peer with IP ${data.targetIP} to forward ${data.type}`);
+          // Forward WebRTC signaling messages to specific peer session
+          if (data.targetId) {
+            const sender = clients.get(ws);
+            const target = findClientById(data.targetId, ws);
+            // Media negotiation is only allowed once the callee has accepted,
+            // or between members of the same room
+            const call = target && getCallBetween(ws, target);
+            if (sender && target && ((call && call.state === 'active') || shareRoom(ws, target))) {
+              sendTo(target, {
+                ...data,
+                fromId: sender.id,
+                fromClientId: sender.clientId
+              });
+              logger.debug(`Forwarded ${data.type} from ${sender.id} to ${data.targetId}`);
+            } else {
+              logger.warn(`No accepted call with ${data.targetId} to forward ${data.type}`);
             }
           }
           break;
 
+        case 'media-state': {
+          // Relay what the sender is publishing, to one peer or to all of them
+          const sender = clients.get(ws);
+          if (!sender) break;
+          const peers = getMediaPeers(ws).filter(
+            (peer) => !data.targetId || clients.get(peer).id === data.targetId
+          );
+          peers.forEach((peer) => sendTo(peer, {
+            type: 'media-state',
+            fromId: sender.id,
+            state: sanitizeMediaState(data.state)
+          }));
+          break;
+        }
+
         case 'chat-message': {
-          // Relay chat message to target and echo back to sender acknowledgement
-          const senderIP = clients.get(ws)?.localIP || 'unknown';
-          const { targetIP, text, timestamp } = data;
-          if (!targetIP || typeof text !== 'string' || text.trim() === '') {
+          // Relay chat message to every session of the target identity and
+          // echo back to sender acknowledgement. Encrypted messages carry an
+          // envelope the server stores and relays without being able to read.
+          const sender = clients.get(ws);
+          const { targetClientId, text, envelope, timestamp } = data;
+          if (!sender || !targetClientId || (!envelope && (typeof text !== 'string' || text.trim() === ''))) {
             break;
           }
-          const msg = {
-            type: 'chat-message',
-            fromIP: senderIP,
-            targetIP,
-            text,
+          if (targetClientId === sender.clientId || !auth.getUser(targetClientId)) {
+            sendTo(ws, {
+              type: 'error',
+              code: 'invalid-field',
+              field: 'targetClientId',
+              message: targetClientId === sender.clientId
+                ? 'Chat messages go to someone else'
+                : `No account ${targetClientId}`
+            });
+            break;
+          }
+          const key = getPairKey(sender.clientId, targetClientId);
+          // A resend of something already stored (the ack was lost when the
+          // connection dropped) only needs acknowledging again
+          const duplicate = data.clientMessageId
+            && recentChatMessages.get(`${sender.clientId}|${data.clientMessageId}`);
+          if (duplicate) {
+            const receipt = chatStore.getReceipts(key)[targetClientId] || { delivered: 0 };
+            sendTo(ws, {
+              type: 'chat-delivery',
+              toClientId: targetClientId,
+              delivered: duplicate.id <= receipt.delivered,
+              id: duplicate.id,
+              clientMessageId: data.clientMessageId,
+              timestamp: duplicate.timestamp
+            });
+            break;
+          }
+          // Save to history first so the relayed message carries its id.
+          // If the target is offline it stays queued above their delivered
+          // watermark until they next register.
+          const stored = chatStore.append(key, {
+            fromClientId: sender.clientId,
+            fromName: sender.name,
+            fromIP: sender.localIP,
+            targetClientId,
+            ...(envelope ? { envelope } : { text }),
+            clientMessageId: data.clientMessageId || null,
             timestamp: timestamp || Date.now()
-          };
+          });
+          rememberChatMessage(stored);
+          admin.changed('chats');
+          let delivered = false;
+          if (data.direct) {
+            awaitDirectReceipt(key, stored.id);
+          } else {
+            delivered = relayChatMessage(key, stored);
+          }
 
-          // Save to history
-          appendChatHistory(senderIP, targetIP, msg);
+          // Hand the sender the stored id for the message it just sent
+          sendTo(ws, {
+            type: 'chat-delivery',
+            toClientId: targetClientId,
+            delivered,
+            id: stored.id,
+            clientMessageId: data.clientMessageId || null,
+            timestamp: stored.timestamp
+          });
+          break;
+        }
 
-          let delivered = false;
-          wss.clients.forEach((client) => {
-            const info = clients.get(client);
-            if (info && info.localIP === targetIP && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify(msg));
-                delivered = true;
-              } catch (e) {}
+        case 'chat-typing': {
+          const sender = clients.get(ws);
+          if (!sender) break;
+          sendToIdentity(data.targetClientId, {
+            type: 'chat-typing',
+            fromClientId: sender.clientId,
+            typing: data.typing
+          }, ws);
+          break;
+        }
+
+        case 'chat-delivered':
+        case 'chat-read': {
+          // Everything the peer sent up to `upToId` has arrived (over the
+          // peers' DataChannel) or been seen; never past the latest message so far
+          const reader = clients.get(ws);
+          if (!reader) break;
+          const kind = data.type === 'chat-read' ? 'read' : 'delivered';
+          const key = getPairKey(reader.clientId, data.peerClientId);
+          const [latest] = chatStore.page(key, { limit: 1 }).messages;
+          if (!latest) break;
+          const receipt = chatStore.advanceReceipt(key, reader.clientId, kind, Math.min(data.upToId, latest.id));
+          if (receipt) sendChatReceipt(data.peerClientId, reader.clientId, receipt);
+          break;
+        }
+
+        case 'chat-edit':
+          changeChatMessage(ws, data, (message, sender) => {
+            const error = checkAuthor(message, sender, 'edit');
+            if (error) return { error };
+            if (data.envelope) return { changes: { text: '', envelope: data.envelope, editedAt: Date.now() } };
+            if (typeof data.text !== 'string' || data.text.trim() === '') {
+              return { error: { code: 'invalid-field', field: 'text', message: 'Message text is empty' } };
             }
+            return { changes: { text: data.text, envelope: null, editedAt: Date.now() } };
           });
+          break;
 
-          // Optionally notify sender of delivery state
-          try {
-            ws.send(JSON.stringify({
-              type: 'chat-delivery',
-              toIP: targetIP,
-              delivered,
-              timestamp: msg.timestamp
-            }));
-          } catch (e) {}
+        case 'chat-delete':
+          // The message stays in history as a tombstone so ids keep lining up
+          changeChatMessage(ws, data, (message, sender) => {
+            const error = checkAuthor(message, sender, 'delete');
+            if (error) return { error };
+            return { changes: { text: '', envelope: null, deleted: true, deletedAt: Date.now(), reactions: {} } };
+          });
+          break;
+
+        case 'chat-react':
+          // Toggles the sender's reaction: reactions map emoji -> client ids
+          changeChatMessage(ws, data, (message, sender) => {
+            if (!CHAT_REACTIONS.includes(data.emoji)) {
+              return { error: { code: 'invalid-field', field: 'emoji', message: `Reactions are ${CHAT_REACTIONS.join(' ')}` } };
+            }
+            if (message.deleted) return { error: { code: 'message-deleted', field: 'id', message: 'That message was deleted' } };
+            const reactions = { ...(message.reactions || {}) };
+            const who = reactions[data.emoji] || [];
+            reactions[data.emoji] = who.includes(sender.clientId)
+              ? who.filter((clientId) => clientId !== sender.clientId)
+              : [...who, sender.clientId];
+            if (reactions[data.emoji].length === 0) delete reactions[data.emoji];
+            return { changes: { reactions } };
+          });
           break;
-        }
 
         case 'request-chat-history': {
-          const requesterIP = clients.get(ws)?.localIP || 'unknown';
-          const { peerIP } = data;
-          if (!peerIP) break;
-          const key = getPairKey(requesterIP, peerIP);
-          const history = chatHistory.get(key) || [];
-          try {
-            ws.send(JSON.stringify({
-              type: 'chat-history',
-              peerIP,
-              messages: history
-            }));
-          } catch (e) {}
+          // One page of history: the latest messages, or those before/after
+          // a message id the client already has
+          const requester = clients.get(ws);
+          const { peerClientId, before, after, limit } = data;
+          if (!requester || !peerClientId) break;
+          const key = getPairKey(requester.clientId, peerClientId);
+          const page = chatStore.page(key, { before, after, limit });
+          // Fetching the peer's newest messages delivers them; tell the peer
+          const fromPeer = before == null ? page.messages.filter((m) => m.fromClientId === peerClientId) : [];
+          if (fromPeer.length > 0) {
+            const lastId = fromPeer[fromPeer.length - 1].id;
+            const receipt = chatStore.advanceReceipt(key, requester.clientId, 'delivered', lastId);
+            if (receipt) sendChatReceipt(peerClientId, requester.clientId, receipt);
+          }
+          const peerReceipt = chatStore.getReceipts(key)[peerClientId] || { delivered: 0, read: 0 };
+          sendTo(ws, {
+            type: 'chat-history',
+            peerClientId,
+            before: before ?? null,
+            after: after ?? null,
+            messages: page.messages,
+            hasMoreBefore: page.hasMoreBefore,
+            hasMoreAfter: page.hasMoreAfter,
+            // How far the peer has received and read our messages
+            receipts: peerReceipt,
+            // For encrypting to a peer we have never been connected with
+            identityKeys: auth.getIdentityKeys(peerClientId)
+          });
           break;
         }
 
         case 'disconnect':
-          clients.delete(ws);
-          broadcast({ type: 'peer-disconnected' }, ws);
+          // removeClient hangs up any call, so only its participants hear about it
+          removeClient(ws);
           break;
 
         default:
-          // Broadcast other messages
-          broadcast(data, ws);
+          // Nothing is relayed without a known route
+          sendTo(ws, {
+            type: 'error',
+            code: 'unknown-type',
+            message: `Unknown message type "${data.type}"`
+          });
       }
     } catch (error) {
-      console.error('Error processing message:', error);
+      logger.error('Error processing message:', error);
     }
   });
 
+  // An explicit `disconnect` has already removed the client; anything else
+  // may be a network blip, so the session waits to be resumed
   ws.on('close', () => {
-    console.log(`Client disconnected: ${clientIP}`);
-    clients.delete(ws);
+    logger.info(`Client disconnected: ${clientIP}`);
+    clearInterval(ws.iceRefreshTimer);
+    if (shuttingDown) return;
+    detachClient(ws);
   });
 
   ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-    clients.delete(ws);
+    // 'close' always follows
+    logger.error('WebSocket error:', error);
   });
 });
 
-const PORT = process.env.PORT || 3001;
 const LOCAL_IP = getLocalIP();
+const SCHEME = TLS_ENABLED ? 'https' : 'http';
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n🚀 Signaling server running:`);
-  console.log(`   Local: http://localhost:${PORT}`);
-  console.log(`   Network: http://${LOCAL_IP}:${PORT}\n`);
-});
+async function start() {
+  let tls = null;
+  if (TLS_ENABLED) {
+    try {
+      tls = await loadTlsCredentials(config.tls, config.dataDir);
+    } catch (error) {
+      logger.error(`Could not load the TLS certificate: ${error.message}`);
+      process.exit(1);
+    }
+    server.setSecureContext({ cert: tls.cert, key: tls.key });
+  }
+
+  server.listen(config.port, config.host, () => {
+    logger.info(`\n🚀 Signaling server running:`);
+    logger.info(`   Local: ${SCHEME}://localhost:${config.port}`);
+    logger.info(`   Network: ${SCHEME}://${LOCAL_IP}:${config.port}`);
+    if (tls && tls.selfSigned) {
+      logger.info('   Certificate: self-signed; accept the browser warning once per device');
+      logger.info(`   SHA-256 fingerprint: ${tls.fingerprint}`);
+    }
+    logger.info(`   Client: ${CLIENT_BUILT ? config.clientDir : 'not built (npm run build)'}`);
+    auth.logInviteTokens();
+    if (config.admins.length > 0) logger.info(`   Admins: ${config.admins.join(', ')}`);
+    logger.info(`   Chat history: ${chatStore.backend}`);
+    if (turnServer) logger.info(`   STUN/TURN: udp://${LOCAL_TURN_RELAY_IP}:${LOCAL_TURN_PORT}`);
+    logger.info('');
+  });
+}
+
+start();
+
+// Graceful shutdown: stop accepting connections, tell everyone the server is
+// going away, then give sockets config.shutdownDrainMs to close before exiting
+const SHUTDOWN_DRAIN_MS = config.shutdownDrainMs;
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`\n${signal} received, draining ${wss.clients.size} connection(s)...`);
+  clearInterval(heartbeatTimer);
+  admin.close();
+  server.close();
+  if (turnServer) turnServer.close();
+
+  wss.clients.forEach((ws) => {
+    sendTo(ws, { type: 'server-shutdown', message: 'The server is restarting' });
+    ws.close(1001, 'Server shutting down');
+  });
+
+  const exit = () => {
+    logger.info('Shutdown complete');
+    process.exit(0);
+  };
+  const forceTimer = setTimeout(() => {
+    wss.clients.forEach((ws) => ws.terminate());
+    exit();
+  }, SHUTDOWN_DRAIN_MS);
+
+  const waitForDrain = () => {
+    if (wss.clients.size === 0) {
+      clearTimeout(forceTimer);
+      exit();
+    } else {
+      setTimeout(waitForDrain, 100);
+    }
+  };
+  waitForDrain();
+}
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,55 @@
+const util = require('util');
+
+// Leveled console logging for the server. The level is set once at start
+// from the config; messages below it are dropped.
+//
+// Warnings and errors are also kept, the latest RECENT_PROBLEMS of them, for
+// the admin dashboard, whatever the level.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const RECENT_PROBLEMS = 100;
+
+let threshold = LOG_LEVELS.indexOf('info');
+const problems = [];
+const problemListeners = new Set();
+
+function setLogLevel(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  if (index !== -1) threshold = index;
+}
+
+const enabled = (level) => LOG_LEVELS.indexOf(level) <= threshold;
+
+function recordProblem(level, args) {
+  const entry = { level, message: util.format(...args), time: Date.now() };
+  problems.push(entry);
+  if (problems.length > RECENT_PROBLEMS) problems.shift();
+  problemListeners.forEach((listener) => listener(entry));
+}
+
+const logger = {
+  error: (...args) => {
+    recordProblem('error', args);
+    return enabled('error') && console.error(...args);
+  },
+  warn: (...args) => {
+    recordProblem('warn', args);
+    return enabled('warn') && console.warn(...args);
+  },
+  info: (...args) => enabled('info') && console.log(...args),
+  debug: (...args) => enabled('debug') && console.log(...args)
+};
+
+// Oldest first
+function getRecentProblems() {
+  return problems.slice();
+}
+
+// listener({ level, message, time }) for every warning or error from now on;
+// returns a function that unsubscribes
+function onProblem(listener) {
+  problemListeners.add(listener);
+  return () => problemListeners.delete(listener);
+}
+
+module.exports = { logger, setLogLevel, getRecentProblems, onProblem, LOG_LEVELS };
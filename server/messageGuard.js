@@ -0,0 +1,282 @@
+// Checks every incoming signaling message before it is handled: size, JSON,
+// the declared schema for its type, and a per-connection rate limit. Anything
+// turned away is counted so operators can see misbehaving clients.
+//
+// Rejections come back as { code, field, message }:
+//   too-large     - the raw message is over the size limit for its kind
+//   invalid-json  - not a JSON object
+//   unknown-type  - no schema for `type`
+//   invalid-field - `field` is missing or has the wrong type or length
+//   rate-limited  - the connection sent too much of this kind too quickly
+
+const CHAT_MAX_LENGTH = 4000;
+// End-to-end encrypted chat arrives as { v, keyId, iv, data }; base64 of the
+// longest message (up to 3 bytes a character) plus the AES-GCM tag
+const ENVELOPE_MAX_LENGTH = Math.ceil(((CHAT_MAX_LENGTH * 3 + 16) / 3) * 4);
+
+// Chat is limited separately from call signaling, which is bursty (ICE
+// candidates arrive in batches) but must never be starved by chat traffic
+const CHAT_TYPES = new Set([
+  'chat-message', 'request-chat-history', 'chat-typing', 'chat-delivered', 'chat-read', 'chat-edit', 'chat-delete',
+  'chat-react'
+]);
+
+// Field specs: `type` is string, number, boolean or object. Fields are
+// optional unless `required`, and null counts as absent. For objects,
+// `fields` lists the keys that are checked; others are passed through.
+const required = (spec) => ({ ...spec, required: true });
+const id = { type: 'string', maxLength: 128 };
+const sessionDescription = {
+  type: 'object',
+  fields: {
+    type: required({ type: 'string', maxLength: 16 }),
+    sdp: required({ type: 'string' })
+  }
+};
+const iceCandidate = {
+  type: 'object',
+  fields: {
+    candidate: { type: 'string', maxLength: 1024 },
+    sdpMid: { type: 'string', maxLength: 64 },
+    sdpMLineIndex: { type: 'number' },
+    usernameFragment: { type: 'string', maxLength: 256 }
+  }
+};
+const callId = { callId: required(id) };
+const messageId = { type: 'number' };
+const chatText = { type: 'string', maxLength: CHAT_MAX_LENGTH };
+// A public ECDH identity key as a JWK
+const publicKey = {
+  type: 'object',
+  fields: {
+    kty: required({ type: 'string', maxLength: 8 }),
+    crv: required({ type: 'string', maxLength: 16 }),
+    x: required({ type: 'string', maxLength: 128 }),
+    y: required({ type: 'string', maxLength: 128 })
+  }
+};
+const envelope = {
+  type: 'object',
+  fields: {
+    v: required({ type: 'number' }),
+    keyId: required({ type: 'string', maxLength: 64 }),
+    iv: required({ type: 'string', maxLength: 64 }),
+    data: required({ type: 'string', maxLength: ENVELOPE_MAX_LENGTH }),
+    // Under a first-contact key, the sender's identity key and device
+    senderKey: publicKey,
+    senderDevice: id
+  }
+};
+
+const SCHEMAS = {
+  register: {
+    token: required({ type: 'string', maxLength: 4096 }),
+    name: { type: 'string', maxLength: 200 },
+    localIP: { type: 'string', maxLength: 64 },
+    resumeSessionId: id,
+    // Published so others can encrypt chat to this browser
+    identityKey: publicKey,
+    deviceId: id
+  },
+  'set-status': { status: required({ type: 'string', maxLength: 32 }) },
+  'call-invite': { targetId: required(id) },
+  'call-accept': callId,
+  'call-decline': callId,
+  'call-cancel': callId,
+  busy: callId,
+  hangup: { callId: id, reason: { type: 'string', maxLength: 32 } },
+  'join-room': {
+    room: required({ type: 'string', maxLength: 100 }),
+    mode: { type: 'string', maxLength: 16 }
+  },
+  'leave-room': {},
+  'sfu-answer': { answer: required(sessionDescription) },
+  'sfu-ice-candidate': { candidate: required(iceCandidate) },
+  offer: { targetId: required(id), offer: required(sessionDescription), iceRestart: { type: 'boolean' } },
+  answer: { targetId: required(id), answer: required(sessionDescription) },
+  'ice-candidate': { targetId: required(id), candidate: required(iceCandidate) },
+  'media-state': { targetId: id, state: required({ type: 'object' }) },
+  'chat-message': {
+    targetClientId: required(id),
+    // One of text (unencrypted) or envelope
+    text: chatText,
+    envelope,
+    timestamp: { type: 'number' },
+    clientMessageId: id,
+    // Also sent over the peers' DataChannel; relayed only if the recipient
+    // does not acknowledge it
+    direct: { type: 'boolean' }
+  },
+  'request-chat-history': {
+    peerClientId: required(id),
+    before: { type: 'number' },
+    after: { type: 'number' },
+    limit: { type: 'number' }
+  },
+  'chat-typing': { targetClientId: required(id), typing: required({ type: 'boolean' }) },
+  'chat-delivered': { peerClientId: required(id), upToId: required(messageId) },
+  'chat-read': { peerClientId: required(id), upToId: required(messageId) },
+  'chat-edit': { peerClientId: required(id), id: required(messageId), text: chatText, envelope },
+  'chat-delete': { peerClientId: required(id), id: required(messageId) },
+  'chat-react': { peerClientId: required(id), id: required(messageId), emoji: required({ type: 'string', maxLength: 16 }) },
+  disconnect: {}
+};
+
+function checkValue(value, spec, field) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return { field, message: `${field} must be a string` };
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return { field, message: `${field} is longer than ${spec.maxLength} characters` };
+      }
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { field, message: `${field} must be a number` };
+      }
+      return null;
+    case 'boolean':
+      if (typeof value !== 'boolean') return { field, message: `${field} must be true or false` };
+      return null;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { field, message: `${field} must be an object` };
+      }
+      return spec.fields ? checkFields(value, spec.fields, `${field}.`) : null;
+    default:
+      return null;
+  }
+}
+
+function checkFields(value, fields, prefix = '') {
+  for (const [key, spec] of Object.entries(fields)) {
+    const field = `${prefix}${key}`;
+    const fieldValue = value[key];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (spec.required) return { field, message: `${field} is required` };
+      continue;
+    }
+    const problem = checkValue(fieldValue, spec, field);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Validate a parsed message against the schema for its type
+function validateMessage(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { code: 'invalid-json', field: null, message: 'Messages must be JSON objects' };
+  }
+  if (typeof data.type !== 'string') {
+    return { code: 'invalid-field', field: 'type', message: 'type is required' };
+  }
+  const schema = SCHEMAS[data.type];
+  if (!schema) {
+    return { code: 'unknown-type', field: 'type', message: `Unknown message type "${data.type}"` };
+  }
+  const problem = checkFields(data, schema);
+  return problem ? { code: 'invalid-field', ...problem } : null;
+}
+
+// Token bucket: `perSecond` sustained, up to `burst` at once
+function createBucket({ perSecond, burst }) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * perSecond);
+      refilledAt = now;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
+
+function createMessageGuard({
+  chatMaxBytes = 32 * 1024,
+  signalMaxBytes = 64 * 1024,
+  chatRate = { perSecond: 5, burst: 20 },
+  signalRate = { perSecond: 50, burst: 200 }
+} = {}) {
+  const metrics = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByCode: {},
+    rejectedByType: {}
+  };
+
+  const reject = (type, error) => {
+    metrics.rejected += 1;
+    metrics.rejectedByCode[error.code] = (metrics.rejectedByCode[error.code] || 0) + 1;
+    const key = typeof type === 'string' && SCHEMAS[type] ? type : '(unknown)';
+    metrics.rejectedByType[key] = (metrics.rejectedByType[key] || 0) + 1;
+    return { error };
+  };
+
+  // One per connection: rate limit state for chat and signaling
+  const createConnectionState = () => ({
+    chat: createBucket(chatRate),
+    signaling: createBucket(signalRate),
+    // Only the first message dropped in a flood gets an error reply
+    throttled: { chat: false, signaling: false }
+  });
+
+  // Returns { data } for a message to handle, or { error, silent } for one to
+  // drop. `silent` is set for repeated rate-limit hits that need no reply.
+  const check = (raw, connection) => {
+    const size = Buffer.byteLength(raw);
+    if (size > signalMaxBytes) {
+      return reject(null, {
+        code: 'too-large',
+        field: null,
+        message: `Message is ${size} bytes; the limit is ${signalMaxBytes}`
+      });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      return reject(null, { code: 'invalid-json', field: null, message: 'Message is not valid JSON' });
+    }
+    const problem = validateMessage(data);
+    if (problem) return reject(data && data.type, problem);
+
+    const kind = CHAT_TYPES.has(data.type) ? 'chat' : 'signaling';
+    if (kind === 'chat' && size > chatMaxBytes) {
+      return reject(data.type, {
+        code: 'too-large',
+        field: null,
+        message: `Chat message is ${size} bytes; the limit is ${chatMaxBytes}`
+      });
+    }
+    if (!connection[kind].take()) {
+      const silent = connection.throttled[kind];
+      connection.throttled[kind] = true;
+      return {
+        ...reject(data.type, {
+          code: 'rate-limited',
+          field: null,
+          message: `Too many ${kind} messages; slow down`
+        }),
+        silent
+      };
+    }
+    connection.throttled[kind] = false;
+    metrics.accepted += 1;
+    return { data };
+  };
+
+  const getMetrics = () => ({
+    accepted: metrics.accepted,
+    rejected: metrics.rejected,
+    rejectedByCode: { ...metrics.rejectedByCode },
+    rejectedByType: { ...metrics.rejectedByType }
+  });
+
+  return { createConnectionState, check, getMetrics };
+}
+
+module.exports = { createMessageGuard };
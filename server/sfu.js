@@ -0,0 +1,254 @@
+const {
+  RTCPeerConnection,
+  RTCRtpCodecParameters,
+  MediaStreamTrack
+} = require('werift');
+const { logger } = require('./logger');
+
+// Selective forwarding for rooms in 'sfu' mode. Every member keeps a single
+// peer connection to this server: it publishes its camera and mic once and
+// receives everyone else's media back over the same connection. The server
+// always makes the offers so payload types stay identical across members and
+// RTP can be forwarded without rewriting.
+
+const PEER_CONFIG = {
+  codecs: {
+    audio: [
+      new RTCRtpCodecParameters({
+        mimeType: 'audio/opus',
+        clockRate: 48000,
+        channels: 2
+      })
+    ],
+    video: [
+      new RTCRtpCodecParameters({
+        mimeType: 'video/VP8',
+        clockRate: 90000,
+        rtcpFeedback: [
+          { type: 'nack' },
+          { type: 'nack', parameter: 'pli' },
+          { type: 'goog-remb' }
+        ]
+      })
+    ]
+  },
+  iceUseIpv6: false
+};
+
+// Ask publishers for a fresh keyframe this often so late joiners and lossy
+// links recover without waiting for the encoder's own interval
+const KEYFRAME_INTERVAL_MS = 3000;
+
+// Key: member socket, value: SFU session for that member
+const sessions = new Map();
+
+function roomPeers(session) {
+  return Array.from(sessions.values()).filter(
+    (other) => other !== session && other.room === session.room
+  );
+}
+
+function requestKeyframe(published) {
+  if (published.kind !== 'video' || !published.track.ssrc) return;
+  published.transceiver.receiver.sendRtcpPLI(published.track.ssrc).catch(() => {});
+}
+
+// Offer the member's current set of m-lines; only one negotiation runs at a time
+async function negotiate(session) {
+  if (session.closed) return;
+  if (session.negotiating) {
+    session.renegotiate = true;
+    return;
+  }
+  session.negotiating = true;
+  try {
+    const offer = await session.pc.createOffer();
+    await session.pc.setLocalDescription(offer);
+    if (session.closed) return;
+
+    // Tell the client which m-lines carry whose media
+    const streams = {};
+    session.forwards.forEach((forward) => {
+      if (forward.transceiver.mid) {
+        streams[forward.transceiver.mid] = { ...forward.publisher, kind: forward.kind };
+      }
+    });
+    session.lastOffer = {
+      type: 'sfu-offer',
+      room: session.room,
+      offer: {
+        type: 'offer',
+        sdp: session.pc.localDescription.sdp
+      },
+      publishMids: {
+        audio: session.publish.audio.mid,
+        video: session.publish.video.mid
+      },
+      streams
+    };
+    session.send(session.lastOffer);
+  } catch (error) {
+    session.negotiating = false;
+    logger.error(`SFU negotiation failed for ${session.member.name} (${session.member.id}):`, error);
+  }
+}
+
+// Start sending one of publisher's tracks to subscriber
+function addForward(subscriber, publisher, published) {
+  const key = `${publisher.member.id}:${published.kind}`;
+  if (subscriber.forwards.has(key)) return;
+  const track = new MediaStreamTrack({ kind: published.kind });
+  const transceiver = subscriber.pc.addTransceiver(track, { direction: 'sendonly' });
+  const subscription = published.track.onReceiveRtp.subscribe((rtp) => {
+    track.writeRtp(rtp);
+  });
+  subscriber.forwards.set(key, {
+    transceiver,
+    subscription,
+    kind: published.kind,
+    publisher: publisher.member
+  });
+  requestKeyframe(published);
+}
+
+function removeForwardsFrom(subscriber, publisher) {
+  let removed = false;
+  subscriber.forwards.forEach((forward, key) => {
+    if (forward.publisher.id !== publisher.member.id) return;
+    forward.subscription.unSubscribe();
+    try {
+      subscriber.pc.removeTrack(forward.transceiver.sender);
+    } catch (e) {}
+    subscriber.forwards.delete(key);
+    removed = true;
+  });
+  return removed;
+}
+
+function onPublished(session, track, transceiver) {
+  if (session.closed) return;
+  const published = { kind: track.kind, track, transceiver };
+  session.published.push(published);
+  logger.info(`SFU: ${session.member.name} (${session.member.id}) publishing ${track.kind} in "${session.room}"`);
+  roomPeers(session).forEach((other) => {
+    addForward(other, session, published);
+    negotiate(other);
+  });
+}
+
+// Open the member's connection to the SFU and subscribe them to everyone
+// already publishing in the room. `send` delivers a signaling message to them.
+function joinSfu(ws, { room, member, send }) {
+  leaveSfu(ws);
+
+  const pc = new RTCPeerConnection(PEER_CONFIG);
+  const session = {
+    pc,
+    room,
+    member,
+    send,
+    publish: null,
+    published: [],
+    forwards: new Map(),
+    negotiating: false,
+    renegotiate: false,
+    closed: false,
+    keyframeTimer: null,
+    lastOffer: null
+  };
+  sessions.set(ws, session);
+
+  // The member's own camera and mic arrive on these two m-lines
+  session.publish = {
+    audio: pc.addTransceiver('audio', { direction: 'recvonly' }),
+    video: pc.addTransceiver('video', { direction: 'recvonly' })
+  };
+  Object.values(session.publish).forEach((transceiver) => {
+    // werift recycles inactive m-lines for new senders; a member without a
+    // mic or camera must not have its publish slot taken over by a forward
+    transceiver.usedForSender = true;
+    transceiver.onTrack.subscribe((track) => onPublished(session, track, transceiver));
+  });
+
+  roomPeers(session).forEach((other) => {
+    other.published.forEach((published) => addForward(session, other, published));
+  });
+
+  pc.connectionStateChange.subscribe((state) => {
+    logger.debug(`SFU connection with ${member.name} (${member.id}): ${state}`);
+    if (state === 'connected') {
+      // Make sure the newcomer gets a picture straight away
+      roomPeers(session).forEach((other) => other.published.forEach(requestKeyframe));
+    }
+  });
+
+  session.keyframeTimer = setInterval(() => {
+    session.published.forEach(requestKeyframe);
+  }, KEYFRAME_INTERVAL_MS);
+
+  negotiate(session);
+}
+
+async function handleSfuAnswer(ws, answer) {
+  const session = sessions.get(ws);
+  if (!session || !session.negotiating || !answer || typeof answer.sdp !== 'string') return;
+  try {
+    await session.pc.setRemoteDescription({ type: 'answer', sdp: answer.sdp });
+  } catch (error) {
+    logger.error(`SFU could not apply answer from ${session.member.name} (${session.member.id}):`, error);
+  }
+  session.negotiating = false;
+  if (session.renegotiate) {
+    session.renegotiate = false;
+    negotiate(session);
+  }
+}
+
+async function handleSfuCandidate(ws, candidate) {
+  const session = sessions.get(ws);
+  if (!session || !candidate) return;
+  try {
+    await session.pc.addIceCandidate(candidate);
+  } catch (e) {
+    // Candidates for a closed or replaced connection are harmless
+  }
+}
+
+// The member's signaling socket was replaced after a reconnect; their media
+// connection is untouched, only signaling moves to the new socket
+function moveSfu(oldWs, newWs, send) {
+  const session = sessions.get(oldWs);
+  if (!session) return;
+  sessions.delete(oldWs);
+  session.send = send;
+  sessions.set(newWs, session);
+  // An offer sent while the socket was down never arrived
+  if (session.negotiating && session.lastOffer) send(session.lastOffer);
+}
+
+function leaveSfu(ws) {
+  const session = sessions.get(ws);
+  if (!session) return;
+  sessions.delete(ws);
+  session.closed = true;
+  clearInterval(session.keyframeTimer);
+  session.forwards.forEach((forward) => forward.subscription.unSubscribe());
+  session.forwards.clear();
+
+  // Stop forwarding this member's media to everyone left in the room
+  Array.from(sessions.values())
+    .filter((other) => other.room === session.room)
+    .forEach((other) => {
+      if (removeForwardsFrom(other, session)) negotiate(other);
+    });
+
+  session.pc.close().catch(() => {});
+}
+
+module.exports = {
+  joinSfu,
+  leaveSfu,
+  moveSfu,
+  handleSfuAnswer,
+  handleSfuCandidate
+};
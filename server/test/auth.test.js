@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const auth = require('../auth');
+const { setLogLevel } = require('../logger');
+
+setLogLevel('error');
+
+const INVITE = 'invite-123';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+auth.configure({ dataDir, secret: 'test-secret', inviteTokens: [INVITE] });
+
+// The routes on a real server; each test signs in from its own address
+const app = express();
+app.set('trust proxy', true);
+app.use(express.json());
+auth.registerRoutes(app);
+let server;
+let baseUrl;
+
+test.before(() => new Promise((resolve) => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+let addresses = 0;
+const newAddress = () => `10.0.0.${(addresses += 1)}`;
+
+async function post(route, body, address = newAddress()) {
+  const response = await fetch(`${baseUrl}/auth/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': address },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const account = (username, extra = {}) => ({ username, password: 'password1', inviteToken: INVITE, ...extra });
+
+test('registering needs a valid invite', async () => {
+  assert.equal((await post('register', account('nobody', { inviteToken: 'wrong' }))).status, 403);
+  assert.equal((await post('register', account('nobody', { inviteToken: undefined }))).status, 403);
+});
+
+test('usernames and passwords are checked', async () => {
+  assert.equal((await post('register', account('x'))).status, 400);
+  assert.equal((await post('register', account('has space'))).status, 400);
+  assert.equal((await post('register', account('shortpass', { password: 'short' }))).status, 400);
+});
+
+test('a new account gets a session token', async () => {
+  const { status, body } = await post('register', account('Alice', { displayName: ' Alice A. ' }));
+  assert.equal(status, 200);
+  assert.equal(body.user.username, 'alice');
+  assert.equal(body.user.displayName, 'Alice A.');
+  assert.equal(body.user.passwordHash, undefined);
+  const claims = auth.verifyToken(body.token);
+  assert.equal(claims.sub, body.user.id);
+  assert.deepEqual(auth.getUser(body.user.id), body.user);
+});
+
+test('a taken username is refused, whatever its case', async () => {
+  await post('register', account('bob'));
+  const { status, body } = await post('register', account('BOB'));
+  assert.equal(status, 409);
+  assert.match(body.error, /taken/);
+});
+
+test('signing in checks the password', async () => {
+  await post('register', account('carol'));
+  assert.equal((await post('login', { username: 'carol', password: 'password1' })).status, 200);
+  assert.equal((await post('login', { username: 'carol', password: 'password2' })).status, 401);
+  assert.equal((await post('login', { username: 'nobody-here', password: 'password1' })).status, 401);
+});
+
+test('accounts are kept in the data directory', async () => {
+  const { body } = await post('register', account('dave'));
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8')).users;
+  const dave = saved.find((u) => u.id === body.user.id);
+  assert.ok(dave.passwordHash && dave.salt);
+  assert.notEqual(dave.passwordHash, 'password1');
+});
+
+test('forged, tampered and malformed tokens are refused', async () => {
+  const { body } = await post('register', account('erin'));
+  const [payload, signature] = body.token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const otherPayload = Buffer.from(JSON.stringify({ ...claims, sub: 'user-someone-else' })).toString('base64url');
+
+  assert.equal(auth.verifyToken(`${otherPayload}.${signature}`), null);
+  assert.equal(auth.verifyToken(`${payload}.${signature.slice(0, -2)}xx`), null);
+  assert.equal(auth.verifyToken(payload), null);
+  assert.equal(auth.verifyToken('not a token'), null);
+  assert.equal(auth.verifyToken(null), null);
+});
+
+test('tokens expire', async (t) => {
+  const { body } = await post('register', account('frank'));
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 11 * 60 * 60 * 1000);
+  assert.ok(auth.verifyToken(body.token));
+  Date.now.mock.mockImplementation(() => now + 13 * 60 * 60 * 1000);
+  assert.equal(auth.verifyToken(body.token), null);
+});
+
+test('each device keeps its own published identity key', async () => {
+  const { body } = await post('register', account('grace'));
+  const id = body.user.id;
+  const laptop = { kty: 'EC', crv: 'P-256', x: 'x1', y: 'y1' };
+  const phone = { kty: 'EC', crv: 'P-256', x: 'x2', y: 'y2' };
+  assert.deepEqual(auth.getIdentityKeys(id), []);
+
+  auth.setIdentityKey(id, 'laptop', { ...laptop, d: 'private', ext: true });
+  auth.setIdentityKey(id, 'phone', phone);
+  assert.deepEqual(auth.getIdentityKeys(id), [
+    { deviceId: 'phone', identityKey: phone },
+    { deviceId: 'laptop', identityKey: laptop }
+  ]);
+
+  // A device publishing again replaces only its own key
+  const newLaptop = { ...laptop, x: 'x3' };
+  auth.setIdentityKey(id, 'laptop', newLaptop);
+  assert.deepEqual(auth.getIdentityKeys(id), [
+    { deviceId: 'laptop', identityKey: newLaptop },
+    { deviceId: 'phone', identityKey: phone }
+  ]);
+
+  for (let i = 0; i < 12; i += 1) auth.setIdentityKey(id, `device-${i}`, phone);
+  assert.equal(auth.getIdentityKeys(id).length, 10);
+  assert.equal(auth.getIdentityKeys(id)[0].deviceId, 'device-11');
+});
+
+test('a revoked token stays refused, also after a restart', async (t) => {
+  const { body } = await post('register', account('heidi'));
+  const { body: other } = await post('login', { username: 'heidi', password: 'password1' });
+  assert.equal(auth.revokeToken(body.token), true);
+  assert.equal(auth.verifyToken(body.token), null);
+  assert.equal(auth.revokeToken(body.token), false);
+  // Only that token; the account can sign in again
+  assert.ok(auth.verifyToken(other.token));
+  assert.equal((await post('login', { username: 'heidi', password: 'password1' })).status, 200);
+
+  auth.configure({ dataDir, secret: 'test-secret', inviteTokens: [INVITE] });
+  assert.equal(auth.verifyToken(body.token), null);
+
+  // Forgotten once it would have expired anyway
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 13 * 60 * 60 * 1000);
+  auth.configure({ dataDir, secret: 'test-secret', inviteTokens: [INVITE] });
+  const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'revoked-tokens.json'), 'utf8')).tokens;
+  assert.equal(Object.keys(saved).length, 1);
+  const { body: later } = await post('login', { username: 'heidi', password: 'password1' });
+  auth.revokeToken(later.token);
+  const pruned = JSON.parse(fs.readFileSync(path.join(dataDir, 'revoked-tokens.json'), 'utf8')).tokens;
+  assert.deepEqual(Object.keys(pruned), [later.token.split('.')[1]]);
+});
+
+test('an account is locked after repeated failed sign-ins', async () => {
+  await post('register', account('grace'));
+  for (let i = 0; i < 10; i += 1) {
+    assert.equal((await post('login', { username: 'grace', password: 'wrong-password' })).status, 401);
+  }
+  // Even the right password, from anywhere
+  const { status } = await post('login', { username: 'grace', password: 'password1' });
+  assert.equal(status, 429);
+});
+
+test('an address is limited however it spreads its attempts', async () => {
+  const address = newAddress();
+  for (let i = 0; i < 30; i += 1) {
+    assert.equal((await post('login', { username: `user${i}`, password: 'password1' }, address)).status, 401);
+  }
+  assert.equal((await post('login', { username: 'carol', password: 'password1' }, address)).status, 429);
+  assert.equal((await post('login', { username: 'carol', password: 'password1' })).status, 200);
+});
+
+test('the session token tells the connection who it is', () => {
+  const req = { url: '/?token=abc', headers: {} };
+  assert.equal(auth.getUpgradeToken(req), 'abc');
+  assert.equal(auth.getRequestToken({ url: '/', headers: { authorization: 'Bearer xyz' } }), 'xyz');
+  assert.equal(auth.getRequestToken(req), 'abc');
+});
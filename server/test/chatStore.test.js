@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createChatStore } = require('../chatStore');
+const { setLogLevel } = require('../logger');
+
+// A torn log line is expected in one test; keep its warning out of the output
+setLogLevel('error');
+
+const PAIR = 'alice|bob';
+const LIMITS = { pageSize: 3, maxPageSize: 5 };
+
+const tempDirs = [];
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-store-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'chat-log.jsonl');
+}
+
+test.after(() => {
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// Each backend gets a fresh store; `reopen` gives a new store over the same data
+const BACKENDS = {
+  memory: () => {
+    const store = createChatStore({ backend: 'memory', ...LIMITS });
+    return { store, reopen: null };
+  },
+  jsonl: () => {
+    const file = tempFile();
+    const open = () => createChatStore({ backend: 'jsonl', file, ...LIMITS });
+    return { store: open(), reopen: open, file };
+  }
+};
+
+function fill(store, count, pair = PAIR) {
+  const stored = [];
+  for (let i = 1; i <= count; i += 1) {
+    stored.push(store.append(pair, { fromClientId: i % 2 ? 'alice' : 'bob', text: `m${i}`, timestamp: i }));
+  }
+  return stored;
+}
+
+const texts = (page) => page.messages.map((m) => m.text);
+
+Object.entries(BACKENDS).forEach(([backend, create]) => {
+  test(`${backend}: ids grow across pairs`, () => {
+    const { store } = create();
+    const a = store.append(PAIR, { text: 'one' });
+    const b = store.append('alice|carol', { text: 'two' });
+    assert.equal(a.id, 1);
+    assert.equal(b.id, 2);
+  });
+
+  test(`${backend}: the latest page comes without a cursor`, () => {
+    const { store } = create();
+    fill(store, 7);
+    const page = store.page(PAIR, {});
+    assert.deepEqual(texts(page), ['m5', 'm6', 'm7']);
+    assert.equal(page.hasMoreBefore, true);
+    assert.equal(page.hasMoreAfter, false);
+  });
+
+  test(`${backend}: before pages backwards`, () => {
+    const { store } = create();
+    fill(store, 7);
+    const page = store.page(PAIR, { before: 5 });
+    assert.deepEqual(texts(page), ['m2', 'm3', 'm4']);
+    assert.equal(page.hasMoreBefore, true);
+    assert.equal(page.hasMoreAfter, true);
+    const first = store.page(PAIR, { before: 2 });
+    assert.deepEqual(texts(first), ['m1']);
+    assert.equal(first.hasMoreBefore, false);
+  });
+
+  test(`${backend}: after pages forwards`, () => {
+    const { store } = create();
+    fill(store, 7);
+    const page = store.page(PAIR, { after: 2 });
+    assert.deepEqual(texts(page), ['m3', 'm4', 'm5']);
+    assert.equal(page.hasMoreBefore, true);
+    assert.equal(page.hasMoreAfter, true);
+    const caughtUp = store.page(PAIR, { after: 7 });
+    assert.deepEqual(caughtUp.messages, []);
+    assert.equal(caughtUp.hasMoreBefore, true);
+    assert.equal(caughtUp.hasMoreAfter, false);
+  });
+
+  test(`${backend}: limits are clamped`, () => {
+    const { store } = create();
+    fill(store, 8);
+    assert.equal(store.page(PAIR, { limit: 2 }).messages.length, 2);
+    assert.equal(store.page(PAIR, { limit: 100 }).messages.length, LIMITS.maxPageSize);
+    assert.equal(store.page(PAIR, { limit: 0 }).messages.length, LIMITS.pageSize);
+    assert.equal(store.page(PAIR, { limit: -4 }).messages.length, LIMITS.pageSize);
+    assert.equal(store.page(PAIR, { limit: 'lots' }).messages.length, LIMITS.pageSize);
+  });
+
+  test(`${backend}: bad cursors fall back to the latest page`, () => {
+    const { store } = create();
+    fill(store, 4);
+    assert.deepEqual(texts(store.page(PAIR, { before: 'x' })), ['m2', 'm3', 'm4']);
+    assert.deepEqual(texts(store.page(PAIR, { after: -1 })), ['m2', 'm3', 'm4']);
+  });
+
+  test(`${backend}: an unknown pair is an empty page`, () => {
+    const { store } = create();
+    const page = store.page('nobody|else', {});
+    assert.deepEqual(page, { messages: [], hasMoreBefore: false, hasMoreAfter: false });
+  });
+
+  test(`${backend}: receipt watermarks only move forward`, () => {
+    const { store } = create();
+    fill(store, 4);
+    assert.deepEqual(store.advanceReceipt(PAIR, 'bob', 'delivered', 2), { delivered: 2, read: 0 });
+    assert.equal(store.advanceReceipt(PAIR, 'bob', 'delivered', 1), null);
+    // Reading means it arrived too
+    assert.deepEqual(store.advanceReceipt(PAIR, 'bob', 'read', 3), { delivered: 3, read: 3 });
+    assert.equal(store.advanceReceipt(PAIR, 'bob', 'read', 3), null);
+    assert.deepEqual(store.getReceipts(PAIR), { bob: { delivered: 3, read: 3 } });
+  });
+
+  test(`${backend}: conversations count what is unread and undelivered`, () => {
+    const { store } = create();
+    fill(store, 4); // alice sends m1 and m3, bob m2 and m4
+    store.advanceReceipt(PAIR, 'alice', 'delivered', 4);
+    store.advanceReceipt(PAIR, 'alice', 'read', 2);
+    const [conversation] = store.listConversations('alice');
+    assert.equal(conversation.peerClientId, 'bob');
+    assert.equal(conversation.lastMessage.text, 'm4');
+    assert.equal(conversation.unread, 1);
+    assert.equal(conversation.undelivered, 0);
+    assert.deepEqual(store.listConversations('carol'), []);
+  });
+
+  test(`${backend}: updates rewrite a message in place`, () => {
+    const { store } = create();
+    const [first] = fill(store, 2);
+    const updated = store.update(PAIR, first.id, { text: 'edited', editedAt: 10 });
+    assert.equal(updated.text, 'edited');
+    assert.equal(updated.id, first.id);
+    assert.equal(store.get(PAIR, first.id).text, 'edited');
+    assert.equal(store.update(PAIR, 99, { text: 'nope' }), null);
+  });
+
+  test(`${backend}: clear removes a pair's messages and receipts`, () => {
+    const { store } = create();
+    fill(store, 3);
+    fill(store, 2, 'alice|carol');
+    store.advanceReceipt(PAIR, 'bob', 'read', 3);
+    assert.equal(store.clear(PAIR), 3);
+    assert.equal(store.clear(PAIR), 0);
+    assert.deepEqual(store.page(PAIR, {}).messages, []);
+    assert.deepEqual(store.getReceipts(PAIR), {});
+    assert.deepEqual(store.listPairs().map((p) => [p.pairKey, p.count]), [['alice|carol', 2]]);
+    // Ids of the cleared messages are not handed out again
+    assert.equal(store.append(PAIR, { text: 'again' }).id, 6);
+  });
+});
+
+test('jsonl: the log is replayed after a restart', () => {
+  const { store, reopen } = BACKENDS.jsonl();
+  const [first] = fill(store, 4);
+  store.update(PAIR, first.id, { text: 'edited' });
+  store.advanceReceipt(PAIR, 'bob', 'read', 2);
+
+  const replayed = reopen();
+  assert.deepEqual(texts(replayed.page(PAIR, { limit: 5 })), ['edited', 'm2', 'm3', 'm4']);
+  assert.deepEqual(replayed.getReceipts(PAIR), { bob: { delivered: 2, read: 2 } });
+  assert.equal(replayed.append(PAIR, { text: 'm5' }).id, 5);
+});
+
+test('jsonl: a torn last line is skipped', () => {
+  const { store, reopen, file } = BACKENDS.jsonl();
+  fill(store, 2);
+  fs.appendFileSync(file, '{"pair":"alice|bob","mess');
+  const replayed = reopen();
+  assert.deepEqual(texts(replayed.page(PAIR, {})), ['m1', 'm2']);
+});
+
+test('jsonl: a clear survives a restart and removes the messages from disk', () => {
+  const { store, reopen, file } = BACKENDS.jsonl();
+  fill(store, 3);
+  fill(store, 1, 'alice|carol');
+  store.clear(PAIR);
+  assert.equal(fs.readFileSync(file, 'utf8').includes(`"pair":"${PAIR}"`), false);
+
+  const replayed = reopen();
+  assert.deepEqual(replayed.page(PAIR, {}).messages, []);
+  assert.deepEqual(texts(replayed.page('alice|carol', {})), ['m1']);
+  assert.equal(replayed.append(PAIR, { text: 'after' }).id, 5);
+});
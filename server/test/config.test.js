@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+let fileCount = 0;
+function configFile(contents) {
+  fileCount += 1;
+  const file = path.join(tempDir, `config-${fileCount}.json`);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+// Always with a config file, so a server/config.json on the machine can't leak in
+const load = (file, env = {}, argv = []) => loadConfig(['--config', file, ...argv], env);
+const empty = configFile({});
+
+test('defaults apply when nothing is set', () => {
+  const config = load(empty);
+  assert.equal(config.port, 3001);
+  assert.equal(config.tls.enabled, true);
+  assert.deepEqual(config.allowedOrigins, ['*']);
+  assert.equal(config.history.store, 'jsonl');
+  assert.equal(config.ice.stunUrls, null);
+  assert.equal(config.dataDir, path.join(__dirname, '..', 'data'));
+});
+
+test('the file overrides defaults, the environment the file, and flags the environment', () => {
+  const file = configFile({ port: 4000, host: '127.0.0.1', limits: { chatPerSecond: 2 }, logLevel: 'warn' });
+  const fromFile = load(file);
+  assert.equal(fromFile.port, 4000);
+  assert.equal(fromFile.host, '127.0.0.1');
+  assert.equal(fromFile.limits.chatPerSecond, 2);
+  // Nested objects are merged, not replaced
+  assert.equal(fromFile.limits.signalPerSecond, 50);
+
+  const fromEnv = load(file, { PORT: '5000', LOG_LEVEL: 'debug' });
+  assert.equal(fromEnv.port, 5000);
+  assert.equal(fromEnv.logLevel, 'debug');
+  assert.equal(fromEnv.host, '127.0.0.1');
+
+  const fromFlags = load(file, { PORT: '5000', LOG_LEVEL: 'debug' }, ['--port', '6000']);
+  assert.equal(fromFlags.port, 6000);
+  assert.equal(fromFlags.logLevel, 'debug');
+});
+
+test('CONFIG_FILE names the file when --config does not', () => {
+  const file = configFile({ port: 4100 });
+  assert.equal(loadConfig([], { CONFIG_FILE: file }).port, 4100);
+  assert.equal(loadConfig(['--config', file], { CONFIG_FILE: empty }).port, 4100);
+});
+
+test('environment values are converted to their setting types', () => {
+  const config = load(empty, {
+    TLS: 'off',
+    LOCAL_TURN: 'YES',
+    CHAT_MAX_BYTES: '1024',
+    ALLOWED_ORIGINS: 'https://a.example, https://b.example,',
+    ADMIN_USERS: 'Alice,BOB',
+    INVITE_TOKENS: 'one,two'
+  });
+  assert.equal(config.tls.enabled, false);
+  assert.equal(config.localTurn.enabled, true);
+  assert.equal(config.limits.chatMaxBytes, 1024);
+  assert.deepEqual(config.allowedOrigins, ['https://a.example', 'https://b.example']);
+  assert.deepEqual(config.admins, ['alice', 'bob']);
+  assert.deepEqual(config.auth.inviteTokens, ['one', 'two']);
+});
+
+test('an empty variable is unset, except that it empties a list', () => {
+  const config = load(configFile({ port: 4200 }), { PORT: '', ICE_STUN_URLS: '' });
+  assert.equal(config.port, 4200);
+  assert.deepEqual(config.ice.stunUrls, []);
+});
+
+test('DATA_DIR sets the data directory, with AUTH_DATA_DIR as a fallback', () => {
+  const current = path.join(tempDir, 'current');
+  const legacy = path.join(tempDir, 'legacy');
+  assert.equal(load(empty, { AUTH_DATA_DIR: legacy }).dataDir, legacy);
+  assert.equal(load(empty, { DATA_DIR: current, AUTH_DATA_DIR: legacy }).dataDir, current);
+  assert.equal(load(empty, { DATA_DIR: '', AUTH_DATA_DIR: legacy }).dataDir, legacy);
+  assert.equal(load(empty, { AUTH_DATA_DIR: legacy }, ['--data-dir', current]).dataDir, current);
+});
+
+test('bad values are rejected with a ConfigError', () => {
+  const rejects = (file, env, argv, pattern) => assert.throws(() => load(file, env, argv), (err) => {
+    assert.ok(err instanceof ConfigError);
+    assert.match(err.message, pattern);
+    return true;
+  });
+
+  rejects(empty, { PORT: 'eighty' }, [], /PORT must be a whole number/);
+  rejects(empty, {}, ['--port', '70000'], /port must be between 1 and 65535/);
+  rejects(empty, { TLS: 'maybe' }, [], /TLS must be on or off/);
+  rejects(empty, { LOG_LEVEL: 'loud' }, [], /logLevel must be one of/);
+  rejects(empty, { CHAT_STORE: 'postgres' }, [], /history.store must be one of jsonl, sqlite, memory/);
+  rejects(configFile({ history: { store: 'redis' } }), {}, [], /history.store/);
+  rejects(empty, { CHAT_RATE_LIMIT: '0' }, [], /limits.chatPerSecond must be a positive whole number/);
+  rejects(empty, { HEARTBEAT_INTERVAL_MS: '40000' }, [], /heartbeat.timeoutMs must be longer/);
+  rejects(empty, { CHAT_PAGE_SIZE: '500' }, [], /history.pageSize/);
+  rejects(empty, { ALLOWED_ORIGINS: '' }, [], /allowedOrigins must list at least one origin/);
+  rejects(empty, { TLS_CERT: 'cert.pem' }, [], /needs both a certificate and a key/);
+  rejects(empty, {}, ['--no-such-flag', 'x'], /Unknown option/);
+  rejects(path.join(tempDir, 'missing.json'), {}, [], /does not exist/);
+  rejects(configFile('{ "port": '), {}, [], /Could not read config file/);
+});
+
+test('--help returns the usage text', () => {
+  const { help } = loadConfig(['--help'], {});
+  assert.match(help, /--data-dir <dir>/);
+  assert.match(help, /--history-store <backend>/);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMessageGuard } = require('../messageGuard');
+
+const register = { type: 'register', token: 'token' };
+const chat = { type: 'chat-message', targetClientId: 'bob', text: 'hi' };
+
+// A guard and one connection's state; limits are generous unless a test sets them
+function setup(options = {}) {
+  const guard = createMessageGuard({
+    chatRate: { perSecond: 100, burst: 100 },
+    signalRate: { perSecond: 100, burst: 100 },
+    ...options
+  });
+  const connection = guard.createConnectionState();
+  const check = (message) => guard.check(typeof message === 'string' ? message : JSON.stringify(message), connection);
+  return { guard, check };
+}
+
+// Date.now() under the test's control, for the rate limit buckets
+function fakeClock(t) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  return { advance: (ms) => { now += ms; } };
+}
+
+test('a valid message comes back parsed', () => {
+  const { check } = setup();
+  assert.deepEqual(check(register), { data: register });
+});
+
+test('invalid-json: not JSON, or not an object', () => {
+  const { check } = setup();
+  for (const raw of ['{not json', '[1,2]', '"text"', 'null']) {
+    assert.equal(check(raw).error.code, 'invalid-json', raw);
+  }
+});
+
+test('invalid-field: a message without a type', () => {
+  const { check } = setup();
+  const { error } = check({ token: 'x' });
+  assert.equal(error.code, 'invalid-field');
+  assert.equal(error.field, 'type');
+});
+
+test('unknown-type: no schema for the type', () => {
+  const { check } = setup();
+  const { error } = check({ type: 'launch-missiles' });
+  assert.equal(error.code, 'unknown-type');
+  assert.equal(error.field, 'type');
+});
+
+test('invalid-field: a required field is missing or null', () => {
+  const { check } = setup();
+  assert.equal(check({ type: 'call-invite' }).error.field, 'targetId');
+  assert.equal(check({ type: 'call-invite', targetId: null }).error.field, 'targetId');
+});
+
+test('invalid-field: wrong types', () => {
+  const { check } = setup();
+  const cases = [
+    [{ type: 'call-invite', targetId: 7 }, 'targetId'],
+    [{ type: 'chat-read', peerClientId: 'bob', upToId: '3' }, 'upToId'],
+    [{ type: 'chat-read', peerClientId: 'bob', upToId: Infinity }, 'upToId'],
+    [{ type: 'chat-typing', targetClientId: 'bob', typing: 'yes' }, 'typing'],
+    [{ type: 'media-state', state: [] }, 'state'],
+    [{ type: 'media-state', state: 'muted' }, 'state']
+  ];
+  for (const [message, field] of cases) {
+    const { error } = check(message);
+    assert.equal(error && error.code, 'invalid-field', JSON.stringify(message));
+    assert.equal(error.field, field);
+  }
+});
+
+test('invalid-field: strings over their maximum length', () => {
+  const { check } = setup();
+  const { error } = check({ ...chat, text: 'x'.repeat(4001) });
+  assert.equal(error.code, 'invalid-field');
+  assert.equal(error.field, 'text');
+  assert.ok(check({ ...chat, text: 'x'.repeat(4000) }).data);
+});
+
+test('invalid-field: nested fields are named with their path', () => {
+  const { check } = setup();
+  const { error } = check({ type: 'offer', targetId: 'b', offer: { type: 'offer' } });
+  assert.equal(error.code, 'invalid-field');
+  assert.equal(error.field, 'offer.sdp');
+});
+
+test('published identity keys and first-contact envelopes are checked', () => {
+  const { check } = setup();
+  const identityKey = { kty: 'EC', crv: 'P-256', x: 'x', y: 'y' };
+  assert.ok(check({ ...register, identityKey, deviceId: 'd1' }).data);
+  assert.equal(check({ ...register, identityKey: { ...identityKey, y: undefined } }).error.field, 'identityKey.y');
+  assert.equal(check({ ...register, identityKey, deviceId: 7 }).error.field, 'deviceId');
+
+  const envelope = { v: 1, keyId: 'k', iv: 'iv', data: 'data', senderKey: identityKey, senderDevice: 'd1' };
+  assert.ok(check({ type: 'chat-message', targetClientId: 'bob', envelope }).data);
+  const { error } = check({ type: 'chat-message', targetClientId: 'bob', envelope: { ...envelope, senderKey: 'key' } });
+  assert.equal(error.field, 'envelope.senderKey');
+  const tooLong = check({ type: 'chat-message', targetClientId: 'bob', envelope: { ...envelope, senderDevice: 'd'.repeat(200) } });
+  assert.equal(tooLong.error.field, 'envelope.senderDevice');
+});
+
+test('fields outside the schema are passed through', () => {
+  const { check } = setup();
+  const { data } = check({ ...register, extra: { anything: true } });
+  assert.deepEqual(data.extra, { anything: true });
+});
+
+test('too-large: anything over the signaling limit', () => {
+  const { check } = setup({ signalMaxBytes: 200 });
+  const { error } = check({ ...register, name: 'x'.repeat(200) });
+  assert.equal(error.code, 'too-large');
+  // Checked before parsing, so even broken JSON is reported as too large
+  assert.equal(check('x'.repeat(201)).error.code, 'too-large');
+});
+
+test('too-large: chat has its own, smaller limit', () => {
+  const { check } = setup({ chatMaxBytes: 100, signalMaxBytes: 1000 });
+  assert.equal(check({ ...chat, text: 'x'.repeat(150) }).error.code, 'too-large');
+  // Signaling of the same size is fine
+  assert.ok(check({ ...register, name: 'x'.repeat(150) }).data);
+});
+
+test('rate-limited: past the burst, with only the first rejection answered', (t) => {
+  fakeClock(t);
+  const { check } = setup({ signalRate: { perSecond: 1, burst: 3 } });
+  for (let i = 0; i < 3; i += 1) assert.ok(check(register).data);
+  const first = check(register);
+  assert.equal(first.error.code, 'rate-limited');
+  assert.equal(first.silent, false);
+  assert.equal(check(register).silent, true);
+});
+
+test('rate-limited: the bucket refills over time', (t) => {
+  const clock = fakeClock(t);
+  const { check } = setup({ signalRate: { perSecond: 2, burst: 2 } });
+  assert.ok(check(register).data);
+  assert.ok(check(register).data);
+  assert.equal(check(register).error.code, 'rate-limited');
+
+  // Half a second is one token at two per second
+  clock.advance(500);
+  assert.ok(check(register).data);
+  assert.equal(check(register).error.code, 'rate-limited');
+
+  // A long pause refills only up to the burst
+  clock.advance(60000);
+  assert.ok(check(register).data);
+  assert.ok(check(register).data);
+  const again = check(register);
+  assert.equal(again.error.code, 'rate-limited');
+  // Being let through in between resets who gets an error reply
+  assert.equal(again.silent, false);
+});
+
+test('rate-limited: chat and signaling have separate buckets', (t) => {
+  fakeClock(t);
+  const { check } = setup({
+    chatRate: { perSecond: 1, burst: 1 },
+    signalRate: { perSecond: 1, burst: 1 }
+  });
+  assert.ok(check(chat).data);
+  assert.equal(check(chat).error.code, 'rate-limited');
+  assert.ok(check(register).data);
+});
+
+test('metrics count accepted and rejected messages by code and type', () => {
+  const { guard, check } = setup();
+  check(register);
+  check('{not json');
+  check({ type: 'call-invite' });
+  check({ type: 'nope' });
+  assert.deepEqual(guard.getMetrics(), {
+    accepted: 1,
+    rejected: 3,
+    rejectedByCode: { 'invalid-json': 1, 'invalid-field': 1, 'unknown-type': 1 },
+    rejectedByType: { '(unknown)': 2, 'call-invite': 1 }
+  });
+});
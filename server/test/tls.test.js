@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTlsCredentials } = require('../tls');
+const { setLogLevel } = require('../logger');
+
+// Keep "Generating a self-signed certificate" out of the output
+setLogLevel('error');
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tls-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// This machine's LAN addresses, as the certificate code sees them
+function useAddresses(t, ...addresses) {
+  t.mock.method(os, 'networkInterfaces', () => ({
+    lo: [{ family: 'IPv4', internal: true, address: '127.0.0.1' }],
+    eth0: addresses.map((address) => ({ family: 'IPv4', internal: false, address }))
+  }));
+}
+
+const subjectAltName = ({ cert }) => new crypto.X509Certificate(cert).subjectAltName;
+
+test('the self-signed certificate is kept in the data directory', async (t) => {
+  useAddresses(t, '192.168.1.20');
+  const dataDir = tempDir();
+  const tls = await loadTlsCredentials({}, dataDir);
+  assert.equal(tls.selfSigned, true);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'tls', 'cert.pem'), 'utf8'), tls.cert);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'tls', 'key.pem'), 'utf8'), tls.key);
+  assert.match(subjectAltName(tls), /IP Address:192\.168\.1\.20/);
+});
+
+test('it is reused while it covers every address', async (t) => {
+  useAddresses(t, '192.168.1.20', '10.0.0.5');
+  const dataDir = tempDir();
+  const first = await loadTlsCredentials({}, dataDir);
+  // One address going away still leaves the rest covered
+  useAddresses(t, '10.0.0.5');
+  const again = await loadTlsCredentials({}, dataDir);
+  assert.equal(again.fingerprint, first.fingerprint);
+});
+
+test('it is replaced when an address is not covered', async (t) => {
+  useAddresses(t, '192.168.1.20');
+  const dataDir = tempDir();
+  const first = await loadTlsCredentials({}, dataDir);
+  useAddresses(t, '192.168.1.77');
+  const renewed = await loadTlsCredentials({}, dataDir);
+  assert.notEqual(renewed.fingerprint, first.fingerprint);
+  assert.match(subjectAltName(renewed), /IP Address:192\.168\.1\.77/);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'tls', 'cert.pem'), 'utf8'), renewed.cert);
+});
+
+test('configured files are used as they are', async (t) => {
+  useAddresses(t, '192.168.1.20');
+  const generated = await loadTlsCredentials({}, tempDir());
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'cert.pem'), generated.cert);
+  fs.writeFileSync(path.join(dir, 'key.pem'), generated.key);
+  const dataDir = tempDir();
+  const tls = await loadTlsCredentials({ cert: path.join(dir, 'cert.pem'), key: path.join(dir, 'key.pem') }, dataDir);
+  assert.equal(tls.selfSigned, false);
+  assert.equal(tls.fingerprint, generated.fingerprint);
+  assert.equal(fs.existsSync(path.join(dataDir, 'tls')), false);
+});
@@ -0,0 +1,301 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { startTurnServer } = require('../turnServer');
+const { setLogLevel } = require('../logger');
+
+setLogLevel('error');
+
+// A minimal STUN client, written from RFC 5389/5766 rather than shared with
+// the server so the two check each other
+
+const MAGIC_COOKIE = 0x2112a442;
+const METHOD = { BINDING: 0x001, ALLOCATE: 0x003, REFRESH: 0x004, CREATE_PERMISSION: 0x008, CHANNEL_BIND: 0x009 };
+const ATTR = {
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  CHANNEL_NUMBER: 0x000c,
+  LIFETIME: 0x000d,
+  XOR_PEER_ADDRESS: 0x0012,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,
+  REQUESTED_TRANSPORT: 0x0019,
+  XOR_MAPPED_ADDRESS: 0x0020
+};
+const REALM = 'p2p-video';
+const PASSWORD = 'turn-password';
+const KEY = crypto.createHash('md5').update(`alice:${REALM}:${PASSWORD}`).digest();
+
+function attribute(type, value) {
+  const tlv = Buffer.alloc(4 + Math.ceil(value.length / 4) * 4);
+  tlv.writeUInt16BE(type, 0);
+  tlv.writeUInt16BE(value.length, 2);
+  value.copy(tlv, 4);
+  return tlv;
+}
+
+// A request; with `key` it is signed with MESSAGE-INTEGRITY
+function request(method, attrs = [], key = null) {
+  const body = Buffer.concat(attrs.map(([type, value]) => attribute(type, value)));
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(method, 0);
+  header.writeUInt16BE(body.length + (key ? 24 : 0), 2);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  crypto.randomBytes(12).copy(header, 8);
+  if (!key) return Buffer.concat([header, body]);
+  const hmac = crypto.createHmac('sha1', key).update(header).update(body).digest();
+  return Buffer.concat([header, body, attribute(ATTR.MESSAGE_INTEGRITY, hmac)]);
+}
+
+function parse(buf) {
+  const attrs = new Map();
+  for (let offset = 20; offset + 4 <= buf.length;) {
+    const length = buf.readUInt16BE(offset + 2);
+    attrs.set(buf.readUInt16BE(offset), buf.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + Math.ceil(length / 4) * 4;
+  }
+  const error = attrs.get(ATTR.ERROR_CODE);
+  return {
+    success: (buf.readUInt16BE(0) & 0x0110) === 0x0100,
+    error: error ? error[2] * 100 + error[3] : null,
+    attrs
+  };
+}
+
+const xorAddress = (address, port) => {
+  const value = Buffer.alloc(8);
+  value[1] = 0x01;
+  value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+  const ip = address.split('.').reduce((n, octet) => ((n << 8) | Number(octet)) >>> 0, 0);
+  value.writeUInt32BE((ip ^ MAGIC_COOKIE) >>> 0, 4);
+  return value;
+};
+const xorPort = (value) => value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16);
+const uint32 = (n) => {
+  const value = Buffer.alloc(4);
+  value.writeUInt32BE(n, 0);
+  return value;
+};
+const channelNumber = (n) => {
+  const value = Buffer.alloc(4);
+  value.writeUInt16BE(n, 0);
+  return value;
+};
+
+const sockets = [];
+
+// A UDP socket that collects what it receives
+async function openSocket() {
+  const socket = dgram.createSocket('udp4');
+  sockets.push(socket);
+  const inbox = [];
+  const waiting = [];
+  socket.on('message', (buf) => (waiting.length > 0 ? waiting.shift()(buf) : inbox.push(buf)));
+  await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+  return {
+    port: socket.address().port,
+    send: (buf, port) => socket.send(buf, port, '127.0.0.1'),
+    // The next datagram, or null if none comes
+    next: (ms = 300) => (inbox.length > 0 ? Promise.resolve(inbox.shift()) : new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(deliver), 1);
+        resolve(null);
+      }, ms);
+      const deliver = (buf) => {
+        clearTimeout(timer);
+        resolve(buf);
+      };
+      waiting.push(deliver);
+    }))
+  };
+}
+
+let turn;
+let turnPort;
+
+test.before(async () => {
+  turn = startTurnServer({
+    port: 0,
+    host: '127.0.0.1',
+    relayAddress: '127.0.0.1',
+    realm: REALM,
+    getPassword: (username) => (username === 'alice' ? PASSWORD : null)
+  });
+  while (!turnPort) {
+    try {
+      turnPort = turn.address().port;
+    } catch (e) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+});
+
+test.after(() => {
+  turn.close();
+  sockets.forEach((socket) => socket.close());
+});
+
+async function ask(client, buf) {
+  client.send(buf, turnPort);
+  const reply = await client.next();
+  return reply && parse(reply);
+}
+
+// A client with an allocation; resolves to { client, relayPort, nonce }
+async function allocated() {
+  const client = await openSocket();
+  const challenge = await ask(client, request(METHOD.ALLOCATE, [[ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])]]));
+  const nonce = challenge.attrs.get(ATTR.NONCE);
+  const reply = await ask(client, request(METHOD.ALLOCATE, [
+    [ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])],
+    [ATTR.USERNAME, Buffer.from('alice')],
+    [ATTR.REALM, Buffer.from(REALM)],
+    [ATTR.NONCE, nonce]
+  ], KEY));
+  assert.ok(reply.success, `allocate failed with ${reply.error}`);
+  return { client, relayPort: xorPort(reply.attrs.get(ATTR.XOR_RELAYED_ADDRESS)), nonce };
+}
+
+// A signed request on an existing allocation
+const signed = (method, attrs) => request(method, [[ATTR.USERNAME, Buffer.from('alice')], ...attrs], KEY);
+
+test('a binding request gets the address it came from', async () => {
+  const client = await openSocket();
+  const reply = await ask(client, request(METHOD.BINDING));
+  assert.ok(reply.success);
+  assert.equal(xorPort(reply.attrs.get(ATTR.XOR_MAPPED_ADDRESS)), client.port);
+});
+
+test('truncated messages and attributes are ignored', async () => {
+  const client = await openSocket();
+  const binding = request(METHOD.BINDING, [[ATTR.USERNAME, Buffer.from('alice')]]);
+  // Cut short of the length in its header
+  assert.equal(await ask(client, binding.subarray(0, binding.length - 4)), null);
+  // An attribute running past the end of the message
+  const overrun = Buffer.from(binding);
+  overrun.writeUInt16BE(200, 22);
+  assert.equal(await ask(client, overrun), null);
+  // Too short to be STUN at all, and not a STUN message
+  assert.equal(await ask(client, Buffer.from([0, 1, 0])), null);
+  assert.equal(await ask(client, Buffer.alloc(40)), null);
+  assert.ok((await ask(client, request(METHOD.BINDING))).success);
+});
+
+test('an allocation needs credentials', async () => {
+  const client = await openSocket();
+  const challenge = await ask(client, request(METHOD.ALLOCATE, [[ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])]]));
+  assert.equal(challenge.error, 401);
+  assert.equal(challenge.attrs.get(ATTR.REALM).toString(), REALM);
+  const nonce = challenge.attrs.get(ATTR.NONCE);
+  const attrs = (name, nonceValue) => [
+    [ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])],
+    [ATTR.USERNAME, Buffer.from(name)],
+    [ATTR.REALM, Buffer.from(REALM)],
+    [ATTR.NONCE, nonceValue]
+  ];
+
+  assert.equal((await ask(client, request(METHOD.ALLOCATE, attrs('alice', Buffer.from('stale')), KEY))).error, 438);
+  assert.equal((await ask(client, request(METHOD.ALLOCATE, attrs('mallory', nonce), KEY))).error, 401);
+});
+
+test('a wrong MESSAGE-INTEGRITY is refused', async () => {
+  const client = await openSocket();
+  const challenge = await ask(client, request(METHOD.ALLOCATE, [[ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])]]));
+  const attrs = [
+    [ATTR.REQUESTED_TRANSPORT, Buffer.from([17, 0, 0, 0])],
+    [ATTR.USERNAME, Buffer.from('alice')],
+    [ATTR.REALM, Buffer.from(REALM)],
+    [ATTR.NONCE, challenge.attrs.get(ATTR.NONCE)]
+  ];
+  const wrongKey = crypto.createHash('md5').update(`alice:${REALM}:guess`).digest();
+  assert.equal((await ask(client, request(METHOD.ALLOCATE, attrs, wrongKey))).error, 401);
+
+  // Signed correctly, then changed
+  const tampered = request(METHOD.ALLOCATE, attrs, KEY);
+  tampered[tampered.length - 1] ^= 0xff;
+  assert.equal((await ask(client, tampered)).error, 401);
+});
+
+test('a refresh with a short LIFETIME is a bad request, not a crash', async () => {
+  const { client } = await allocated();
+  const reply = await ask(client, signed(METHOD.REFRESH, [[ATTR.LIFETIME, Buffer.from([0, 1])]]));
+  assert.equal(reply.error, 400);
+  // The allocation and the server are still there
+  const again = await ask(client, signed(METHOD.REFRESH, [[ATTR.LIFETIME, uint32(120)]]));
+  assert.ok(again.success);
+  assert.equal(again.attrs.get(ATTR.LIFETIME).readUInt32BE(0), 120);
+});
+
+test('lifetimes are capped', async () => {
+  const { client } = await allocated();
+  const reply = await ask(client, signed(METHOD.REFRESH, [[ATTR.LIFETIME, uint32(999999)]]));
+  assert.equal(reply.attrs.get(ATTR.LIFETIME).readUInt32BE(0), 3600);
+});
+
+test('a refresh with lifetime 0 frees the allocation', async () => {
+  const { client } = await allocated();
+  const reply = await ask(client, signed(METHOD.REFRESH, [[ATTR.LIFETIME, uint32(0)]]));
+  assert.ok(reply.success);
+  assert.equal(reply.attrs.get(ATTR.LIFETIME).readUInt32BE(0), 0);
+  const after = await ask(client, signed(METHOD.CREATE_PERMISSION, [[ATTR.XOR_PEER_ADDRESS, xorAddress('127.0.0.1', 9)]]));
+  assert.equal(after.error, 437);
+});
+
+test('requests on an allocation must be signed with its key', async () => {
+  const { client } = await allocated();
+  const unsigned = request(METHOD.REFRESH, [[ATTR.USERNAME, Buffer.from('alice')], [ATTR.LIFETIME, uint32(0)]]);
+  assert.equal((await ask(client, unsigned)).error, 401);
+  // Someone else's address has no allocation
+  const other = await openSocket();
+  assert.equal((await ask(other, signed(METHOD.REFRESH, [[ATTR.LIFETIME, uint32(0)]]))).error, 437);
+});
+
+test('a channel stays with one peer, and a peer with one channel', async () => {
+  const { client } = await allocated();
+  const peerA = xorAddress('127.0.0.1', 40001);
+  const peerB = xorAddress('127.0.0.1', 40002);
+  const bind = (number, peer) => ask(client, signed(METHOD.CHANNEL_BIND, [
+    [ATTR.CHANNEL_NUMBER, channelNumber(number)],
+    [ATTR.XOR_PEER_ADDRESS, peer]
+  ]));
+
+  assert.ok((await bind(0x4000, peerA)).success);
+  // Refreshing the same binding is fine
+  assert.ok((await bind(0x4000, peerA)).success);
+  assert.equal((await bind(0x4000, peerB)).error, 400);
+  assert.equal((await bind(0x4001, peerA)).error, 400);
+  assert.ok((await bind(0x4001, peerB)).success);
+  // Outside the channel range, or with a short channel number
+  assert.equal((await bind(0x3fff, xorAddress('127.0.0.1', 40003))).error, 400);
+  const short = await ask(client, signed(METHOD.CHANNEL_BIND, [
+    [ATTR.CHANNEL_NUMBER, Buffer.from([0x40])],
+    [ATTR.XOR_PEER_ADDRESS, xorAddress('127.0.0.1', 40003)]
+  ]));
+  assert.equal(short.error, 400);
+});
+
+test('ChannelData is relayed both ways once bound', async () => {
+  const { client, relayPort } = await allocated();
+  const peer = await openSocket();
+  const bound = await ask(client, signed(METHOD.CHANNEL_BIND, [
+    [ATTR.CHANNEL_NUMBER, channelNumber(0x4000)],
+    [ATTR.XOR_PEER_ADDRESS, xorAddress('127.0.0.1', peer.port)]
+  ]));
+  assert.ok(bound.success);
+
+  const frame = Buffer.concat([Buffer.from([0x40, 0x00, 0x00, 0x05]), Buffer.from('hello'), Buffer.alloc(3)]);
+  client.send(frame, turnPort);
+  assert.equal((await peer.next()).toString(), 'hello');
+
+  peer.send(Buffer.from('back'), relayPort);
+  const back = await client.next();
+  assert.equal(back.readUInt16BE(0), 0x4000);
+  assert.equal(back.subarray(4, 4 + back.readUInt16BE(2)).toString(), 'back');
+
+  // A channel nobody bound carries nothing
+  client.send(Buffer.concat([Buffer.from([0x40, 0x09, 0x00, 0x02]), Buffer.from('no')]), turnPort);
+  assert.equal(await peer.next(), null);
+});
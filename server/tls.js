@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const x509 = require('@peculiar/x509');
+const { logger } = require('./logger');
+
+// Certificates for HTTPS/WSS. Browsers only allow getUserMedia on secure
+// origins (and localhost), so calls across the LAN need TLS. Without a
+// configured certificate, a self-signed one is generated on first start and
+// kept in the data directory's tls/, so everyone accepts the browser warning
+// only once. It is replaced close to expiry, and when this machine has an
+// address it does not name (e.g. after a new DHCP lease).
+
+x509.cryptoProvider.set(crypto.webcrypto);
+
+const VALIDITY_DAYS = 365;
+// Replace the certificate this long before it expires
+const RENEW_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+
+function toPem(label, der) {
+  const base64 = Buffer.from(der).toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${base64}\n-----END ${label}-----\n`;
+}
+
+// Names the certificate is valid for: localhost, this machine's name and
+// every IPv4 address it has
+function getSubjectAltNames() {
+  const names = [
+    { type: 'dns', value: 'localhost' },
+    { type: 'dns', value: os.hostname() },
+    { type: 'ip', value: '127.0.0.1' }
+  ];
+  Object.values(os.networkInterfaces()).flat().forEach((iface) => {
+    if (iface && iface.family === 'IPv4' && !iface.internal) names.push({ type: 'ip', value: iface.address });
+  });
+  return names;
+}
+
+async function generateSelfSigned() {
+  const keys = await crypto.webcrypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const notAfter = new Date(Date.now() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  const certificate = await x509.X509CertificateGenerator.createSelfSigned({
+    serialNumber: crypto.randomBytes(16).toString('hex'),
+    name: 'CN=P2P Video Calling (self-signed)',
+    notBefore,
+    notAfter,
+    keys,
+    signingAlgorithm: ALGORITHM,
+    extensions: [
+      new x509.BasicConstraintsExtension(false, undefined, true),
+      new x509.KeyUsagesExtension(x509.KeyUsageFlags.digitalSignature, true),
+      new x509.ExtendedKeyUsageExtension([x509.ExtendedKeyUsage.serverAuth]),
+      new x509.SubjectAlternativeNameExtension(getSubjectAltNames())
+    ]
+  });
+  const pkcs8 = await crypto.webcrypto.subtle.exportKey('pkcs8', keys.privateKey);
+  return { cert: certificate.toString('pem'), key: toPem('PRIVATE KEY', pkcs8) };
+}
+
+// Why a saved certificate has to be replaced, or null if it is still good
+function replacementReason(certPem) {
+  let cert;
+  try {
+    cert = new crypto.X509Certificate(certPem);
+  } catch (e) {
+    return 'it could not be read';
+  }
+  if (new Date(cert.validTo).getTime() - RENEW_BEFORE_MS < Date.now()) return 'it is about to expire';
+  // e.g. "DNS:localhost, DNS:laptop, IP Address:127.0.0.1, IP Address:192.168.1.20"
+  const covered = new Set((cert.subjectAltName || '').split(', '));
+  const missing = getSubjectAltNames()
+    .filter(({ type, value }) => !covered.has(`${type === 'ip' ? 'IP Address' : 'DNS'}:${value}`))
+    .map(({ value }) => value);
+  return missing.length > 0 ? `it does not cover ${missing.join(', ')}` : null;
+}
+
+// Resolves to { cert, key, selfSigned, fingerprint }. Configured files are
+// read as they are; the self-signed pair lives in dataDir/tls and is reused
+// while it is current.
+async function loadTlsCredentials({ cert: certFile, key: keyFile } = {}, dataDir) {
+  if (certFile) {
+    const cert = fs.readFileSync(certFile, 'utf8');
+    const key = fs.readFileSync(keyFile, 'utf8');
+    return { cert, key, selfSigned: false, fingerprint: new crypto.X509Certificate(cert).fingerprint256 };
+  }
+
+  const dir = path.join(dataDir, 'tls');
+  const savedCert = path.join(dir, 'cert.pem');
+  const savedKey = path.join(dir, 'key.pem');
+  let cert;
+  let key;
+  const reason = fs.existsSync(savedCert) && fs.existsSync(savedKey)
+    ? replacementReason(fs.readFileSync(savedCert, 'utf8'))
+    : 'there is none yet';
+  if (!reason) {
+    cert = fs.readFileSync(savedCert, 'utf8');
+    key = fs.readFileSync(savedKey, 'utf8');
+  } else {
+    logger.info(`Generating a self-signed certificate: ${reason}`);
+    ({ cert, key } = await generateSelfSigned());
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(savedKey, key, { mode: 0o600 });
+    fs.writeFileSync(savedCert, cert);
+  }
+  return { cert, key, selfSigned: true, fingerprint: new crypto.X509Certificate(cert).fingerprint256 };
+}
+
+module.exports = { loadTlsCredentials };
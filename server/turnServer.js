@@ -0,0 +1,477 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// A small STUN/TURN server (RFC 5389 and RFC 5766, UDP and IPv4 only) for
+// networks that cannot reach public servers. It answers STUN binding requests
+// and relays media through TURN allocations, which is what gets calls
+// through between VLANs that cannot route to each other directly.
+//
+// getPassword(username) returns the long-term password for a username, or
+// null if it is unknown or expired. Credentials are only checked when an
+// allocation is made; later requests must be signed with the same key, so a
+// call outlives the credentials it started with.
+
+const MAGIC_COOKIE = 0x2112a442;
+
+const METHOD = {
+  BINDING: 0x001,
+  ALLOCATE: 0x003,
+  REFRESH: 0x004,
+  SEND: 0x006,
+  DATA: 0x007,
+  CREATE_PERMISSION: 0x008,
+  CHANNEL_BIND: 0x009
+};
+
+const CLASS = {
+  REQUEST: 0x000,
+  INDICATION: 0x010,
+  SUCCESS: 0x100,
+  ERROR: 0x110
+};
+
+const ATTR = {
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  CHANNEL_NUMBER: 0x000c,
+  LIFETIME: 0x000d,
+  XOR_PEER_ADDRESS: 0x0012,
+  DATA: 0x0013,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,
+  REQUESTED_TRANSPORT: 0x0019,
+  XOR_MAPPED_ADDRESS: 0x0020,
+  SOFTWARE: 0x8022
+};
+
+const UDP_TRANSPORT = 17;
+const DEFAULT_LIFETIME_S = 600;
+const MAX_LIFETIME_S = 3600;
+const PERMISSION_LIFETIME_S = 300;
+const CHANNEL_LIFETIME_S = 600;
+const MIN_CHANNEL = 0x4000;
+const MAX_CHANNEL = 0x7ffe;
+const SWEEP_INTERVAL_MS = 30000;
+const SOFTWARE = 'p2p-video-turn';
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((n, octet) => ((n << 8) | Number(octet)) >>> 0, 0);
+}
+
+function intToIp(n) {
+  return [n >>> 24, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff].join('.');
+}
+
+function encodeXorAddress(address, port) {
+  const value = Buffer.alloc(8);
+  value[1] = 0x01; // IPv4
+  value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+  value.writeUInt32BE((ipToInt(address) ^ MAGIC_COOKIE) >>> 0, 4);
+  return value;
+}
+
+function decodeXorAddress(value) {
+  if (!value || value.length < 8 || value[1] !== 0x01) return null;
+  return {
+    address: intToIp((value.readUInt32BE(4) ^ MAGIC_COOKIE) >>> 0),
+    port: value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16)
+  };
+}
+
+// Returns { method, cls, transactionId, attrs: [{type, value, offset}] } or
+// null for anything that is not a well-formed STUN message
+function parseMessage(buf) {
+  if (buf.length < 20 || (buf[0] & 0xc0) !== 0 || buf.readUInt32BE(4) !== MAGIC_COOKIE) return null;
+  const length = buf.readUInt16BE(2);
+  if (buf.length < 20 + length) return null;
+  const type = buf.readUInt16BE(0);
+  const attrs = [];
+  let offset = 20;
+  while (offset + 4 <= 20 + length) {
+    const attrType = buf.readUInt16BE(offset);
+    const attrLength = buf.readUInt16BE(offset + 2);
+    if (offset + 4 + attrLength > 20 + length) return null;
+    attrs.push({ type: attrType, value: buf.subarray(offset + 4, offset + 4 + attrLength), offset });
+    offset += 4 + Math.ceil(attrLength / 4) * 4;
+  }
+  return {
+    method: type & 0x3eef,
+    cls: type & 0x0110,
+    transactionId: buf.subarray(8, 20),
+    attrs,
+    raw: buf
+  };
+}
+
+function getAttr(message, type) {
+  const attr = message.attrs.find((a) => a.type === type);
+  return attr ? attr.value : null;
+}
+
+// Build a message; with `key` it ends in a MESSAGE-INTEGRITY attribute
+function buildMessage(method, cls, transactionId, attrs, key = null) {
+  const parts = attrs.map(([type, value]) => {
+    const tlv = Buffer.alloc(4 + Math.ceil(value.length / 4) * 4);
+    tlv.writeUInt16BE(type, 0);
+    tlv.writeUInt16BE(value.length, 2);
+    value.copy(tlv, 4);
+    return tlv;
+  });
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(method | cls, 0);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+  if (!key) {
+    header.writeUInt16BE(body.length, 2);
+    return Buffer.concat([header, body]);
+  }
+  // The integrity hash covers a header whose length already counts itself
+  header.writeUInt16BE(body.length + 24, 2);
+  const hmac = crypto.createHmac('sha1', key).update(header).update(body).digest();
+  const integrity = Buffer.alloc(4);
+  integrity.writeUInt16BE(ATTR.MESSAGE_INTEGRITY, 0);
+  integrity.writeUInt16BE(20, 2);
+  return Buffer.concat([header, body, integrity, hmac]);
+}
+
+function hasValidIntegrity(message, key) {
+  const attr = message.attrs.find((a) => a.type === ATTR.MESSAGE_INTEGRITY);
+  if (!attr || attr.value.length !== 20) return false;
+  const header = Buffer.from(message.raw.subarray(0, 20));
+  header.writeUInt16BE(attr.offset + 24 - 20, 2);
+  const expected = crypto.createHmac('sha1', key)
+    .update(header)
+    .update(message.raw.subarray(20, attr.offset))
+    .digest();
+  return crypto.timingSafeEqual(expected, attr.value);
+}
+
+function errorCodeValue(code, reason) {
+  const text = Buffer.from(reason, 'utf8');
+  const value = Buffer.alloc(4 + text.length);
+  value[2] = Math.floor(code / 100);
+  value[3] = code % 100;
+  text.copy(value, 4);
+  return value;
+}
+
+function uint32(n) {
+  const value = Buffer.alloc(4);
+  value.writeUInt32BE(n, 0);
+  return value;
+}
+
+function startTurnServer({
+  port = 3478,
+  host = '0.0.0.0',
+  relayAddress,
+  realm = 'p2p-video',
+  getPassword,
+  maxAllocations = 200
+}) {
+  const socket = dgram.createSocket('udp4');
+  const nonce = crypto.randomBytes(16).toString('hex');
+  // Key: client "ip:port", value: allocation
+  const allocations = new Map();
+
+  const send = (buf, rinfo) => socket.send(buf, rinfo.port, rinfo.address);
+
+  const respond = (message, rinfo, attrs, key) => {
+    send(buildMessage(message.method, CLASS.SUCCESS, message.transactionId, [
+      ...attrs,
+      [ATTR.SOFTWARE, Buffer.from(SOFTWARE)]
+    ], key), rinfo);
+  };
+
+  const respondError = (message, rinfo, code, reason, key = null) => {
+    const attrs = [[ATTR.ERROR_CODE, errorCodeValue(code, reason)]];
+    if (code === 401 || code === 438) {
+      attrs.push([ATTR.REALM, Buffer.from(realm)], [ATTR.NONCE, Buffer.from(nonce)]);
+    }
+    send(buildMessage(message.method, CLASS.ERROR, message.transactionId, attrs, key), rinfo);
+  };
+
+  // Long-term credentials for a new allocation. Returns { username, key }, or
+  // null after answering with the challenge or error
+  const authenticate = (message, rinfo) => {
+    const username = getAttr(message, ATTR.USERNAME);
+    const messageRealm = getAttr(message, ATTR.REALM);
+    const messageNonce = getAttr(message, ATTR.NONCE);
+    if (!username || !messageRealm || !messageNonce || !getAttr(message, ATTR.MESSAGE_INTEGRITY)) {
+      respondError(message, rinfo, 401, 'Unauthorized');
+      return null;
+    }
+    if (messageNonce.toString() !== nonce) {
+      respondError(message, rinfo, 438, 'Stale Nonce');
+      return null;
+    }
+    const name = username.toString();
+    const password = getPassword(name);
+    const key = password && crypto.createHash('md5').update(`${name}:${realm}:${password}`).digest();
+    if (!key || !hasValidIntegrity(message, key)) {
+      respondError(message, rinfo, 401, 'Unauthorized');
+      return null;
+    }
+    return { username: name, key };
+  };
+
+  const hasPermission = (allocation, address) => (allocation.permissions.get(address) || 0) > Date.now();
+
+  const freeAllocation = (clientKey) => {
+    const allocation = allocations.get(clientKey);
+    if (!allocation) return;
+    allocations.delete(clientKey);
+    allocation.relay.close();
+  };
+
+  const allocate = (message, rinfo, clientKey) => {
+    const existing = allocations.get(clientKey);
+    if (existing) {
+      // A retransmitted request gets the same answer; anything else is a mismatch
+      if (existing.transactionId.equals(message.transactionId)) {
+        if (existing.successAttrs) respond(message, rinfo, existing.successAttrs, existing.key);
+      } else {
+        respondError(message, rinfo, 437, 'Allocation Mismatch');
+      }
+      return;
+    }
+    const credentials = authenticate(message, rinfo);
+    if (!credentials) return;
+    const transport = getAttr(message, ATTR.REQUESTED_TRANSPORT);
+    if (!transport) {
+      respondError(message, rinfo, 400, 'Bad Request', credentials.key);
+      return;
+    }
+    if (transport[0] !== UDP_TRANSPORT) {
+      respondError(message, rinfo, 442, 'Unsupported Transport Protocol', credentials.key);
+      return;
+    }
+    if (allocations.size >= maxAllocations) {
+      respondError(message, rinfo, 486, 'Allocation Quota Reached', credentials.key);
+      return;
+    }
+
+    const relay = dgram.createSocket('udp4');
+    const allocation = {
+      client: { address: rinfo.address, port: rinfo.port },
+      ...credentials,
+      transactionId: Buffer.from(message.transactionId),
+      relay,
+      expires: Date.now() + DEFAULT_LIFETIME_S * 1000,
+      permissions: new Map(), // peer ip -> expiry
+      channels: new Map(), // channel number -> { address, port, expires }
+      peerChannels: new Map(), // peer "ip:port" -> channel number
+      successAttrs: null
+    };
+    allocations.set(clientKey, allocation);
+
+    relay.on('error', (err) => {
+      logger.error('TURN relay socket error:', err.message);
+      freeAllocation(clientKey);
+    });
+
+    // Peer -> client, over a channel if one is bound, otherwise as a Data indication
+    relay.on('message', (data, peer) => {
+      if (!hasPermission(allocation, peer.address)) return;
+      const channel = allocation.peerChannels.get(`${peer.address}:${peer.port}`);
+      const bound = channel && allocation.channels.get(channel);
+      if (bound && bound.expires > Date.now()) {
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(channel, 0);
+        header.writeUInt16BE(data.length, 2);
+        send(Buffer.concat([header, data]), allocation.client);
+        return;
+      }
+      send(buildMessage(METHOD.DATA, CLASS.INDICATION, crypto.randomBytes(12), [
+        [ATTR.XOR_PEER_ADDRESS, encodeXorAddress(peer.address, peer.port)],
+        [ATTR.DATA, data]
+      ]), allocation.client);
+    });
+
+    relay.bind(0, host, () => {
+      allocation.successAttrs = [
+        [ATTR.XOR_RELAYED_ADDRESS, encodeXorAddress(relayAddress, relay.address().port)],
+        [ATTR.LIFETIME, uint32(DEFAULT_LIFETIME_S)],
+        [ATTR.XOR_MAPPED_ADDRESS, encodeXorAddress(rinfo.address, rinfo.port)]
+      ];
+      respond(message, rinfo, allocation.successAttrs, allocation.key);
+    });
+  };
+
+  // Requests on an existing allocation must come from its client and be
+  // signed with the allocation's key
+  const withAllocation = (message, rinfo, clientKey) => {
+    const allocation = allocations.get(clientKey);
+    if (!allocation) {
+      respondError(message, rinfo, 437, 'Allocation Mismatch');
+      return null;
+    }
+    const username = getAttr(message, ATTR.USERNAME);
+    if (!username || username.toString() !== allocation.username || !hasValidIntegrity(message, allocation.key)) {
+      respondError(message, rinfo, 401, 'Unauthorized');
+      return null;
+    }
+    return allocation;
+  };
+
+  const refresh = (message, rinfo, clientKey) => {
+    const allocation = withAllocation(message, rinfo, clientKey);
+    if (!allocation) return;
+    const requested = getAttr(message, ATTR.LIFETIME);
+    if (requested && requested.length < 4) {
+      respondError(message, rinfo, 400, 'Bad Request', allocation.key);
+      return;
+    }
+    const lifetime = requested ? Math.min(requested.readUInt32BE(0), MAX_LIFETIME_S) : DEFAULT_LIFETIME_S;
+    if (lifetime === 0) {
+      freeAllocation(clientKey);
+    } else {
+      allocation.expires = Date.now() + lifetime * 1000;
+    }
+    respond(message, rinfo, [[ATTR.LIFETIME, uint32(lifetime)]], allocation.key);
+  };
+
+  const createPermission = (message, rinfo, clientKey) => {
+    const allocation = withAllocation(message, rinfo, clientKey);
+    if (!allocation) return;
+    const peers = message.attrs
+      .filter((a) => a.type === ATTR.XOR_PEER_ADDRESS)
+      .map((a) => decodeXorAddress(a.value));
+    if (peers.length === 0 || peers.some((peer) => !peer)) {
+      respondError(message, rinfo, 400, 'Bad Request', allocation.key);
+      return;
+    }
+    const expires = Date.now() + PERMISSION_LIFETIME_S * 1000;
+    peers.forEach((peer) => allocation.permissions.set(peer.address, expires));
+    respond(message, rinfo, [], allocation.key);
+  };
+
+  const channelBind = (message, rinfo, clientKey) => {
+    const allocation = withAllocation(message, rinfo, clientKey);
+    if (!allocation) return;
+    const numberValue = getAttr(message, ATTR.CHANNEL_NUMBER);
+    const peer = decodeXorAddress(getAttr(message, ATTR.XOR_PEER_ADDRESS));
+    const channel = numberValue && numberValue.length >= 2 ? numberValue.readUInt16BE(0) : 0;
+    const peerKey = peer && `${peer.address}:${peer.port}`;
+    const boundPeer = allocation.channels.get(channel);
+    const boundChannel = peerKey && allocation.peerChannels.get(peerKey);
+    // A channel stays with one peer (and a peer with one channel) until it expires
+    const conflict = (boundPeer && boundPeer.expires > Date.now() && `${boundPeer.address}:${boundPeer.port}` !== peerKey)
+      || (boundChannel && boundChannel !== channel && allocation.channels.get(boundChannel)?.expires > Date.now());
+    if (!peer || channel < MIN_CHANNEL || channel > MAX_CHANNEL || conflict) {
+      respondError(message, rinfo, 400, 'Bad Request', allocation.key);
+      return;
+    }
+    const now = Date.now();
+    allocation.channels.set(channel, { ...peer, expires: now + CHANNEL_LIFETIME_S * 1000 });
+    allocation.peerChannels.set(peerKey, channel);
+    allocation.permissions.set(peer.address, now + PERMISSION_LIFETIME_S * 1000);
+    respond(message, rinfo, [], allocation.key);
+  };
+
+  // Client -> peer, wrapped in a Send indication
+  const sendIndication = (message, clientKey) => {
+    const allocation = allocations.get(clientKey);
+    const peer = decodeXorAddress(getAttr(message, ATTR.XOR_PEER_ADDRESS));
+    const data = getAttr(message, ATTR.DATA);
+    if (!allocation || !peer || !data || !hasPermission(allocation, peer.address)) return;
+    allocation.relay.send(data, peer.port, peer.address);
+  };
+
+  // Client -> peer over a bound channel: [channel][length][data]
+  const channelData = (buf, clientKey) => {
+    const allocation = allocations.get(clientKey);
+    if (!allocation || buf.length < 4) return;
+    const bound = allocation.channels.get(buf.readUInt16BE(0));
+    if (!bound || bound.expires < Date.now() || !hasPermission(allocation, bound.address)) return;
+    allocation.relay.send(buf.subarray(4, 4 + buf.readUInt16BE(2)), bound.port, bound.address);
+  };
+
+  const handleMessage = (buf, rinfo) => {
+    const clientKey = `${rinfo.address}:${rinfo.port}`;
+    // ChannelData starts with 0b01, STUN messages with 0b00
+    if ((buf[0] & 0xc0) === 0x40) {
+      channelData(buf, clientKey);
+      return;
+    }
+    const message = parseMessage(buf);
+    if (!message) return;
+
+    if (message.cls === CLASS.INDICATION) {
+      if (message.method === METHOD.SEND) sendIndication(message, clientKey);
+      return;
+    }
+    if (message.cls !== CLASS.REQUEST) return;
+
+    switch (message.method) {
+      case METHOD.BINDING:
+        respond(message, rinfo, [[ATTR.XOR_MAPPED_ADDRESS, encodeXorAddress(rinfo.address, rinfo.port)]]);
+        break;
+      case METHOD.ALLOCATE:
+        allocate(message, rinfo, clientKey);
+        break;
+      case METHOD.REFRESH:
+        refresh(message, rinfo, clientKey);
+        break;
+      case METHOD.CREATE_PERMISSION:
+        createPermission(message, rinfo, clientKey);
+        break;
+      case METHOD.CHANNEL_BIND:
+        channelBind(message, rinfo, clientKey);
+        break;
+      default:
+        respondError(message, rinfo, 400, 'Bad Request');
+    }
+  };
+
+  // Anyone can send datagrams here; a malformed one must not take the
+  // signaling server down with it
+  socket.on('message', (buf, rinfo) => {
+    try {
+      handleMessage(buf, rinfo);
+    } catch (err) {
+      logger.error(`TURN message from ${rinfo.address}:${rinfo.port} failed:`, err.message);
+    }
+  });
+
+  socket.on('error', (err) => {
+    logger.error('TURN server error:', err.message);
+  });
+
+  // Drop expired allocations, permissions and channels
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    allocations.forEach((allocation, clientKey) => {
+      if (allocation.expires < now) {
+        freeAllocation(clientKey);
+        return;
+      }
+      allocation.permissions.forEach((expires, address) => {
+        if (expires < now) allocation.permissions.delete(address);
+      });
+      allocation.channels.forEach((bound, channel) => {
+        if (bound.expires >= now) return;
+        allocation.channels.delete(channel);
+        allocation.peerChannels.delete(`${bound.address}:${bound.port}`);
+      });
+    });
+  }, SWEEP_INTERVAL_MS);
+
+  socket.bind(port, host);
+
+  return {
+    // { address, port } once bound
+    address: () => socket.address(),
+    close() {
+      clearInterval(sweepTimer);
+      Array.from(allocations.keys()).forEach(freeAllocation);
+      socket.close();
+    }
+  };
+}
+
+module.exports = { startTurnServer };